@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+
+/**
+ * Build the Japanese romanization dictionary from mecab-ipadic
+ * Writes the IPADIC word list packed for JapaneseDictionary (dict/ja/words.bin.gz),
+ * its connection costs (dict/ja/matrix.bin.gz) and its license (dict/ja/COPYING) -
+ * the same data kuromoji bundles. Both files are gzip-compressed; the extension
+ * unpacks them with DecompressionStream. Rerun it to rebuild the bundled files.
+ * Usage: node build-ja-dict.js <path to mecab-ipadic-2.7.0-XXXXXXXX> [output dir]
+ * The sources also come from npm: `npm pack mecab-ipadic-seed`, then point
+ * this script at package/lib/dict in the unpacked tarball.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const sourceDir = process.argv[2];
+const outputDir = process.argv[3] || path.join(__dirname, 'dict', 'ja');
+
+if (!sourceDir || !fs.existsSync(path.join(sourceDir, 'matrix.def'))) {
+  console.error('Usage: node build-ja-dict.js <mecab-ipadic directory> [output dir]');
+  console.error('The directory must contain the IPADIC .csv files, matrix.def and unk.def.');
+  process.exit(1);
+}
+
+// The IPADIC release is EUC-JP; repackaged copies (mecab-ipadic-seed) are UTF-8
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+const eucJp = new TextDecoder('euc-jp');
+const read = (file) => {
+  const bytes = fs.readFileSync(path.join(sourceDir, file));
+  try {
+    return utf8.decode(bytes);
+  } catch (error) {
+    return eucJp.decode(bytes);
+  }
+};
+
+// Unknown-word classes the tokenizer uses, and the char.def class each comes from
+const UNKNOWN_CLASSES = ['SPACE', 'KANJI', 'HIRAGANA', 'KATAKANA', 'ALPHA', 'NUMERIC', 'SYMBOL'];
+
+// words.bin header, as modules/japanese/JapaneseDictionary.js reads it
+const DICTIONARY_MAGIC = 0x4344414A; // 'JADC'
+const DICTIONARY_VERSION = 1;
+// Longest dictionary word the tokenizer looks up
+const MAX_WORD_LENGTH = 16;
+
+/**
+ * surface,left_id,right_id,cost,pos1,pos2,pos3,pos4,conj_type,conj_form,base,reading,pronunciation
+ */
+function parseWord(line) {
+  const fields = line.split(',');
+  if (fields.length < 12) return null;
+  const [surface, leftId, rightId, cost, pos1, pos2] = fields;
+  const reading = fields[11] && fields[11] !== '*' ? fields[11] : '';
+  return [surface, reading, `${pos1},${pos2}`, Number(cost), Number(leftId), Number(rightId)];
+}
+
+function buildWords() {
+  // Only two part-of-speech levels are kept, which makes many rows the same word;
+  // of those only the cheapest can win, so it is the one kept
+  const words = new Map();
+  const csvFiles = fs.readdirSync(sourceDir).filter(file => file.endsWith('.csv')).sort();
+  for (const file of csvFiles) {
+    for (const line of read(file).split('\n')) {
+      const entry = line.trim() && parseWord(line.trim());
+      if (!entry) continue;
+      const [surface, reading, pos, cost, leftId, rightId] = entry;
+      if (Array.from(surface).length > MAX_WORD_LENGTH) continue;
+      const key = [surface, reading, pos, leftId, rightId].join('\t');
+      const known = words.get(key);
+      if (!known || cost < known[3]) words.set(key, entry);
+    }
+    console.log(`Read ${file}`);
+  }
+  // Plain < order (UTF-16 code units), the order JapaneseDictionary searches in
+  return [...words.values()].sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : a[3] - b[3]));
+}
+
+function buildUnknown() {
+  // Several lines per class; the cheapest one is the usual reading of the class
+  const unknown = {};
+  for (const line of read('unk.def').split('\n')) {
+    const fields = line.trim().split(',');
+    const [charClass, leftId, rightId, cost, pos1, pos2] = fields;
+    if (!UNKNOWN_CLASSES.includes(charClass)) continue;
+    if (!unknown[charClass] || Number(cost) < unknown[charClass][2]) {
+      unknown[charClass] = [Number(leftId), Number(rightId), Number(cost), `${pos1},${pos2}`];
+    }
+  }
+  return unknown;
+}
+
+function buildMatrix() {
+  const lines = read('matrix.def').split('\n');
+  const [rightSize, leftSize] = lines[0].trim().split(/\s+/).map(Number);
+  const matrix = new Int16Array(2 + rightSize * leftSize);
+  matrix[0] = rightSize;
+  matrix[1] = leftSize;
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    const [rightId, leftId, cost] = line.split(/\s+/).map(Number);
+    matrix[2 + rightId * leftSize + leftId] = cost;
+  }
+  return matrix;
+}
+
+/**
+ * Pack sorted entries into the words.bin layout described in JapaneseDictionary.js
+ */
+function packWords(entries, unknown) {
+  const surfaces = [];
+  const entryStarts = [];
+  for (let i = 0; i < entries.length; i++) {
+    if (i === 0 || entries[i][0] !== entries[i - 1][0]) {
+      surfaces.push(entries[i][0]);
+      entryStarts.push(i);
+    }
+  }
+  entryStarts.push(entries.length);
+
+  const posNames = [...new Set(entries.map(entry => entry[2]))];
+  const posIndex = new Map(posNames.map((pos, i) => [pos, i]));
+
+  const offsets = (strings) => {
+    const result = new Uint32Array(strings.length + 1);
+    strings.forEach((string, i) => {
+      result[i + 1] = result[i] + string.length;
+    });
+    return result;
+  };
+
+  const surfaceText = Buffer.from(surfaces.join(''), 'utf8');
+  const readingText = Buffer.from(entries.map(entry => entry[1]).join(''), 'utf8');
+  const meta = Buffer.from(JSON.stringify({ name: 'mecab-ipadic', pos: posNames, unknown }), 'utf8');
+  const maxWordLength = surfaces.reduce((max, surface) => Math.max(max, Array.from(surface).length), 1);
+
+  const header = new Uint32Array([
+    DICTIONARY_MAGIC, DICTIONARY_VERSION, surfaces.length, entries.length,
+    maxWordLength, surfaceText.length, readingText.length, meta.length
+  ]);
+  const sections = [
+    header,
+    offsets(surfaces),
+    Uint32Array.from(entryStarts),
+    offsets(entries.map(entry => entry[1])),
+    Int16Array.from(entries, entry => entry[3]),
+    Uint16Array.from(entries, entry => posIndex.get(entry[2])),
+    Uint16Array.from(entries, entry => entry[4]),
+    Uint16Array.from(entries, entry => entry[5])
+  ].map(array => Buffer.from(array.buffer, array.byteOffset, array.byteLength));
+
+  return Buffer.concat([...sections, surfaceText, readingText, meta]);
+}
+
+if (new Uint8Array(new Uint16Array([1]).buffer)[0] !== 1) {
+  console.error('words.bin is little-endian; build it on a little-endian machine');
+  process.exit(1);
+}
+
+const entries = buildWords();
+const unknown = buildUnknown();
+const matrix = buildMatrix();
+
+fs.mkdirSync(outputDir, { recursive: true });
+const gzip = (buffer) => zlib.gzipSync(buffer, { level: 9 });
+fs.writeFileSync(path.join(outputDir, 'words.bin.gz'), gzip(packWords(entries, unknown)));
+fs.writeFileSync(path.join(outputDir, 'matrix.bin.gz'), gzip(Buffer.from(matrix.buffer)));
+// IPADIC may only be passed on with its copyright notice
+if (fs.existsSync(path.join(sourceDir, 'COPYING'))) {
+  fs.copyFileSync(path.join(sourceDir, 'COPYING'), path.join(outputDir, 'COPYING'));
+}
+
+console.log(`Wrote ${entries.length} words and a ${matrix[0]}x${matrix[1]} connection matrix to ${outputDir}`);
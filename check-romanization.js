@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+
+/**
+ * Check Korean romanization against its fixture table
+ * Romanizes every entry of modules/korean/romanization-fixtures.json with
+ * Hangul.romanize and lists the ones that don't match. Exits with 1 on a mismatch.
+ * Usage: node check-romanization.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const moduleFile = path.join(__dirname, 'modules', 'korean', 'hangul.js');
+const fixturesFile = path.join(__dirname, 'modules', 'korean', 'romanization-fixtures.json');
+
+async function main() {
+  // hangul.js is an ES module without imports; loading its source works on any Node with import()
+  const source = fs.readFileSync(moduleFile, 'utf8');
+  const { Hangul } = await import(`data:text/javascript,${encodeURIComponent(source)}`);
+  const { fixtures } = JSON.parse(fs.readFileSync(fixturesFile, 'utf8'));
+
+  let failed = 0;
+  for (const [text, expected, rule] of fixtures) {
+    const actual = Hangul.romanize(text);
+    if (actual !== expected) {
+      failed++;
+      console.error(`✗ ${text}: expected "${expected}", got "${actual}"${rule ? ` (${rule})` : ''}`);
+    }
+  }
+
+  console.log(`${fixtures.length - failed}/${fixtures.length} fixtures match`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -1,11 +1,76 @@
 /**
  * Content Script Loader
- * Loads modular code and provides a bridge for chrome.runtime access
+ * Loads modular code and provides a bridge for chrome.runtime and chrome.storage access
  */
 
 (function () {
   'use strict';
 
+  // Settings the page never sees: the translation server's key is added to its requests here
+  const SECRET_SETTINGS = ['translationApiKey'];
+
+  // Settings the panel in the page writes, each with a check of the values it accepts.
+  // Nothing else is written from the page; the translation server is set in the popup only.
+  const isFlag = (value) => typeof value === 'boolean';
+  const isId = (value) => typeof value === 'string' && /^[\w-]{1,32}$/.test(value);
+  const isIdList = (value) => Array.isArray(value) && value.length <= 32 && value.every(isId);
+  const PAGE_WRITABLE_SETTINGS = {
+    fontSize: (value) => Number.isFinite(value) && value >= 8 && value <= 64,
+    syncDelay: (value) => Number.isFinite(value) && Math.abs(value) <= 60000,
+    captionAlignment: isFlag,
+    backgroundMode: (value) => ['album', 'gradient', 'vinyl', 'none'].includes(value),
+    gradientTheme: isId,
+    highlightMode: (value) => value === 'line' || value === 'word',
+    showRomanization: isFlag,
+    hideOriginalLyrics: isFlag,
+    japaneseRomanization: (value) => ['hepburn', 'kunrei', 'furigana'].includes(value),
+    showTranslation: isFlag,
+    translationLanguage: (value) => typeof value === 'string' && /^[a-z]{2,3}$/.test(value),
+    estimatedWordTiming: isFlag,
+    parallelProviderSearch: isFlag,
+    providerOrder: isIdList,
+    disabledProviders: isIdList
+  };
+
+  /**
+   * Origin of a server address as typed in the popup (scheme optional)
+   * @returns {string|null}
+   */
+  function originOf(address) {
+    try {
+      return new URL(/^https?:\/\//i.test(address) ? address : `http://${address}`).origin;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Add the stored API key to a JSON request for the configured translation server.
+   * Requests to any other origin go out without it.
+   * @returns {Promise<Object>} Fetch options to send
+   */
+  function withTranslationKey(url, { withTranslationKey: _, ...options }) {
+    return new Promise((resolve) => {
+      chrome.storage.sync.get(['translationServerUrl', 'translationApiKey'], (stored) => {
+        const server = stored && stored.translationServerUrl ? originOf(stored.translationServerUrl) : null;
+        if (!stored || !stored.translationApiKey || !server || originOf(url) !== server) {
+          resolve(options);
+          return;
+        }
+        try {
+          const body = JSON.parse(options.body);
+          if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            resolve(options);
+            return;
+          }
+          resolve({ ...options, body: JSON.stringify({ ...body, api_key: stored.translationApiKey }) });
+        } catch {
+          resolve(options);
+        }
+      });
+    });
+  }
+
   // Create a message bridge for chrome.runtime access from page scripts
   // Page scripts can use window.postMessage to send requests, and we relay them to background
   window.addEventListener('message', async (event) => {
@@ -20,9 +85,11 @@
       const responseType = event.data.type === 'MUSIXMATCH_FETCH_REQUEST' ? 'MUSIXMATCH_FETCH_RESPONSE' : 'PROVIDER_FETCH_RESPONSE';
 
       try {
+        const request = options.withTranslationKey ? await withTranslationKey(url, options) : options;
+
         // Forward to background script via chrome.runtime
         chrome.runtime.sendMessage(
-          { type: 'FETCH_REQUEST', url: url, options: options },
+          { type: 'FETCH_REQUEST', url: url, options: request },
           (response) => {
             // Send response back to page script
             window.postMessage({
@@ -42,6 +109,49 @@
         }, '*');
       }
     }
+
+    // Settings live in chrome.storage.sync, which page scripts can't reach
+    if (event.data && event.data.type === 'SETTINGS_GET_REQUEST') {
+      chrome.storage.sync.get(event.data.keys || null, (values) => {
+        const visible = { ...values };
+        SECRET_SETTINGS.forEach(key => delete visible[key]);
+        window.postMessage({
+          type: 'SETTINGS_GET_RESPONSE',
+          requestId: event.data.requestId,
+          values: visible,
+          error: chrome.runtime.lastError ? chrome.runtime.lastError.message : null
+        }, '*');
+      });
+    }
+
+    if (event.data && event.data.type === 'SETTINGS_SET_REQUEST') {
+      const values = {};
+      for (const [key, value] of Object.entries(event.data.values || {})) {
+        if (PAGE_WRITABLE_SETTINGS.hasOwnProperty(key) && PAGE_WRITABLE_SETTINGS[key](value)) {
+          values[key] = value;
+        } else {
+          console.warn(`[Loader] Ignored setting from the page: ${key}`);
+        }
+      }
+      if (Object.keys(values).length > 0) {
+        chrome.storage.sync.set(values);
+      }
+    }
+  });
+
+  // Relay setting changes (popup, panel in another tab) to page scripts
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'sync') return;
+    const values = {};
+    for (const [key, { newValue }] of Object.entries(changes)) {
+      if (SECRET_SETTINGS.includes(key)) {
+        // The page only hears that the key changed, so it can retry translations
+        values.translationKeyRevision = Date.now();
+      } else {
+        values[key] = newValue;
+      }
+    }
+    window.postMessage({ type: 'SETTINGS_CHANGED', changes: values }, '*');
   });
 
   // Load modules in order
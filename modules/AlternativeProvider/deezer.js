@@ -6,9 +6,13 @@
  * Note: Currently may have CSRF token issues
  */
 
+import { LyricsAPI } from '../api.js';
+
 class Deezer {
   constructor(customFetch = null) {
+    this.id = 'deezer';
     this.providerName = 'Deezer';
+    this.capabilities = { synced: true, word: false, translation: false };
     this.SEARCH_ENDPOINT = 'https://api.deezer.com/search?q=';
     this.API_ENDPOINT = 'https://www.deezer.com/ajax/gw-light.php';
     this.token = 'null';
@@ -147,51 +151,92 @@ class Deezer {
   }
 
   /**
-   * Search for a track and get its lyrics (matches Musixmatch getLrc interface)
+   * Search for tracks (registry interface)
    * @param {string} searchTerm - Search query (song + artist)
-   * @returns {Promise<object>} - Lyrics object with synced property
+   * @returns {Promise<Array<object>>} - Track candidates
    */
-  async getLrc(searchTerm) {
-    try {
-      // Initialize token if not already done
-      if (this.token === 'null') {
-        await this.init();
-      }
+  async search(searchTerm) {
+    console.log(`[Deezer] Searching for: "${searchTerm}"`);
+    const url = this.SEARCH_ENDPOINT + encodeURIComponent(searchTerm);
 
-      console.log(`[Deezer] Searching for: "${searchTerm}"`);
-      const url = this.SEARCH_ENDPOINT + encodeURIComponent(searchTerm);
+    let response;
+    if (this.customFetch) {
+      response = await this.customFetch(url, { method: 'GET' });
+    } else {
+      response = await fetch(url);
+    }
 
-      let response;
-      if (this.customFetch) {
-        response = await this.customFetch(url, { method: 'GET' });
-      } else {
-        response = await fetch(url);
-      }
+    let searchResults;
+    if (typeof response.json === 'function') {
+      searchResults = await response.json();
+    } else {
+      searchResults = response;
+    }
 
-      let searchResults;
-      if (typeof response.json === 'function') {
-        searchResults = await response.json();
-      } else {
-        searchResults = response;
-      }
+    const data = searchResults?.data;
+    if (!data || data.length === 0) {
+      console.log('[Deezer] No search results found');
+      return [];
+    }
 
-      const data = searchResults?.data;
-      if (!data || data.length === 0) {
-        console.log('[Deezer] No search results found');
+    console.log(`[Deezer] Found ${data.length} tracks`);
+
+    return data.map(track => ({
+      id: track.id,
+      trackName: track.title,
+      artistName: track.artist?.name || '',
+      albumName: track.album?.title,
+      duration: track.duration,
+      raw: track
+    }));
+  }
+
+  /**
+   * Pick the best candidate (registry interface)
+   * @param {Array<object>} candidates - Track candidates from search()
+   * @param {object} hints - Search strategy with the original query
+   * @returns {object|null} - Best candidate or null
+   */
+  pickBest(candidates, hints = {}) {
+    const track = this._getBestMatch(candidates.map(c => c.raw), hints.query || '', hints.duration);
+    return track ? candidates.find(c => c.raw === track) : null;
+  }
+
+  /**
+   * Get lyrics by track ID (registry interface)
+   * @param {string|number} trackId - Deezer track ID
+   * @returns {Promise<object>} - Lyrics object with synced property
+   */
+  async fetchById(trackId) {
+    // Initialize token if not already done
+    if (this.token === 'null') {
+      await this.init();
+    }
+
+    return this.getLrcById(trackId);
+  }
+
+  /**
+   * Search for a track and get its lyrics (matches Musixmatch getLrc interface)
+   * @param {string} searchTerm - Search query (song + artist)
+   * @returns {Promise<object>} - Lyrics object with synced property
+   */
+  async getLrc(searchTerm) {
+    try {
+      const candidates = await this.search(searchTerm);
+      if (candidates.length === 0) {
         return null;
       }
 
-      console.log(`[Deezer] Found ${data.length} tracks`);
-
       // Find best match
-      const track = this._getBestMatch(data, searchTerm);
+      const track = this.pickBest(candidates, { query: searchTerm });
       if (!track) {
         console.log('[Deezer] No suitable match found');
         return null;
       }
 
-      console.log(`[Deezer] Best match: "${track.title}" by "${track.artist?.name}" (ID: ${track.id})`);
-      return await this.getLrcById(track.id);
+      console.log(`[Deezer] Best match: "${track.trackName}" by "${track.artistName}" (ID: ${track.id})`);
+      return await this.fetchById(track.id);
 
     } catch (error) {
       console.error('[Deezer] Error getting lyrics:', error);
@@ -203,9 +248,10 @@ class Deezer {
    * Find the best matching track from search results
    * @param {Array} tracks - Array of track objects
    * @param {string} searchTerm - Original search term
+   * @param {number|null} videoDuration - Video length in seconds
    * @returns {object|null} - Best matching track or null
    */
-  _getBestMatch(tracks, searchTerm) {
+  _getBestMatch(tracks, searchTerm, videoDuration = null) {
     if (!tracks || tracks.length === 0) {
       return null;
     }
@@ -222,14 +268,20 @@ class Deezer {
       // Calculate similarity score
       let score = this._similarity(normalizedSearch, normalizedTrack);
 
+      // Penalise a different cut of the song
+      score -= LyricsAPI.durationPenalty(track.duration, videoDuration) * 0.5;
+
       if (score > bestScore) {
         bestScore = score;
         bestMatch = track;
       }
     }
 
-    // Return match only if score is above threshold, otherwise first result
-    return bestScore >= 0.3 ? bestMatch : (tracks[0] || null);
+    // Return match only if score is above threshold, otherwise first result that fits the video
+    if (bestScore >= 0.3) {
+      return bestMatch;
+    }
+    return tracks.find(track => LyricsAPI.durationPenalty(track.duration, videoDuration) < 1) || null;
   }
 
   /**
@@ -1,34 +1,39 @@
+/**
+ * KuGou lyrics provider
+ *
+ * Browser port: requests go through the extension fetch bridge (the lyrics
+ * host is plain http and has no CORS headers). Prefers KRC downloads, which
+ * carry per-word timings and are converted to enhanced LRC, and falls back
+ * to the base64 LRC download.
+ */
+
+// XOR key applied to the zlib stream of KRC files
+const KRC_KEY = [64, 71, 97, 119, 94, 50, 116, 71, 81, 54, 49, 45, 206, 210, 110, 105];
+
 class KuGouLyricsProvider {
-  constructor(searchDepth = 5) {
+  /**
+   * @param {Function} customFetch - Fetch function routed through the background script
+   * @param {number} searchDepth - Number of search results to consider
+   */
+  constructor(customFetch = null, searchDepth = 5) {
+    this.id = 'kugou';
     this.providerName = 'KuGou';
+    this.capabilities = { synced: true, word: true, translation: false };
     this.searchDepth = searchDepth;
     this.searchUrl = 'https://songsearch.kugou.com/song_search_v2';
     this.accessKeyUrl = 'http://lyrics.kugou.com/search';
     this.lyricUrl = 'http://lyrics.kugou.com/download';
+    this.customFetch = customFetch;
   }
 
-  // Main method to get lyrics
-  async getLyrics(songName, artist, duration = null) {
-    try {
-      // Step 1: Search for the song
-      const searchResult = await this.searchSong(songName, artist);
-      
-      // Step 2: Get access key for lyrics
-      const accessKey = await this.getAccessKey(searchResult.fileHash);
-      
-      // Step 3: Download lyrics
-      const lyrics = await this.downloadLyrics(accessKey.id, accessKey.accessKey);
-      
-      return lyrics;
-    } catch (error) {
-      throw new Error(`Failed to get lyrics: ${error.message}`);
-    }
-  }
-
-  // Search for song
-  async searchSong(songName, artist) {
+  /**
+   * Search for songs (registry interface)
+   * @param {string} query - Search query (song + artist)
+   * @returns {Promise<Array<object>>} Track candidates
+   */
+  async search(query) {
     const params = new URLSearchParams({
-      keyword: `${songName} ${artist}`.trim(),
+      keyword: query.trim(),
       page: 1,
       pagesize: this.searchDepth,
       userid: '-1',
@@ -40,26 +45,103 @@ class KuGouLyricsProvider {
       privilege_filter: 0
     });
 
-    const response = await fetch(`${this.searchUrl}?${params}`, {
-      method: 'GET',
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
-    });
+    const data = await this._get(`${this.searchUrl}?${params}`);
 
-    const data = await response.json();
-    
     // Validate response
-    if ((data.error_code !== 0 && data.status !== 1) || !data.data?.lists || data.data.lists.length === 0) {
-      throw new Error('No matching songs found');
+    if ((data?.error_code !== 0 && data?.status !== 1) || !data.data?.lists) {
+      throw new Error('Search request failed');
     }
 
-    // Return first match
-    return {
-      fileHash: data.data.lists[0].FileHash,
-      songName: data.data.lists[0].SongName,
-      singerName: data.data.lists[0].SingerName
-    };
+    console.log(`[KuGou] Found ${data.data.lists.length} tracks for "${query}"`);
+
+    return data.data.lists.map(item => ({
+      id: item.FileHash,
+      trackName: this._stripTags(item.SongName),
+      artistName: this._stripTags(item.SingerName),
+      albumName: this._stripTags(item.AlbumName),
+      duration: item.Duration || null,
+      raw: item
+    }));
+  }
+
+  /**
+   * Pick best candidate (registry interface)
+   * @param {Array<object>} candidates - Track candidates from search()
+   * @param {{songName?: string, duration?: number}} hints - Parsed title info
+   * @returns {object|null}
+   */
+  pickBest(candidates, hints = {}) {
+    if (!candidates || candidates.length === 0) {
+      return null;
+    }
+
+    // KuGou search is very lenient, so require the title to line up
+    const wanted = this._normalize(hints.songName);
+    const titled = wanted
+      ? candidates.filter(c => {
+        const name = this._normalize(c.trackName);
+        return name && (name.includes(wanted) || wanted.includes(name));
+      })
+      : candidates;
+
+    if (titled.length === 0) {
+      console.log(`[KuGou] No candidate matches title "${hints.songName}"`);
+      return null;
+    }
+
+    if (hints.duration) {
+      const match = titled.find(c => c.duration && Math.abs(c.duration - hints.duration) < 3);
+      if (match) return match;
+    }
+
+    return titled[0];
+  }
+
+  /**
+   * Get lyrics by file hash (registry interface)
+   * @param {string} fileHash - KuGou file hash
+   * @returns {Promise<object|null>} Lyrics object with synced property
+   */
+  async fetchById(fileHash) {
+    const accessKey = await this.getAccessKey(fileHash);
+    if (!accessKey) {
+      return null;
+    }
+
+    // KRC has word timings; not every track has one
+    try {
+      const krc = await this.downloadLyrics(accessKey.id, accessKey.accessKey, 'krc');
+      const synced = this.krcToLrc(krc);
+      if (synced) {
+        return { id: fileHash, synced };
+      }
+    } catch (error) {
+      console.log('[KuGou] KRC download failed, trying LRC:', error.message);
+    }
+
+    const lrc = await this.downloadLyrics(accessKey.id, accessKey.accessKey, 'lrc');
+    return lrc ? { id: fileHash, synced: lrc } : null;
+  }
+
+  /**
+   * Search for a song and get its lyrics
+   * @param {string} songName - Song title
+   * @param {string} artist - Artist name
+   * @param {number|null} duration - Track length in seconds
+   * @returns {Promise<object|null>}
+   */
+  async getLyrics(songName, artist, duration = null) {
+    try {
+      const candidates = await this.search(`${songName} ${artist || ''}`);
+      const best = this.pickBest(candidates, { songName, duration });
+      if (!best) {
+        return null;
+      }
+      return await this.fetchById(best.id);
+    } catch (error) {
+      console.error('[KuGou] Error getting lyrics:', error);
+      return null;
+    }
   }
 
   // Get access key for lyrics
@@ -73,150 +155,155 @@ class KuGouLyricsProvider {
       timelength: ''
     });
 
-    const response = await fetch(`${this.accessKeyUrl}?${params}`, {
-      method: 'GET',
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
-    });
+    const data = await this._get(`${this.accessKeyUrl}?${params}`);
 
-    const data = await response.json();
-    
-    if (!data.candidates || data.candidates.length === 0) {
-      throw new Error('No lyrics access key found');
+    if (!data?.candidates || data.candidates.length === 0) {
+      console.log(`[KuGou] No lyrics access key found for ${fileHash}`);
+      return null;
     }
 
     const firstCandidate = data.candidates[0];
-    
+
     return {
       id: firstCandidate.id,
       accessKey: firstCandidate.accesskey
     };
   }
 
-  // Download and decode lyrics
-  async downloadLyrics(id, accessKey) {
+  /**
+   * Download and decode lyrics
+   * @param {string} id - Lyrics candidate ID
+   * @param {string} accessKey - Access key from getAccessKey()
+   * @param {'lrc'|'krc'} fmt - Download format
+   * @returns {Promise<string>} LRC text, or raw KRC text
+   */
+  async downloadLyrics(id, accessKey, fmt = 'lrc') {
     const params = new URLSearchParams({
       ver: 1,
       client: 'pc',
       id: id,
       accesskey: accessKey,
-      fmt: 'lrc',
+      fmt: fmt,
       charset: 'utf8'
     });
 
-    const response = await fetch(`${this.lyricUrl}?${params}`, {
-      method: 'GET',
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
-    });
+    const data = await this._get(`${this.lyricUrl}?${params}`);
 
-    const data = await response.json();
-    
     // Validate response
-    if (data.status !== 200) {
+    if (data?.status !== 200 || !data.content) {
       throw new Error('Failed to download lyrics');
     }
 
-    // Decode base64 lyrics
-    const lyricText = this.decodeBase64(data.content);
-    
-    return {
-      original: lyricText,
-      translation: null // KuGou typically doesn't provide translations
-    };
+    return fmt === 'krc'
+      ? this.decodeKrc(data.content)
+      : this.decodeBase64(data.content);
   }
 
-  // Decode base64 string
+  // Decode base64 string as UTF-8
   decodeBase64(base64String) {
-    if (!base64String) {
-      throw new Error('No lyrics content available');
-    }
-    
-    // Node.js environment
-    if (typeof Buffer !== 'undefined') {
-      return Buffer.from(base64String, 'base64').toString('utf8');
+    return new TextDecoder('utf-8').decode(this._base64ToBytes(base64String));
+  }
+
+  /**
+   * Decode a base64 KRC payload: "krc1" header, XOR-obfuscated zlib stream
+   * @param {string} base64String
+   * @returns {Promise<string>} KRC text
+   */
+  async decodeKrc(base64String) {
+    const bytes = this._base64ToBytes(base64String).subarray(4);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] ^= KRC_KEY[i % KRC_KEY.length];
     }
-    
-    // Browser environment
-    return decodeURIComponent(escape(atob(base64String)));
+
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Response(stream).text();
   }
 
-  // Parse LRC format to structured data (optional utility)
-  parseLRC(lrcText) {
-    const lines = lrcText.split('\n');
-    const lyrics = [];
-    const metadata = {};
-
-    const timeRegex = /\[(\d{2}):(\d{2})\.(\d{2,3})\]/g;
-    const metaRegex = /\[([a-z]+):([^\]]+)\]/i;
-
-    for (const line of lines) {
-      const metaMatch = line.match(metaRegex);
-      
-      if (metaMatch && !line.includes(':') || metaMatch && line.indexOf('[') === line.lastIndexOf('[')) {
-        // Metadata line like [ar:Artist] or [ti:Title]
-        metadata[metaMatch[1]] = metaMatch[2];
-      } else {
-        // Lyric line with timestamps
-        let match;
-        const timestamps = [];
-        
-        while ((match = timeRegex.exec(line)) !== null) {
-          const minutes = parseInt(match[1]);
-          const seconds = parseInt(match[2]);
-          const milliseconds = parseInt(match[3].padEnd(3, '0'));
-          const totalMs = (minutes * 60 + seconds) * 1000 + milliseconds;
-          timestamps.push(totalMs);
-        }
-
-        if (timestamps.length > 0) {
-          const text = line.replace(timeRegex, '').trim();
-          timestamps.forEach(time => {
-            lyrics.push({ time, text });
-          });
-        }
+  /**
+   * Convert KRC text to enhanced LRC
+   * KRC lines look like [startMs,durationMs]<offsetMs,durationMs,0>word...
+   * where word offsets are relative to the line start.
+   * @param {string} krcText
+   * @returns {string|null}
+   */
+  krcToLrc(krcText) {
+    if (!krcText) {
+      return null;
+    }
+
+    const lines = [];
+    const lineRegex = /^\[(\d+),(\d+)\](.*)$/;
+    const wordRegex = /<(\d+),(\d+),\d+>([^<]*)/g;
+
+    for (const raw of krcText.split(/\r?\n/)) {
+      const lineMatch = raw.trim().match(lineRegex);
+      if (!lineMatch) continue;
+
+      const lineStart = parseInt(lineMatch[1]);
+      let lrcLine = `[${this._formatTime(lineStart)}]`;
+      let hasWords = false;
+
+      let match;
+      wordRegex.lastIndex = 0;
+      while ((match = wordRegex.exec(lineMatch[3])) !== null) {
+        // Keep the word's own spacing so CJK lines don't gain spaces
+        if (!match[3]) continue;
+        lrcLine += `<${this._formatTime(lineStart + parseInt(match[1]))}>${match[3]}`;
+        hasWords = match[3].trim() !== '' || hasWords;
+      }
+
+      if (hasWords) {
+        // Closing stamp marks where the line ends
+        lines.push(`${lrcLine}<${this._formatTime(lineStart + parseInt(lineMatch[2]))}>`);
       }
     }
 
-    // Sort by time
-    lyrics.sort((a, b) => a.time - b.time);
+    return lines.length > 0 ? lines.join('\n') : null;
+  }
 
-    return {
-      metadata,
-      lyrics
-    };
+  async _get(url) {
+    const options = { method: 'GET' };
+
+    const response = this.customFetch
+      ? await this.customFetch(url, options)
+      : await fetch(url, options);
+
+    return typeof response.json === 'function' ? response.json() : response;
   }
-}
 
-// Usage example
-async function main() {
-  const provider = new KuGouLyricsProvider();
-  
-  try {
-    const lyrics = await provider.getLyrics('Taylor Swift', 'Love Story');
-    
-    console.log('Original Lyrics:');
-    console.log(lyrics.original);
-    
-    // Optional: Parse LRC format
-    console.log('\n--- Parsed LRC ---');
-    const parsed = provider.parseLRC(lyrics.original);
-    console.log('Metadata:', parsed.metadata);
-    console.log('First 5 lines:');
-    parsed.lyrics.slice(0, 5).forEach(line => {
-      const seconds = (line.time / 1000).toFixed(2);
-      console.log(`[${seconds}s] ${line.text}`);
-    });
-    
-  } catch (error) {
-    console.error('Error:', error.message);
+  _base64ToBytes(base64String) {
+    if (!base64String) {
+      throw new Error('No lyrics content available');
+    }
+
+    const binary = atob(base64String);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  _formatTime(ms) {
+    const totalCs = Math.round(ms / 10);
+    const mins = Math.floor(totalCs / 6000);
+    const secs = Math.floor((totalCs % 6000) / 100);
+    const cs = totalCs % 100;
+    return `${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(cs).padStart(2, '0')}`;
+  }
+
+  // Search results wrap the matched keyword in <em> tags
+  _stripTags(str) {
+    return (str || '').replace(/<\/?em>/g, '').trim();
+  }
+
+  _normalize(str) {
+    return (str || '')
+      .toLowerCase()
+      .replace(/\(.*?\)|\[.*?\]|（.*?）/g, '')
+      .replace(/[^\p{L}\p{N}]/gu, '');
   }
 }
 
-// Export for use as module
+export { KuGouLyricsProvider };
 export default KuGouLyricsProvider;
-
-// Uncomment to run example
-main();
\ No newline at end of file
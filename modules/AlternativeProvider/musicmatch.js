@@ -4,8 +4,13 @@
  * Based on https://github.com/Marekkon5/onetagger
  */
 
+import { LyricsAPI } from '../api.js';
+
 class Musixmatch {
     constructor(lang = null, enhanced = false, customFetch = null) {
+        this.id = 'musixmatch';
+        this.providerName = 'Musixmatch';
+        this.capabilities = { synced: true, word: true, translation: true };
         this.ROOT_URL = "https://apic-desktop.musixmatch.com/ws/1.1/";
         this.lang = lang;
         this.enhanced = enhanced;
@@ -117,24 +122,6 @@ class Musixmatch {
             ["subtitle_format", "lrc"]
         ]);
 
-        let translationsList = [];
-
-        if (this.lang !== null) {
-            const responseTr = await this._get("crowd.track.translations.get", [
-                ["track_id", trackId],
-                ["subtitle_format", "lrc"],
-                ["translation_fields_set", "minimal"],
-                ["selected_language", this.lang]
-            ]);
-
-            const dataTr = await responseTr.json();
-            const bodyTr = dataTr.message.body;
-
-            if (bodyTr && bodyTr.translations_list && bodyTr.translations_list.length > 0) {
-                translationsList = bodyTr.translations_list;
-            }
-        }
-
         if (!response.ok) {
             console.log('[Musixmatch] getLrcById response not ok');
             return null;
@@ -161,19 +148,49 @@ class Musixmatch {
             return null;
         }
 
-        let lrcStr = body.subtitle.subtitle_body;
+        const result = {
+            synced: body.subtitle.subtitle_body
+        };
 
-        if (this.lang !== null && translationsList.length > 0) {
-            for (const item of translationsList) {
-                const org = item.translation.subtitle_matched_line;
-                const tr = item.translation.description;
-                lrcStr = lrcStr.replace(org, `${org}\n(${tr})`);
-            }
+        if (this.lang !== null) {
+            result.translations = await this.getTranslations(trackId, this.lang);
         }
 
-        return {
-            synced: lrcStr
-        };
+        return result;
+    }
+
+    /**
+     * Crowd translations of a track's lyrics
+     * Each pairs the original line it was written for with its translation;
+     * lines are matched by text, so a repeated chorus has one entry.
+     * @param {string|number} trackId - Musixmatch track id
+     * @param {string} language - ISO 639-1 target language, e.g. 'en'
+     * @returns {Promise<Array<{original: string, translation: string}>>}
+     */
+    async getTranslations(trackId, language, retryOnAuth = true) {
+        const response = await this._get("crowd.track.translations.get", [
+            ["track_id", trackId],
+            ["subtitle_format", "lrc"],
+            ["translation_fields_set", "minimal"],
+            ["selected_language", language]
+        ]);
+
+        const data = await response.json();
+        if (data.message.header.status_code === 401) {
+            console.log('[Musixmatch] Got 401 on translations, clearing cached token');
+            this.clearToken();
+            return retryOnAuth ? this.getTranslations(trackId, language, false) : [];
+        }
+
+        const list = data.message.body?.translations_list || [];
+        console.log(`[Musixmatch] ${list.length} crowd translated lines (${language})`);
+
+        return list
+            .map(item => ({
+                original: item.translation?.subtitle_matched_line || '',
+                translation: item.translation?.description || ''
+            }))
+            .filter(pair => pair.original && pair.translation);
     }
 
     formatTime(seconds) {
@@ -233,22 +250,45 @@ class Musixmatch {
         return { synced: null };
     }
 
-    getBestMatch(tracks, searchTerm) {
+    getBestMatch(tracks, searchTerm, videoDuration = null) {
         if (!tracks || tracks.length === 0) return null;
 
         // Log all results for debugging
         console.log('[Musixmatch] All search results:');
         tracks.forEach((item, idx) => {
             const track = item.track;
-            console.log(`  [${idx}] "${track.track_name}" by "${track.artist_name}" (ID: ${track.track_id})`);
+            console.log(`  [${idx}] "${track.track_name}" by "${track.artist_name}" (ID: ${track.track_id}, ${track.track_length}s)`);
         });
 
-        // Simply return the first result (most relevant from API)
-        console.log('[Musixmatch] Picking first result as best match');
-        return tracks[0];
+        if (!videoDuration) {
+            // Simply return the first result (most relevant from API)
+            console.log('[Musixmatch] Picking first result as best match');
+            return tracks[0];
+        }
+
+        // Keep API relevance order, but prefer the track whose length fits the video
+        let best = null;
+        let bestPenalty = 1;
+        for (const item of tracks) {
+            const penalty = LyricsAPI.durationPenalty(item.track.track_length, videoDuration);
+            if (penalty < bestPenalty) {
+                best = item;
+                bestPenalty = penalty;
+            }
+        }
+
+        if (!best) {
+            console.log(`[Musixmatch] No result close to video length (${Math.round(videoDuration)}s)`);
+        }
+        return best;
     }
 
-    async getLrc(searchTerm, retryOnAuth = true) {
+    /**
+     * Search tracks (registry interface)
+     * @param {string} searchTerm - Search query
+     * @returns {Promise<Array<Object>>} Track candidates
+     */
+    async search(searchTerm, hints = {}, retryOnAuth = true) {
         console.log(`[Musixmatch] Searching for: "${searchTerm}"`);
 
         const response = await this._get("track.search", [
@@ -269,35 +309,51 @@ class Musixmatch {
 
             if (retryOnAuth) {
                 console.log('[Musixmatch] Retrying search with fresh token...');
-                return this.getLrc(searchTerm, false); // Retry once with fresh token
+                return this.search(searchTerm, hints, false); // Retry once with fresh token
             }
-            return null;
+            return [];
         }
 
         if (statusCode !== 200) {
             console.warn(`[Musixmatch] Got status code ${statusCode} for ${searchTerm}`);
-            return null;
+            return [];
         }
 
         const body = data.message.body;
 
-        if (typeof body !== "object" || body === null) {
-            return null;
+        if (typeof body !== "object" || body === null || !body.track_list) {
+            return [];
         }
 
-        const tracks = body.track_list;
-        console.log(`[Musixmatch] Found ${tracks ? tracks.length : 0} tracks`);
+        console.log(`[Musixmatch] Found ${body.track_list.length} tracks`);
 
-        const track = this.getBestMatch(tracks, searchTerm);
-
-        if (!track) {
-            console.log('[Musixmatch] No matching track found');
-            return null;
-        }
+        return body.track_list.map(item => ({
+            id: item.track.track_id,
+            trackName: item.track.track_name,
+            artistName: item.track.artist_name,
+            albumName: item.track.album_name,
+            duration: item.track.track_length,
+            raw: item
+        }));
+    }
 
-        const trackId = track.track.track_id;
-        console.log(`[Musixmatch] Best match: "${track.track.track_name}" by "${track.track.artist_name}" (ID: ${trackId})`);
+    /**
+     * Pick best candidate (registry interface)
+     * @param {Array<Object>} candidates - Track candidates from search()
+     * @returns {Object|null}
+     */
+    pickBest(candidates, hints = {}) {
+        const track = this.getBestMatch(candidates.map(c => c.raw), hints.query, hints.duration);
+        return track ? candidates.find(c => c.raw === track) : null;
+    }
 
+    /**
+     * Get lyrics by track id (registry interface)
+     * Prefers word-by-word richsync in enhanced mode, falls back to line sync
+     * @param {string|number} trackId - Musixmatch track id
+     * @returns {Promise<Object|null>}
+     */
+    async fetchById(trackId) {
         if (this.enhanced) {
             const lrc = await this.getLrcWordByWord(trackId);
             if (lrc && lrc.synced) {
@@ -308,6 +364,31 @@ class Musixmatch {
 
         return this.getLrcById(trackId);
     }
+
+    /**
+     * Whether an error means Musixmatch is rate limiting us and further
+     * strategies should be skipped
+     * @param {Error} error
+     * @returns {boolean}
+     */
+    isRateLimitError(error) {
+        const message = error?.message || '';
+        return message.includes('token') || message.includes('401') || message.includes('rate') || message.includes('retries');
+    }
+
+    async getLrc(searchTerm) {
+        const candidates = await this.search(searchTerm);
+        const track = this.pickBest(candidates, { query: searchTerm });
+
+        if (!track) {
+            console.log('[Musixmatch] No matching track found');
+            return null;
+        }
+
+        console.log(`[Musixmatch] Best match: "${track.trackName}" by "${track.artistName}" (ID: ${track.id})`);
+
+        return this.fetchById(track.id);
+    }
 }
 
 export { Musixmatch };
\ No newline at end of file
@@ -1,98 +1,127 @@
-import crypto from 'crypto';
+/**
+ * NetEase Cloud Music lyrics provider
+ *
+ * Browser port of the weapi client: the AES-128-CBC layers use WebCrypto and
+ * the RSA step is plain BigInt math, so no Node built-ins are needed.
+ * Requests go through the extension fetch bridge to bypass CORS.
+ */
+
+const WEAPI_NONCE = '0CoJUm6Qyw8W8jud';
+const WEAPI_IV = '0102030405060708';
+const WEAPI_PUBKEY = '010001';
+const WEAPI_MODULUS = '00e0b509f6259df8642dbc35662901477df22677ec152b5ff68ace615bb7b725152b3ab17a876aea8a5aa76d2e417629ec4ee341f56135fccf695280104e0312ecbda92557c93870114af6c9d05c4f7f0c3685b7a46bee255932575cce10b424d813cfe4875d3e82047b97ddef52741d546b8e289dc6935b3ece0462db0a22b8e7';
 
 class NetEaseLyricsProvider {
-  constructor() {
+  /**
+   * @param {Function} customFetch - Fetch function routed through the background script
+   * @param {number} searchDepth - Number of search results to consider
+   */
+  constructor(customFetch = null, searchDepth = 5) {
+    this.id = 'netease';
     this.providerName = 'NetEase';
+    this.capabilities = { synced: true, word: false, translation: true };
+    this.searchDepth = searchDepth;
     this.searchUrl = 'https://music.163.com/weapi/search/get';
     this.lyricUrl = 'https://music.163.com/weapi/song/lyric?csrf_token=';
-    this.referer = 'https://music.163.com';
-  }
-
-  // Main method to get lyrics
-  async getLyrics(songName, artist, duration = null, searchDepth = 5) {
-    try {
-      // Step 1: Search for the song
-      const songId = await this.searchSong(songName, artist, duration, searchDepth);
-      
-      // Step 2: Get lyrics using song ID
-      const lyrics = await this.downloadLyrics(songId);
-      
-      return lyrics;
-    } catch (error) {
-      throw new Error(`Failed to get lyrics: ${error.message}`);
-    }
+    this.customFetch = customFetch;
   }
 
-  // Search for song and return song ID
-  async searchSong(songName, artist, duration, searchDepth) {
-    const secretKey = this.createSecretKey(16);
-    const encSecKey = this.rsaEncrypt(secretKey);
-    
-    const searchParams = {
-      s: songName,
+  /**
+   * Search for songs (registry interface)
+   * @param {string} query - Search query (song + artist)
+   * @returns {Promise<Array<object>>} Track candidates
+   */
+  async search(query) {
+    const data = await this._post(this.searchUrl, {
+      s: query,
       type: 1,
-      limit: searchDepth,
+      limit: this.searchDepth,
       offset: 0
-    };
-
-    const encryptedData = this.prepareRequest(searchParams, secretKey, encSecKey);
-    
-    const response = await fetch(this.searchUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Referer': this.referer,
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      },
-      body: new URLSearchParams(encryptedData)
     });
 
-    const data = await response.json();
-    
-    // Validate response
-    if (data.code !== 200) {
-      throw new Error('Search request failed');
+    if (data?.code !== 200) {
+      throw new Error(`Search request failed (code ${data?.code})`);
     }
 
-    if (!data.result || !data.result.songs || data.result.songs.length === 0) {
-      throw new Error('No matching songs found');
-    }
+    const songs = data.result?.songs || [];
+    console.log(`[NetEase] Found ${songs.length} tracks for "${query}"`);
 
-    // Find best match based on song name and duration
-    return this.findBestMatch(data.result.songs, songName, duration);
+    return songs.map(song => ({
+      id: song.id,
+      trackName: song.name,
+      artistName: (song.artists || []).map(a => a.name).join(', '),
+      albumName: song.album?.name,
+      duration: song.duration ? song.duration / 1000 : null,
+      raw: song
+    }));
   }
 
-  // Download lyrics using song ID
-  async downloadLyrics(songId) {
-    const secretKey = this.createSecretKey(16);
-    const encSecKey = this.rsaEncrypt(secretKey);
-    
-    const lyricParams = {
+  /**
+   * Pick best candidate (registry interface)
+   * @param {Array<object>} candidates - Track candidates from search()
+   * @param {{songName?: string, duration?: number}} hints - Parsed title info
+   * @returns {object|null}
+   */
+  pickBest(candidates, hints = {}) {
+    return this.findBestMatch(candidates, hints.songName, hints.duration);
+  }
+
+  /**
+   * Get lyrics by song ID (registry interface)
+   * @param {number} songId - NetEase song ID
+   * @returns {Promise<object|null>} Lyrics object with synced/plain, and the Chinese
+   *   translation (tlyric, an LRC with the same timestamps) when the song has one
+   */
+  async fetchById(songId) {
+    const data = await this._post(this.lyricUrl, {
       id: songId,
       lv: -1,
-      tv: -1
-    };
-
-    const encryptedData = this.prepareRequest(lyricParams, secretKey, encSecKey);
-    
-    const response = await fetch(this.lyricUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Referer': this.referer,
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      },
-      body: new URLSearchParams(encryptedData)
+      tv: -1,
+      rv: -1
     });
 
-    const data = await response.json();
-    
-    return this.parseLyrics(data);
+    const lyrics = this.parseLyrics(data);
+    if (!lyrics.original) {
+      console.log(`[NetEase] ${lyrics.message} for song ${songId}`);
+      return null;
+    }
+
+    // Some uploads are plain text stored in the lrc field
+    const isSynced = /\[\d+:\d+/.test(lyrics.original);
+    return {
+      id: songId,
+      synced: isSynced ? lyrics.original : null,
+      plain: isSynced ? null : lyrics.original,
+      translation: isSynced ? lyrics.translation : null,
+      translationLanguage: 'zh',
+      romaji: lyrics.romaji
+    };
+  }
+
+  /**
+   * Search for a song and get its lyrics
+   * @param {string} songName - Song title
+   * @param {string} artist - Artist name
+   * @param {number|null} duration - Track length in seconds
+   * @returns {Promise<object|null>}
+   */
+  async getLyrics(songName, artist, duration = null) {
+    try {
+      const candidates = await this.search(`${songName} ${artist || ''}`.trim());
+      const best = this.findBestMatch(candidates, songName, duration);
+      if (!best) {
+        return null;
+      }
+      return await this.fetchById(best.id);
+    } catch (error) {
+      console.error('[NetEase] Error getting lyrics:', error);
+      return null;
+    }
   }
 
   // Parse and format lyrics
   parseLyrics(data) {
-    if (!data.lrc || !data.lrc.lyric) {
+    if (!data?.lrc || !data.lrc.lyric) {
       return {
         original: null,
         translation: null,
@@ -101,7 +130,7 @@ class NetEaseLyricsProvider {
     }
 
     const originalLyric = data.lrc.lyric;
-    
+
     // Check for instrumental track
     if (originalLyric.includes('纯音乐，请欣赏')) {
       return {
@@ -119,61 +148,109 @@ class NetEaseLyricsProvider {
   }
 
   // Find best matching song
-  findBestMatch(songs, songName, duration) {
-    if (songs.length === 1) {
-      return songs[0].id;
+  findBestMatch(candidates, songName, duration) {
+    if (!candidates || candidates.length === 0) {
+      return null;
+    }
+
+    // NetEase always returns something, so require the title to line up
+    const wanted = this._normalize(songName);
+    const titled = wanted
+      ? candidates.filter(c => {
+        const name = this._normalize(c.trackName);
+        return name && (name.includes(wanted) || wanted.includes(name));
+      })
+      : candidates;
+
+    if (titled.length === 0) {
+      console.log(`[NetEase] No candidate matches title "${songName}"`);
+      return null;
     }
 
     // Try to match by duration if provided
     if (duration) {
-      const durationMs = duration * 1000;
-      const match = songs.find(song => 
-        Math.abs(song.duration - durationMs) < 3000 // Within 3 seconds
-      );
-      if (match) return match.id;
+      const match = titled.find(c => c.duration && Math.abs(c.duration - duration) < 3); // Within 3 seconds
+      if (match) return match;
     }
 
-    // Return first match
-    return songs[0].id;
+    return titled[0];
+  }
+
+  /**
+   * POST a weapi-encrypted form
+   * @param {string} url - Endpoint URL
+   * @param {object} params - Request payload
+   * @returns {Promise<object>} Parsed JSON response
+   */
+  async _post(url, params) {
+    const secretKey = this.createSecretKey(16);
+    const encSecKey = this.rsaEncrypt(secretKey);
+    const encryptedData = await this.prepareRequest(params, secretKey, encSecKey);
+
+    const options = {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      // Plain string so the body survives the message bridge
+      body: new URLSearchParams(encryptedData).toString()
+    };
+
+    const response = this.customFetch
+      ? await this.customFetch(url, options)
+      : await fetch(url, options);
+
+    return typeof response.json === 'function' ? response.json() : response;
   }
 
   // Prepare encrypted request
-  prepareRequest(params, secretKey, encSecKey) {
+  async prepareRequest(params, secretKey, encSecKey) {
     const paramsStr = JSON.stringify(params);
-    const nonce = '0CoJUm6Qyw8W8jud';
-    
+
     // Double AES encryption
-    const firstEncrypt = this.aesEncrypt(paramsStr, nonce);
-    const secondEncrypt = this.aesEncrypt(firstEncrypt, secretKey);
-    
+    const firstEncrypt = await this.aesEncrypt(paramsStr, WEAPI_NONCE);
+    const secondEncrypt = await this.aesEncrypt(firstEncrypt, secretKey);
+
     return {
       params: secondEncrypt,
       encSecKey: encSecKey
     };
   }
 
-  // AES encryption
-  aesEncrypt(text, key) {
-    const iv = '0102030405060708';
-    const cipher = crypto.createCipheriv('aes-128-cbc', key, iv);
-    let encrypted = cipher.update(text, 'utf8', 'base64');
-    encrypted += cipher.final('base64');
-    return encrypted;
+  // AES-128-CBC encryption (WebCrypto pads with PKCS#7 like Node's cipher)
+  async aesEncrypt(text, key) {
+    const encoder = new TextEncoder();
+    const cryptoKey = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(key),
+      { name: 'AES-CBC' },
+      false,
+      ['encrypt']
+    );
+
+    const encrypted = await crypto.subtle.encrypt(
+      { name: 'AES-CBC', iv: encoder.encode(WEAPI_IV) },
+      cryptoKey,
+      encoder.encode(text)
+    );
+
+    let binary = '';
+    for (const byte of new Uint8Array(encrypted)) {
+      binary += String.fromCharCode(byte);
+    }
+    return btoa(binary);
   }
 
-  // RSA encryption
+  // RSA encryption (textbook RSA without padding, as the web client does)
   rsaEncrypt(text) {
-    const publicKey = '010001';
-    const modulus = '00e0b509f6259df8642dbc35662901477df22677ec152b5ff68ace615bb7b725152b3ab17a876aea8a5aa76d2e417629ec4ee341f56135fccf695280104e0312ecbda92557c93870114af6c9d05c4f7f0c3685b7a46bee255932575cce10b424d813cfe4875d3e82047b97ddef52741d546b8e289dc6935b3ece0462db0a22b8e7';
-    
     const reversedText = text.split('').reverse().join('');
-    const hexText = Buffer.from(reversedText, 'utf8').toString('hex');
-    
+    const hexText = Array.from(new TextEncoder().encode(reversedText))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+
     // Using BigInt for RSA calculation
     const num = BigInt('0x' + hexText);
-    const exp = BigInt('0x' + publicKey);
-    const mod = BigInt('0x' + modulus);
-    
+    const exp = BigInt('0x' + WEAPI_PUBKEY);
+    const mod = BigInt('0x' + WEAPI_MODULUS);
+
     const result = this.powMod(num, exp, mod);
     return result.toString(16).padStart(256, '0');
   }
@@ -182,7 +259,7 @@ class NetEaseLyricsProvider {
   powMod(base, exponent, modulus) {
     let result = 1n;
     base = base % modulus;
-    
+
     while (exponent > 0n) {
       if (exponent % 2n === 1n) {
         result = (result * base) % modulus;
@@ -190,48 +267,28 @@ class NetEaseLyricsProvider {
       exponent = exponent >> 1n;
       base = (base * base) % modulus;
     }
-    
+
     return result;
   }
 
   // Generate random secret key
   createSecretKey(length) {
     const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+    const random = crypto.getRandomValues(new Uint8Array(length));
     let result = '';
     for (let i = 0; i < length; i++) {
-      result += chars[Math.floor(Math.random() * chars.length)];
+      result += chars[random[i] % chars.length];
     }
     return result;
   }
-}
 
-// Usage example
-async function main() {
-  const provider = new NetEaseLyricsProvider();
-  
-  try {
-    const lyrics = await provider.getLyrics('Taylor Swift', 'Love Story');
-    
-    if (lyrics.original) {
-      console.log('Original Lyrics:');
-      console.log(lyrics.original);
-      
-      if (lyrics.translation) {
-        console.log('\nTranslation:');
-        console.log(lyrics.translation);
-      }
-    } else {
-      console.log(lyrics.message);
-    }
-  } catch (error) {
-    console.error('Error:', error.message);
+  _normalize(str) {
+    return (str || '')
+      .toLowerCase()
+      .replace(/\(.*?\)|\[.*?\]|（.*?）/g, '')
+      .replace(/[^\p{L}\p{N}]/gu, '');
   }
 }
 
-main();
-
-// Export for use as module
+export { NetEaseLyricsProvider };
 export default NetEaseLyricsProvider;
-
-// Uncomment to run example
-// main();
\ No newline at end of file
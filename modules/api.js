@@ -1,4 +1,7 @@
-import { API, ERROR_MESSAGES, CACHE_CONFIG, FILTER_WORDS } from './constants.js';
+import { API, ERROR_MESSAGES, CACHE_CONFIG, FILTER_WORDS, PROVIDER_CONFIG, LYRICS_TIMING } from './constants.js';
+import { LrcParser } from './parsers/LrcParser.js';
+import { TtmlParser } from './parsers/TtmlParser.js';
+import { SubtitleParser } from './parsers/SubtitleParser.js';
 
 /**
  * API Module - Handles all API interactions with retry logic and caching
@@ -246,7 +249,7 @@ export class LyricsAPI {
   /**
    * Search for lyrics with retry logic
    */
-  async searchLyrics(query, attemptCount = 0) {
+  async searchLyrics(query) {
     // Check cache first
     const cached = this.getCached(query);
     if (cached) {
@@ -254,7 +257,99 @@ export class LyricsAPI {
     }
 
     const url = `${API.BASE_URL}${API.SEARCH_ENDPOINT}?q=${encodeURIComponent(query)}`;
-    
+    const data = await this.fetchJson(url);
+
+    // Cache the result
+    this.setCache(query, data || []);
+
+    return data || [];
+  }
+
+  /**
+   * Get a single record by exact signature (track, artist, album, duration)
+   * LRCLIB matches duration within a couple of seconds.
+   * @param {{trackName: string, artistName: string, albumName?: string, duration: number}} signature
+   * @returns {Promise<Object|null>} LRCLIB record, or null when there is no exact match
+   */
+  async getLyricsBySignature({ trackName, artistName, albumName = '', duration }) {
+    const params = new URLSearchParams({
+      track_name: trackName,
+      artist_name: artistName,
+      duration: String(Math.round(duration))
+    });
+    if (albumName) {
+      params.set('album_name', albumName);
+    }
+
+    const cacheKey = `get:${params.toString()}`;
+    const cached = this.getCached(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const record = await this.fetchJson(`${API.BASE_URL}${API.GET_ENDPOINT}?${params}`);
+    if (record) {
+      this.setCache(cacheKey, record);
+    }
+    return record;
+  }
+
+  /**
+   * Get a record by LRCLIB id
+   * @param {number|string} id - LRCLIB record id
+   * @returns {Promise<Object|null>}
+   */
+  async getLyricsById(id) {
+    const cacheKey = `get:${id}`;
+    const cached = this.getCached(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const record = await this.fetchJson(`${API.BASE_URL}${API.GET_ENDPOINT}/${encodeURIComponent(id)}`);
+    if (record) {
+      this.setCache(cacheKey, record);
+    }
+    return record;
+  }
+
+  /**
+   * Find lyrics records, exact signature first when the title parse is trustworthy
+   * @param {string} query - Fuzzy search query
+   * @param {{songName?: string, artistName?: string, albumName?: string, duration?: number, confidence?: number}} hints
+   * @returns {Promise<Array<Object>>} Records (a single one on an exact hit)
+   */
+  async findLyrics(query, hints = {}) {
+    const { songName, artistName, albumName, duration, confidence = 0 } = hints;
+
+    if (songName && artistName && duration && confidence >= API.EXACT_MATCH_CONFIDENCE) {
+      try {
+        const record = await this.getLyricsBySignature({
+          trackName: songName,
+          artistName,
+          albumName,
+          duration
+        });
+        if (record) {
+          console.log(`[LRCLIB] Exact match for "${songName}" by "${artistName}" (ID: ${record.id})`);
+          return [record];
+        }
+        console.log('[LRCLIB] No exact match, falling back to search');
+      } catch (error) {
+        console.log('[LRCLIB] Exact lookup failed, falling back to search:', error.message);
+      }
+    }
+
+    return this.searchLyrics(query);
+  }
+
+  /**
+   * GET a JSON endpoint with timeout and retry
+   * @param {string} url
+   * @param {number} attemptCount - Retries made so far
+   * @returns {Promise<Object|Array|null>} Parsed body, or null on 404
+   */
+  async fetchJson(url, attemptCount = 0) {
     try {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), API.TIMEOUT);
@@ -268,23 +363,23 @@ export class LyricsAPI {
 
       clearTimeout(timeoutId);
 
+      // Not found is an answer, not a failure - don't retry
+      if (response.status === 404) {
+        return null;
+      }
+
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
 
-      const data = await response.json();
-      
-      // Cache the result
-      this.setCache(query, data);
-      
-      return data;
+      return await response.json();
 
     } catch (error) {
       // Retry logic with exponential backoff
       if (attemptCount < API.RETRY_ATTEMPTS) {
         const delay = API.RETRY_DELAY * Math.pow(2, attemptCount);
         await new Promise(resolve => setTimeout(resolve, delay));
-        return this.searchLyrics(query, attemptCount + 1);
+        return this.fetchJson(url, attemptCount + 1);
       }
 
       // All retries failed
@@ -298,12 +393,12 @@ export class LyricsAPI {
   /**
    * Find best matching lyrics from results with fuzzy matching
    */
-  findBestMatch(results, artistName = '', songName = '') {
+  findBestMatch(results, artistName = '', songName = '', videoDuration = null) {
     if (!results || results.length === 0) {
       return null;
     }
 
-    if (!artistName && !songName) {
+    if (!artistName && !songName && !videoDuration) {
       return results[0];
     }
 
@@ -332,6 +427,14 @@ export class LyricsAPI {
       if (result.syncedLyrics) {
         score += 0.1;
       }
+
+      // Penalty for a different cut of the song (radio edit vs extended mix)
+      score -= LyricsAPI.durationPenalty(result.duration, videoDuration) * 0.5;
+
+      // Synced lyrics that run past the end of the video can't be this video
+      if (LyricsAPI.exceedsDuration(result.syncedLyrics, videoDuration)) {
+        score -= 1;
+      }
       
       return { result, score };
     });
@@ -344,97 +447,230 @@ export class LyricsAPI {
       return scoredResults[0].result;
     }
 
-    // Low confidence, return first result
-    return results[0];
+    // Low confidence, return first result whose length fits the video
+    const fitting = results.find(result =>
+      LyricsAPI.durationPenalty(result.duration, videoDuration) < 1 &&
+      !LyricsAPI.exceedsDuration(result.syncedLyrics, videoDuration)
+    );
+    return fitting || null;
   }
 
   /**
-   * Parse synced lyrics from LRC format
+   * How far a track's length is from the video's, as a penalty from 0 to 1
+   * Unknown lengths are not penalised.
+   * @param {number|null} trackDuration - Track length in seconds
+   * @param {number|null} videoDuration - Video length in seconds
+   * @returns {number}
    */
-  parseSyncedLyrics(lrcString) {
+  static durationPenalty(trackDuration, videoDuration) {
+    if (!trackDuration || !videoDuration) {
+      return 0;
+    }
+
+    const diff = Math.abs(trackDuration - videoDuration) - PROVIDER_CONFIG.DURATION_TOLERANCE;
+    if (diff <= 0) {
+      return 0;
+    }
+    return Math.min(diff / PROVIDER_CONFIG.DURATION_MAX_DIFF, 1);
+  }
+
+  /**
+   * Get the last timestamp in an LRC string
+   * @param {string} lrcString - LRC formatted lyrics
+   * @returns {number} Time in seconds, 0 if there are no timestamps
+   */
+  static getLastTimestamp(lrcString) {
     if (!lrcString) {
-      return [];
+      return 0;
+    }
+
+    let last = 0;
+    for (const line of LrcParser.parse(lrcString).lines) {
+      last = Math.max(last, line.endTime ?? line.time);
+    }
+    return last;
+  }
+
+  /**
+   * Whether synced lyrics have lines after the end of the video
+   * @param {string} lrcString - LRC formatted lyrics
+   * @param {number|null} videoDuration - Video length in seconds
+   * @returns {boolean}
+   */
+  static exceedsDuration(lrcString, videoDuration) {
+    if (!lrcString || !videoDuration) {
+      return false;
+    }
+    return LyricsAPI.getLastTimestamp(lrcString) > videoDuration + PROVIDER_CONFIG.DURATION_TOLERANCE;
+  }
+
+  /**
+   * Parse LRC/A2 lyrics with their header tags
+   * @param {string} lrcString - LRC formatted lyrics
+   * @returns {{metadata: Object, lines: Array<Object>}}
+   */
+  parseLrc(lrcString) {
+    try {
+      const { metadata, lines } = LrcParser.parse(lrcString);
+      this.addEstimatedWordTimings(lines);
+      return { metadata, lines };
+    } catch (error) {
+      console.log('[LRC] Failed to parse lyrics:', error.message);
+      return { metadata: {}, lines: [] };
     }
+  }
 
+  /**
+   * Parse TTML lyrics (syllables, background vocals, singers)
+   * @param {string} ttmlString - TTML XML
+   * @returns {{metadata: Object, lines: Array<Object>}}
+   */
+  parseTtml(ttmlString) {
     try {
-      const lines = lrcString.split('\n');
-      const syncedLyrics = [];
+      return TtmlParser.parse(ttmlString);
+    } catch (error) {
+      console.log('[TTML] Failed to parse lyrics:', error.message);
+      return { metadata: {}, lines: [] };
+    }
+  }
 
-      for (const line of lines) {
-        // Match LRC format: [mm:ss.xx] or [mm:ss]
-        const match = line.match(/\[(\d+):(\d+)\.?(\d+)?\]\s*(.+)/);
-        
-        if (match) {
-          const minutes = parseInt(match[1]);
-          const seconds = parseInt(match[2]);
-          const centiseconds = match[3] ? parseInt(match[3]) : 0;
-          const text = match[4].trim();
-
-          if (text) {
-            const timeInSeconds = minutes * 60 + seconds + centiseconds / 100;
-            const lyricObj = {
-              time: timeInSeconds,
-              text: text
-            };
-            
-            // Try to parse word-level timing from enhanced LRC format
-            // Format: <mm:ss.xx>word <mm:ss.xx>word2
-            const wordTimings = this.parseWordTimings(text, timeInSeconds);
-            if (wordTimings.length > 0) {
-              lyricObj.words = wordTimings;
-            }
-            
-            syncedLyrics.push(lyricObj);
-          }
-        }
+  /**
+   * Parse synced lyrics from LRC or TTML format
+   */
+  parseSyncedLyrics(lyricsString) {
+    if (TtmlParser.isTtml(lyricsString)) {
+      return this.parseTtml(lyricsString).lines;
+    }
+    return this.parseLrc(lyricsString).lines;
+  }
+
+  /**
+   * Detect the format of a lyrics file
+   * @param {string} text - File contents
+   * @param {string} [fileName] - Used when the contents are ambiguous
+   * @returns {'lrc'|'srt'|'vtt'|'ttml'|'txt'}
+   */
+  static detectFormat(text, fileName = '') {
+    // Contents win over the extension; .txt files often hold LRC
+    if (TtmlParser.isTtml(text)) return 'ttml';
+    if (SubtitleParser.isVtt(text)) return 'vtt';
+    if (SubtitleParser.isSrt(text)) return 'srt';
+    if (/^\s*\[\d+:\d{1,2}(?:[.:]\d+)?\]/m.test(text || '')) return 'lrc';
+
+    const extension = (fileName.match(/\.([a-z0-9]+)$/i) || [])[1]?.toLowerCase();
+    const byExtension = { lrc: 'lrc', srt: 'srt', vtt: 'vtt', ttml: 'ttml', xml: 'ttml' };
+    return byExtension[extension] || 'txt';
+  }
+
+  /**
+   * Parse a user-supplied lyrics file into the synced line model
+   * @param {string} text - File contents
+   * @param {string} [fileName] - Original file name
+   * @returns {{format: string, lines?: Array<Object>, plain?: string, metadata: Object}|null}
+   *   lines for timed formats, plain for text files, null when nothing usable was found
+   */
+  parseLyricsFile(text, fileName = '') {
+    if (!text || !text.trim()) {
+      return null;
+    }
+
+    const format = LyricsAPI.detectFormat(text, fileName);
+
+    if (format === 'txt') {
+      const plain = text.replace(/\r\n/g, '\n').trim();
+      return { format, plain, metadata: {} };
+    }
+
+    let parsed;
+    if (format === 'ttml') {
+      parsed = this.parseTtml(text);
+    } else if (format === 'srt' || format === 'vtt') {
+      parsed = SubtitleParser.parse(text);
+      this.addEstimatedWordTimings(parsed.lines);
+    } else {
+      parsed = this.parseLrc(text);
+    }
+
+    if (parsed.lines.length === 0) {
+      return null;
+    }
+
+    return { format, lines: parsed.lines, metadata: parsed.metadata };
+  }
+
+  /**
+   * Give lines without word stamps estimated word timings
+   * @param {Array<Object>} lines - Parsed lines, updated in place
+   */
+  addEstimatedWordTimings(lines) {
+    lines.forEach((line, index) => {
+      if (line.words && line.words.length > 0) return;
+
+      const nextTime = line.endTime ?? lines[index + 1]?.time ?? null;
+      const wordTimings = this.estimateWordTimings(line.text, line.time, nextTime);
+      if (wordTimings.length > 0) {
+        line.words = wordTimings;
+        line.wordsEstimated = true;
       }
+    });
+  }
 
-      return syncedLyrics.sort((a, b) => a.time - b.time);
-    } catch (error) {
+  /**
+   * Estimate word timings for a line that has none
+   * Words are spread over the gap to the next line, weighted by syllable
+   * count, and flagged as estimated so renderers can tell them apart.
+   * @param {string} text - Line text
+   * @param {number} lineTime - Line start in seconds
+   * @param {number|null} nextTime - Where the line ends (end stamp or next line)
+   * @returns {Array<{word: string, time: number, estimated: boolean}>}
+   */
+  estimateWordTimings(text, lineTime, nextTime = null) {
+    const plainWords = (text || '').split(/\s+/).filter(Boolean);
+    if (plainWords.length === 0) {
       return [];
     }
+
+    const weights = plainWords.map(word => LyricsAPI.estimateSyllables(word));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+    // Long gaps are usually instrumental, so don't stretch words across them
+    let span = totalWeight * LYRICS_TIMING.SECONDS_PER_SYLLABLE;
+    if (nextTime !== null && nextTime > lineTime) {
+      span = Math.min(nextTime - lineTime, totalWeight * LYRICS_TIMING.MAX_SECONDS_PER_SYLLABLE);
+    }
+
+    let elapsed = 0;
+    return plainWords.map((word, index) => {
+      const time = lineTime + (elapsed / totalWeight) * span;
+      elapsed += weights[index];
+      return { word, time, estimated: true };
+    });
   }
 
   /**
-   * Parse word-level timings from lyrics text
-   * Supports formats like: <00:12.34>word <00:12.56>another
+   * Rough syllable count used to weight estimated word timings
+   * @param {string} word
+   * @returns {number}
    */
-  parseWordTimings(text, lineTime) {
-    const words = [];
-    
-    // Check if text contains word-level timing markers
-    const wordTimingRegex = /<(\d+):(\d+)\.(\d+)>([^<]+)/g;
-    let match;
-    let hasWordTimings = false;
-    
-    while ((match = wordTimingRegex.exec(text)) !== null) {
-      hasWordTimings = true;
-      const minutes = parseInt(match[1]);
-      const seconds = parseInt(match[2]);
-      const centiseconds = parseInt(match[3]);
-      const word = match[4].trim();
-      
-      words.push({
-        word: word,
-        time: minutes * 60 + seconds + centiseconds / 100
-      });
+  static estimateSyllables(word) {
+    // Kana, CJK ideographs and Hangul blocks are one syllable each
+    const blocks = word.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/g);
+    if (blocks) {
+      return blocks.length;
     }
-    
-    // If no word timings found, estimate based on word position
-    if (!hasWordTimings && text) {
-      const plainWords = text.split(/\s+/);
-      const wordsPerSecond = 2.5; // Average speaking rate
-      const timePerWord = 1 / wordsPerSecond;
-      
-      plainWords.forEach((word, index) => {
-        words.push({
-          word: word,
-          time: lineTime + (index * timePerWord)
-        });
-      });
+
+    const lower = word.toLowerCase();
+    const vowelGroups = lower.match(/[aeiouyà-ÿ]+/g);
+    if (!vowelGroups) {
+      return Math.max(1, Math.ceil(word.length / 3));
     }
-    
-    return words;
+
+    // Silent trailing "e" (love, time)
+    let count = vowelGroups.length;
+    if (count > 1 && /[^aeiouy]e$/.test(lower)) {
+      count--;
+    }
+    return count;
   }
 
   /**
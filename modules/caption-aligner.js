@@ -0,0 +1,274 @@
+/**
+ * Caption Aligner Module - Estimate a sync offset from the video's own captions
+ *
+ * Lyrics lines are matched against the caption text (uploader captions or
+ * YouTube's auto-generated ones). Each confident match is an anchor: how far
+ * the caption for that line sits from the lyrics timestamp. The best chain of
+ * anchors in song order gives the global offset, and a jump that holds for
+ * several lines marks a section the video cut or extended.
+ *
+ * @example
+ * const result = CaptionAligner.align(lines, cues);
+ * // { delay: -350, segments: [{ start: 0, delay: 0 }, { start: 92.4, delay: -8000 }], anchors: 31, coverage: 0.72 }
+ */
+
+// Share of a line's tokens a caption window must contain to count as a match
+const MIN_MATCH_SCORE = 0.6;
+// Lines with fewer tokens match too easily to be trusted
+const MIN_LINE_TOKENS = 3;
+// Anchors this close (seconds) agree on the offset
+const OFFSET_TOLERANCE = 0.75;
+// Chain score lost each time the offset jumps between anchors
+const OFFSET_CHANGE_PENALTY = 1.5;
+// Matches kept per line; a chorus line matches every chorus
+const MAX_CANDIDATES = 6;
+// Matches of one line closer than this (seconds) are the same occurrence
+const CANDIDATE_SPACING = 2;
+// Offsets beyond this are treated as a wrong match
+const MAX_OFFSET = 60;
+// Anchors needed for any result, and for a section of its own
+const MIN_ANCHORS = 4;
+const MIN_SECTION_ANCHORS = 2;
+// Share of usable lines that must be anchored
+const MIN_COVERAGE = 0.2;
+// Seconds per token when a line or cue has no word timings
+const SECONDS_PER_TOKEN = 0.6;
+
+// Scripts written without spaces are matched character by character
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]/u;
+const TOKEN_RUN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]|[^\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]+/gu;
+
+export class CaptionAligner {
+  /**
+   * Estimate how far the lyrics are from the captions
+   * @param {Array<Object>} lines - Synced lyrics lines ({ time, text, endTime?, words? })
+   * @param {Array<Object>} cues - Caption cues from YouTubeCaptionParser
+   * @returns {{delay: number, segments: Array<{start: number, delay: number}>, anchors: number, coverage: number}|null}
+   *   delay is in ms for LyricsSync; segments hold delays relative to it, each
+   *   applying from a lyrics time onwards (empty when one offset fits the whole song)
+   */
+  static align(lines, cues) {
+    const captionTokens = [];
+    cues.forEach(cue => captionTokens.push(...CaptionAligner.timedTokens(cue, cue.endTime)));
+    captionTokens.sort((a, b) => a.time - b.time);
+    if (captionTokens.length === 0) return null;
+
+    // Token -> positions in the caption stream
+    const positions = new Map();
+    captionTokens.forEach((entry, position) => {
+      if (!positions.has(entry.token)) positions.set(entry.token, []);
+      positions.get(entry.token).push(position);
+    });
+
+    const matches = [];
+    let usableLines = 0;
+    lines.forEach((line, lineIndex) => {
+      const next = lines[lineIndex + 1];
+      const endTime = typeof line.endTime === 'number' ? line.endTime : next?.time;
+      const tokens = CaptionAligner.timedTokens(line, endTime);
+      if (tokens.length < MIN_LINE_TOKENS) return;
+
+      usableLines++;
+      const candidates = CaptionAligner.findCandidates(tokens, captionTokens, positions);
+      if (candidates.length > 0) {
+        matches.push({ lineIndex, lineTime: line.time, candidates });
+      }
+    });
+
+    const chain = CaptionAligner.bestChain(matches);
+    const sections = CaptionAligner.sections(chain);
+    const anchors = sections.reduce((count, section) => count + section.anchors, 0);
+    const coverage = usableLines > 0 ? anchors / usableLines : 0;
+
+    if (anchors < MIN_ANCHORS || coverage < MIN_COVERAGE) {
+      return null;
+    }
+
+    // The longest section is the song body; the rest are relative to it
+    const main = sections.reduce((best, section) => (section.anchors > best.anchors ? section : best));
+    const toDelay = offset => Math.round(-offset * 100) * 10;
+    const delay = toDelay(main.offset);
+
+    const segments = sections.length > 1
+      ? sections.map((section, i) => ({ start: i === 0 ? 0 : section.start, delay: toDelay(section.offset) - delay }))
+      : [];
+
+    return { delay, segments, anchors, coverage };
+  }
+
+  /**
+   * Split text into comparable tokens
+   * @param {string} text
+   * @returns {string[]}
+   */
+  static tokenize(text) {
+    const normalized = (text || '').normalize('NFKC').toLowerCase().replace(/['’]/g, '');
+    const tokens = [];
+    for (const word of normalized.match(/[\p{L}\p{N}]+/gu) || []) {
+      if (UNSPACED_SCRIPT.test(word)) {
+        tokens.push(...word.match(TOKEN_RUN));
+      } else {
+        tokens.push(word);
+      }
+    }
+    return tokens;
+  }
+
+  /**
+   * Tokens of a line or cue, each with the time it is sung
+   * Real word timings are used when present, otherwise tokens are spread
+   * evenly from the start (capped so a long gap doesn't stretch them).
+   * @param {{time: number, text: string, words?: Array<Object>, wordsEstimated?: boolean}} item
+   * @param {number} [endTime]
+   * @returns {Array<{token: string, time: number}>}
+   */
+  static timedTokens(item, endTime) {
+    if (item.words?.length && !item.wordsEstimated && !item.words.some(word => word.estimated)) {
+      const out = [];
+      item.words.forEach(word => {
+        CaptionAligner.tokenize(word.word).forEach(token => out.push({ token, time: word.time }));
+      });
+      return out;
+    }
+
+    const tokens = CaptionAligner.tokenize(item.text);
+    const natural = item.time + tokens.length * SECONDS_PER_TOKEN;
+    const end = typeof endTime === 'number' && endTime > item.time ? Math.min(endTime, natural) : natural;
+    const step = tokens.length > 0 ? (end - item.time) / tokens.length : 0;
+
+    return tokens.map((token, i) => ({ token, time: item.time + i * step }));
+  }
+
+  /**
+   * Find the places in the captions where a line is sung
+   * @param {Array<{token: string, time: number}>} tokens - Line tokens
+   * @param {Array<{token: string, time: number}>} captionTokens
+   * @param {Map<string, number[]>} positions
+   * @returns {Array<{time: number, delta: number, score: number}>} Best first
+   */
+  static findCandidates(tokens, captionTokens, positions) {
+    // Window starts that line up one of the line's tokens with the captions
+    const starts = new Set();
+    tokens.forEach((entry, offset) => {
+      (positions.get(entry.token) || []).forEach(position => {
+        starts.add(Math.max(0, position - offset));
+      });
+    });
+
+    const windowSize = tokens.length + 2;
+    const found = [];
+    for (const start of starts) {
+      const window = captionTokens.slice(start, start + windowSize);
+      const used = new Set();
+      const deltas = [];
+
+      // Pair tokens in order, each caption token at most once
+      for (const entry of tokens) {
+        const match = window.findIndex((candidate, i) => !used.has(i) && candidate.token === entry.token);
+        if (match === -1) continue;
+        used.add(match);
+        deltas.push(window[match].time - entry.time);
+      }
+
+      const score = deltas.length / tokens.length;
+      if (score < MIN_MATCH_SCORE) continue;
+
+      const delta = CaptionAligner.median(deltas);
+      if (Math.abs(delta) > MAX_OFFSET) continue;
+      found.push({ time: window[0].time, delta, score });
+    }
+
+    // One candidate per occurrence of the line
+    found.sort((a, b) => b.score - a.score);
+    const kept = [];
+    for (const candidate of found) {
+      if (kept.some(other => Math.abs(other.time - candidate.time) < CANDIDATE_SPACING)) continue;
+      kept.push(candidate);
+      if (kept.length >= MAX_CANDIDATES) break;
+    }
+    return kept;
+  }
+
+  /**
+   * Pick one candidate per line (or none) so caption times keep increasing,
+   * scoring matches and penalising offset jumps
+   * @param {Array<{lineIndex: number, lineTime: number, candidates: Array<Object>}>} matches
+   * @returns {Array<{lineIndex: number, lineTime: number, delta: number}>}
+   */
+  static bestChain(matches) {
+    const table = matches.map(match => match.candidates.map(candidate => ({ total: candidate.score, previous: null })));
+    let best = null;
+
+    matches.forEach((match, k) => {
+      match.candidates.forEach((candidate, c) => {
+        const cell = table[k][c];
+
+        for (let pk = 0; pk < k; pk++) {
+          matches[pk].candidates.forEach((previous, pc) => {
+            if (previous.time >= candidate.time) return;
+            const jump = Math.abs(previous.delta - candidate.delta) > OFFSET_TOLERANCE ? OFFSET_CHANGE_PENALTY : 0;
+            const total = table[pk][pc].total + candidate.score - jump;
+            if (total > cell.total) {
+              cell.total = total;
+              cell.previous = [pk, pc];
+            }
+          });
+        }
+
+        if (!best || cell.total > table[best[0]][best[1]].total) {
+          best = [k, c];
+        }
+      });
+    });
+
+    const chain = [];
+    for (let at = best; at; at = table[at[0]][at[1]].previous) {
+      const match = matches[at[0]];
+      chain.unshift({ lineIndex: match.lineIndex, lineTime: match.lineTime, delta: match.candidates[at[1]].delta });
+    }
+    return chain;
+  }
+
+  /**
+   * Group a chain into sections that share an offset
+   * Stray anchors (fewer than MIN_SECTION_ANCHORS in a row) are dropped.
+   * @param {Array<{lineTime: number, delta: number}>} chain
+   * @returns {Array<{start: number, offset: number, anchors: number}>}
+   */
+  static sections(chain) {
+    const groups = [];
+    for (const anchor of chain) {
+      const current = groups[groups.length - 1];
+      if (current && Math.abs(anchor.delta - CaptionAligner.median(current.deltas)) <= OFFSET_TOLERANCE) {
+        current.deltas.push(anchor.delta);
+      } else {
+        groups.push({ start: anchor.lineTime, deltas: [anchor.delta] });
+      }
+    }
+
+    const sections = [];
+    for (const group of groups.filter(g => g.deltas.length >= MIN_SECTION_ANCHORS)) {
+      const previous = sections[sections.length - 1];
+      // Neighbours that only differed because of a dropped stray
+      if (previous && Math.abs(CaptionAligner.median(previous.deltas) - CaptionAligner.median(group.deltas)) <= OFFSET_TOLERANCE) {
+        previous.deltas.push(...group.deltas);
+        continue;
+      }
+      sections.push(group);
+    }
+
+    return sections.map(section => ({
+      start: section.start,
+      offset: CaptionAligner.median(section.deltas),
+      anchors: section.deltas.length
+    }));
+  }
+
+  static median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+}
+
+export default CaptionAligner;
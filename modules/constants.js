@@ -2,6 +2,8 @@
 export const API = {
   BASE_URL: 'https://lrclib.net/api',
   SEARCH_ENDPOINT: '/search',
+  GET_ENDPOINT: '/get',
+  EXACT_MATCH_CONFIDENCE: 0.8, // TitleParser confidence needed to try an exact signature lookup
   TIMEOUT: 10000,
   RETRY_ATTEMPTS: 2,
   RETRY_DELAY: 1000
@@ -72,6 +74,7 @@ export const UI_CONFIG = {
   SYNC_DELAY_STEP: 100,
   SCROLL_OFFSET: 200,
   LYRIC_TIME_THRESHOLD: 2, // seconds
+  TIMING_NUDGE_STEP: 0.1, // seconds per arrow key press in timing correction mode
   
   // Apple Music Style
   APPLE_MUSIC_STYLE: {
@@ -95,7 +98,11 @@ export const STORAGE_KEYS = {
   BACKGROUND_COLOR: 'backgroundColor',
   TEXT_COLOR: 'textColor',
   SYNC_DELAY: 'syncDelay',
-  LYRICS_CACHE: 'lyricsCache'
+  LYRICS_CACHE: 'lyricsCache',
+  LOCAL_LYRICS: 'localLyricsFiles', // User-loaded lyrics files, keyed by video id
+  TIMING_PATCHES: 'lyricsTimingPatches', // Per-line timing corrections, keyed by video id
+  SYNC_OFFSETS: 'syncOffsets', // Sync delays per video and lyrics track
+  PROVIDER_TRACKS: 'lyricsProviderTracks' // Provider record chosen per video, refetched by id
 };
 
 // Error Messages
@@ -113,6 +120,50 @@ export const CACHE_CONFIG = {
   EXPIRY_TIME: 86400000 // 24 hours in milliseconds
 };
 
+// Lyrics files the user loads, kept in youtube.com's localStorage next to the other per-video stores
+export const LOCAL_LYRICS_CONFIG = {
+  MAX_FILE_SIZE: 512 * 1024, // bytes; lyrics files are tiny, anything bigger is probably the wrong file
+  MAX_STORE_SIZE: 1500000 // characters all saved files may take, leaving the rest of the ~5M quota to YouTube and the other stores
+};
+
+// Lyrics Provider Configuration
+export const PROVIDER_CONFIG = {
+  RACE_DEADLINE: 4000, // ms to wait for parallel providers before showing the best result
+  DURATION_TOLERANCE: 3, // seconds a track may differ from the video without penalty
+  DURATION_MAX_DIFF: 30 // seconds of difference that earns the full penalty
+};
+
+// Estimated Word Timing (lines without word stamps)
+export const LYRICS_TIMING = {
+  SECONDS_PER_SYLLABLE: 0.25, // Used when the line's end is unknown
+  MAX_SECONDS_PER_SYLLABLE: 0.75 // Cap so words don't drag across instrumental gaps
+};
+
+// How Japanese lyrics are romanized
+export const JAPANESE_ROMANIZATION_MODES = [
+  { value: 'hepburn', label: 'Hepburn' },
+  { value: 'kunrei', label: 'Kunrei-shiki' },
+  { value: 'furigana', label: 'Furigana' }
+];
+
+// Target languages offered for lyrics translations (ISO 639-1)
+export const TRANSLATION_LANGUAGES = [
+  { value: 'en', label: 'English' },
+  { value: 'es', label: 'Spanish' },
+  { value: 'pt', label: 'Portuguese' },
+  { value: 'fr', label: 'French' },
+  { value: 'de', label: 'German' },
+  { value: 'it', label: 'Italian' },
+  { value: 'id', label: 'Indonesian' },
+  { value: 'vi', label: 'Vietnamese' },
+  { value: 'th', label: 'Thai' },
+  { value: 'tr', label: 'Turkish' },
+  { value: 'ru', label: 'Russian' },
+  { value: 'ja', label: 'Japanese' },
+  { value: 'ko', label: 'Korean' },
+  { value: 'zh', label: 'Chinese' }
+];
+
 // Preset Gradients for Background
 export const PRESET_GRADIENTS = [
   { name: 'Sunset', colors: ['#FF6B6B', '#FFE66D', '#4ECDC4', '#FF6B9D'] },
@@ -138,6 +189,11 @@ export const CONSTANTS = {
   STORAGE_KEYS,
   ERROR_MESSAGES,
   CACHE_CONFIG,
+  LOCAL_LYRICS_CONFIG,
+  PROVIDER_CONFIG,
+  LYRICS_TIMING,
+  JAPANESE_ROMANIZATION_MODES,
+  TRANSLATION_LANGUAGES,
   PRESET_GRADIENTS,
   KOREAN_RANGE: KOREAN_CHAR_RANGE,
   MESSAGES: ERROR_MESSAGES
@@ -7,6 +7,7 @@ import { ColorExtractor } from './color-utils.js';
 import { Maid } from './utils/Maid.js';
 import { Signal } from './utils/Signal.js';
 import { LyricsRenderer } from './lyrics/LyricsRenderer.js';
+import { Furigana } from './lyrics/Furigana.js';
 
 export class FullscreenManager {
   constructor(backgroundManager) {
@@ -185,6 +186,15 @@ export class FullscreenManager {
         font-weight: inherit !important;
       }
       
+      /* Furigana above kanji, in the line's color */
+      #fullscreen-lyrics-container ruby rt {
+        font-size: 0.4em !important;
+        font-weight: 600 !important;
+        letter-spacing: 0 !important;
+        line-height: 1 !important;
+        opacity: 0.85;
+      }
+
       /* Romanization text in fullscreen */
       #fullscreen-lyrics-container .romanization-text {
         font-size: 1.25rem !important;
@@ -193,6 +203,14 @@ export class FullscreenManager {
         font-style: italic !important;
         margin-top: 0.25rem !important;
       }
+
+      /* Translation under the original in fullscreen */
+      #fullscreen-lyrics-container .translation-text {
+        font-size: 1.1rem !important;
+        font-weight: 500 !important;
+        letter-spacing: 0 !important;
+        margin-top: 0.35rem !important;
+      }
     `;
     this.overlay.appendChild(style);
 
@@ -565,6 +583,8 @@ export class FullscreenManager {
         highlightMode: this.highlightMode,
         showRomanization: this.settings?.showRomanization || false,
         hideOriginalLyrics: this.settings?.hideOriginalLyrics || false,
+        showTranslation: this.settings?.showTranslation === true,
+        useEstimatedWordTimings: this.settings?.estimatedWordTiming === true,
         detectInterludes: true,
         interludeThreshold: 5
       });
@@ -626,7 +646,10 @@ export class FullscreenManager {
       });
 
       // Word-level timing: render each word and optional per-word romanization
-      if (lyric.words && lyric.words.length > 0) {
+      // (estimated timings only if the user opted in)
+      const useWords = lyric.words && lyric.words.length > 0 &&
+        (!lyric.wordsEstimated || this.settings?.estimatedWordTiming === true);
+      if (useWords) {
         const wordsContainer = document.createElement('div');
         wordsContainer.className = 'fullscreen-words-container';
 
@@ -638,7 +661,12 @@ export class FullscreenManager {
 
           const wordSpan = document.createElement('span');
           wordSpan.className = 'lyric-word future';
-          wordSpan.textContent = wordData.word;
+          const furigana = this.settings?.showRomanization && Furigana.get(lyric, 'words', wordIndex);
+          if (furigana) {
+            Furigana.render(wordSpan, furigana);
+          } else {
+            wordSpan.textContent = wordData.word;
+          }
           wordSpan.dataset.wordIndex = wordIndex;
           wordSpan.dataset.wordTime = wordData.time;
           Object.assign(wordSpan.style, {
@@ -694,7 +722,12 @@ export class FullscreenManager {
         if (!shouldHideOriginal) {
           const textDiv = document.createElement('div');
           textDiv.className = 'fullscreen-original-text';
-          textDiv.textContent = lyric.text.replace(/<\d{2}:\d{2}\.\d+>/g, '').trim();
+          const furigana = this.settings?.showRomanization && Furigana.get(lyric, 'line');
+          if (furigana) {
+            Furigana.render(textDiv, furigana);
+          } else {
+            textDiv.textContent = lyric.text.replace(/<\d{2}:\d{2}\.\d+>/g, '').trim();
+          }
           Object.assign(textDiv.style, {
             color: 'rgba(255,255,255,0.9)'
           });
@@ -721,6 +754,19 @@ export class FullscreenManager {
         }
       }
 
+      if (this.settings?.showTranslation && lyric.translation) {
+        const translationDiv = document.createElement('div');
+        translationDiv.className = 'translation-text';
+        translationDiv.textContent = lyric.translation;
+        Object.assign(translationDiv.style, {
+          marginTop: '8px',
+          fontSize: '0.6em',
+          fontWeight: '500',
+          color: 'rgba(255,255,255,0.75)'
+        });
+        lyricLine.appendChild(translationDiv);
+      }
+
       // Click to seek - track listener with Maid
       this._maid.GiveListener(lyricLine, 'click', () => {
         this.OnSeekRequest.Fire(lyric.time, index);
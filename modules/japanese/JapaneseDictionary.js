@@ -0,0 +1,147 @@
+/**
+ * JapaneseDictionary - The packed IPADIC word list behind JapaneseTokenizer
+ *
+ * words.bin keeps the words sorted by surface in flat tables, so a lookup is a
+ * binary search and the list never has to be expanded into a Map; a word's
+ * entries only become objects once a line uses it. Layout (little-endian):
+ *   Uint32 × 8                 magic 'JADC', version, surfaceCount, entryCount,
+ *                              maxWordLength, surfaceBytes, readingBytes, metaBytes
+ *   Uint32[surfaceCount + 1]   where each surface starts in the surface text (UTF-16 units)
+ *   Uint32[surfaceCount + 1]   first entry of each surface
+ *   Uint32[entryCount + 1]     where each reading starts in the reading text (UTF-16 units)
+ *   Int16[entryCount]          word costs
+ *   Uint16[entryCount] × 3     part of speech (index into meta.pos), left ids, right ids
+ *   UTF-8                      surface text, reading text, meta JSON { name, pos, unknown }
+ * `node build-ja-dict.js` writes it, gzip-compressed as dict/ja/words.bin.gz.
+ *
+ * @example
+ * const dictionary = new JapaneseDictionary(buffer);
+ * dictionary.matchesAt(Array.from('君に'), 0);
+ * // [{surface: '君', reading: 'キミ', pos: '名詞,代名詞', cost, leftId, rightId, length: 1}]
+ */
+
+export const DICTIONARY_MAGIC = 0x4344414A; // 'JADC'
+export const DICTIONARY_VERSION = 1;
+const HEADER_SIZE = 8;
+
+export class JapaneseDictionary {
+  /**
+   * @param {ArrayBuffer} buffer - Decompressed words.bin
+   */
+  constructor(buffer) {
+    const header = new Uint32Array(buffer, 0, HEADER_SIZE);
+    if (header[0] !== DICTIONARY_MAGIC || header[1] !== DICTIONARY_VERSION) {
+      throw new Error('Not a words.bin dictionary of this version');
+    }
+    const [, , surfaceCount, entryCount, maxWordLength, surfaceBytes, readingBytes, metaBytes] = header;
+
+    let offset = HEADER_SIZE * 4;
+    const take = (Type, length) => {
+      const array = new Type(buffer, offset, length);
+      offset += length * Type.BYTES_PER_ELEMENT;
+      return array;
+    };
+    this.surfaceOffsets = take(Uint32Array, surfaceCount + 1);
+    this.entryStarts = take(Uint32Array, surfaceCount + 1);
+    this.readingOffsets = take(Uint32Array, entryCount + 1);
+    this.costs = take(Int16Array, entryCount);
+    this.posIds = take(Uint16Array, entryCount);
+    this.leftIds = take(Uint16Array, entryCount);
+    this.rightIds = take(Uint16Array, entryCount);
+
+    const decoder = new TextDecoder();
+    this.surfaces = decoder.decode(take(Uint8Array, surfaceBytes));
+    this.readings = decoder.decode(take(Uint8Array, readingBytes));
+    const meta = JSON.parse(decoder.decode(take(Uint8Array, metaBytes)));
+
+    this.name = meta.name;
+    this.pos = meta.pos;
+    this.unknown = meta.unknown || {};
+    this.surfaceCount = surfaceCount;
+    this.entryCount = entryCount;
+    this.maxWordLength = maxWordLength;
+
+    // Entries of the words lines have used, by surface index
+    this._entryCache = new Map();
+  }
+
+  /**
+   * Dictionary words that start at a position of a line, shortest first
+   * @param {string[]} chars - Line split into characters
+   * @param {number} start
+   * @param {number} [maxLength] - Longest word to look for
+   * @returns {Array<{surface: string, reading: string|null, pos: string, cost: number, leftId: number, rightId: number, length: number}>}
+   */
+  matchesAt(chars, start, maxLength = this.maxWordLength) {
+    const matches = [];
+    const limit = Math.min(maxLength, chars.length - start);
+    let surface = '';
+    let low = 0;
+    for (let length = 1; length <= limit; length++) {
+      surface += chars[start + length - 1];
+      // Longer prefixes sort after shorter ones, so the search never moves back
+      low = this._lowerBound(surface, low);
+      if (low >= this.surfaceCount) break;
+
+      const found = this._surface(low);
+      if (found === surface) {
+        for (const entry of this._entries(low)) {
+          matches.push({ ...entry, length });
+        }
+      } else if (!found.startsWith(surface)) {
+        // No word starts with these characters, so none starts with more of them
+        break;
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Index of the first surface not sorting before text
+   * @private
+   */
+  _lowerBound(text, low = 0) {
+    let high = this.surfaceCount;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (this._surface(middle) < text) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * @private
+   */
+  _surface(index) {
+    return this.surfaces.slice(this.surfaceOffsets[index], this.surfaceOffsets[index + 1]);
+  }
+
+  /**
+   * @private
+   */
+  _entries(index) {
+    let entries = this._entryCache.get(index);
+    if (entries) return entries;
+
+    const surface = this._surface(index);
+    entries = [];
+    for (let i = this.entryStarts[index]; i < this.entryStarts[index + 1]; i++) {
+      entries.push({
+        surface,
+        reading: this.readings.slice(this.readingOffsets[i], this.readingOffsets[i + 1]) || null,
+        pos: this.pos[this.posIds[i]],
+        cost: this.costs[i],
+        leftId: this.leftIds[i],
+        rightId: this.rightIds[i]
+      });
+    }
+    this._entryCache.set(index, entries);
+    return entries;
+  }
+}
+
+export default JapaneseDictionary;
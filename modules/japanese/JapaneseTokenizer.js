@@ -0,0 +1,242 @@
+/**
+ * JapaneseTokenizer - Dictionary-backed morphological analysis for kanji readings
+ *
+ * A small kuromoji-style tokenizer: it looks up every dictionary word that
+ * starts at each position of a line, adds unknown-word candidates by
+ * character class the way MeCab's char.def does, and picks the cheapest path
+ * through the lattice (word costs plus connection costs between parts of speech).
+ *
+ * The IPADIC dictionary ships with the extension in dict/ja/, gzip-compressed:
+ *   words.bin.gz   the word list packed for JapaneseDictionary (binary-searched, never expanded)
+ *   matrix.bin.gz  Int16 connection costs: [rightSize, leftSize, ...costs] (optional)
+ * `node build-ja-dict.js <mecab-ipadic dir>` generates both. Without a matrix,
+ * a few part-of-speech rules stand in for the connection costs.
+ *
+ * @example
+ * const tokenizer = await JapaneseTokenizer.load();
+ * tokenizer.tokenize('君に会いたい');
+ * // [{surface: '君', reading: 'キミ', pos: '名詞,代名詞'}, {surface: 'に', ...}, ...]
+ */
+
+/**
+ * @typedef {Object} JapaneseToken
+ * @property {string} surface - Text as written in the line
+ * @property {string|null} reading - Katakana reading, null when unknown (unknown kanji)
+ * @property {string} pos - IPADIC part of speech, first two levels (e.g. '助詞,係助詞')
+ * @property {boolean} known - Whether the word came from the dictionary
+ */
+
+import { JapaneseDictionary } from './JapaneseDictionary.js';
+
+const DICTIONARY_URL = new URL('../../dict/ja/', import.meta.url);
+
+// Longest dictionary word looked up at a position
+const MAX_WORD_LENGTH = 16;
+
+export const UNKNOWN_POS = '未知語';
+
+// Unknown words by character class, after MeCab's char.def:
+// invoke - also try unknown words where a dictionary word starts
+// group - one candidate for the whole run of the class
+// length - candidates of 1..length characters as well
+const CHARACTER_CLASSES = [
+  { name: 'SPACE', pattern: /\s/, invoke: false, group: true, length: 0 },
+  { name: 'KANJI', pattern: /[㐀-䶿一-鿿豈-﫿々〆ヶ]/, invoke: false, group: false, length: 2 },
+  { name: 'HIRAGANA', pattern: /[ぁ-ゖゝゞ]/, invoke: false, group: true, length: 2 },
+  { name: 'KATAKANA', pattern: /[ァ-ヺーヽヾｦ-ﾟ]/, invoke: true, group: true, length: 2 },
+  { name: 'ALPHA', pattern: /[A-Za-zＡ-Ｚａ-ｚ]/, invoke: true, group: true, length: 0 },
+  { name: 'NUMERIC', pattern: /[0-9０-９]/, invoke: true, group: true, length: 0 },
+  { name: 'SYMBOL', pattern: /./su, invoke: true, group: false, length: 1 }
+];
+
+// Used when the dictionary has no unknown-word section; [leftId, rightId, cost, pos]
+const DEFAULT_UNKNOWN = {
+  SPACE: [0, 0, 0, '記号,空白'],
+  KANJI: [0, 0, 8000, '名詞,一般'],
+  HIRAGANA: [0, 0, 8000, UNKNOWN_POS],
+  KATAKANA: [0, 0, 4000, '名詞,一般'],
+  ALPHA: [0, 0, 4000, '名詞,固有名詞'],
+  NUMERIC: [0, 0, 4000, '名詞,数'],
+  SYMBOL: [0, 0, 2000, '記号,一般']
+};
+
+export class JapaneseTokenizer {
+  /**
+   * @param {JapaneseDictionary} dictionary - Unpacked words.bin
+   * @param {Int16Array|null} [matrix] - Connection costs from matrix.bin
+   */
+  constructor(dictionary, matrix = null) {
+    this.dictionary = dictionary;
+    this.maxWordLength = Math.min(dictionary.maxWordLength, MAX_WORD_LENGTH);
+    this.unknown = { ...DEFAULT_UNKNOWN, ...(dictionary.unknown || {}) };
+
+    // First two values are the matrix dimensions
+    this.matrix = matrix && matrix.length > 2 ? matrix : null;
+    this.leftSize = this.matrix ? this.matrix[1] : 0;
+  }
+
+  /**
+   * Fetch and unpack the dictionary shipped with the extension
+   * @param {URL|string} [baseUrl] - Directory holding words.bin.gz and matrix.bin.gz
+   * @returns {Promise<JapaneseTokenizer>}
+   */
+  static async load(baseUrl = DICTIONARY_URL) {
+    const dictionary = new JapaneseDictionary(await JapaneseTokenizer._fetchCompressed(new URL('words.bin.gz', baseUrl)));
+
+    // The tokenizer still works, less accurately, without connection costs
+    let matrix = null;
+    try {
+      matrix = new Int16Array(await JapaneseTokenizer._fetchCompressed(new URL('matrix.bin.gz', baseUrl)));
+    } catch (error) {
+      matrix = null;
+    }
+
+    console.log(`[Japanese] Loaded dictionary "${dictionary.name}" (${dictionary.entryCount} words${matrix ? ', with connection costs' : ''})`);
+    return new JapaneseTokenizer(dictionary, matrix);
+  }
+
+  /**
+   * Fetch a gzip-compressed file shipped with the extension
+   * The extension serves .gz files as they are, so they're unpacked here.
+   * @private
+   * @returns {Promise<ArrayBuffer>}
+   */
+  static async _fetchCompressed(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Japanese dictionary not found (${response.status})`);
+    }
+    const stream = response.body.pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).arrayBuffer();
+  }
+
+  /**
+   * Split a line into words with readings
+   * @param {string} text
+   * @returns {JapaneseToken[]}
+   */
+  tokenize(text) {
+    const chars = Array.from(text || '');
+    if (chars.length === 0) return [];
+
+    // ends[i] holds the lattice nodes that end before character i
+    const ends = Array.from({ length: chars.length + 1 }, () => []);
+    ends[0].push({ leftId: 0, rightId: 0, pos: 'BOS', total: 0, prev: null });
+
+    for (let start = 0; start < chars.length; start++) {
+      if (ends[start].length === 0) continue;
+
+      for (const candidate of this._candidates(chars, start)) {
+        let best = null;
+        let bestCost = Infinity;
+        for (const prev of ends[start]) {
+          const cost = prev.total + this._connectionCost(prev, candidate);
+          if (cost < bestCost) {
+            bestCost = cost;
+            best = prev;
+          }
+        }
+        ends[start + candidate.length].push({
+          ...candidate,
+          total: bestCost + candidate.cost,
+          prev: best
+        });
+      }
+    }
+
+    const eos = { leftId: 0, rightId: 0, pos: 'EOS' };
+    let node = null;
+    let bestCost = Infinity;
+    for (const last of ends[chars.length]) {
+      const cost = last.total + this._connectionCost(last, eos);
+      if (cost < bestCost) {
+        bestCost = cost;
+        node = last;
+      }
+    }
+
+    const tokens = [];
+    for (; node && node.prev; node = node.prev) {
+      tokens.push({
+        surface: node.surface,
+        reading: node.reading,
+        pos: node.pos,
+        known: node.known
+      });
+    }
+    return tokens.reverse();
+  }
+
+  /**
+   * Words that could start at a position: dictionary matches, then unknown words
+   * @private
+   */
+  _candidates(chars, start) {
+    const candidates = this.dictionary.matchesAt(chars, start, this.maxWordLength)
+      .map(match => ({ ...match, known: true }));
+
+    // As in MeCab, dictionary words rule out unknown words unless the class
+    // says otherwise. Without connection costs (no matrix.bin) a lone
+    // one-character match (a particle) is often the start of an unknown word.
+    const charClass = JapaneseTokenizer._classOf(chars[start]);
+    const blocking = this.matrix ? candidates.length > 0 : candidates.some(candidate => candidate.length > 1);
+    if (blocking && !charClass.invoke) {
+      return candidates;
+    }
+
+    let run = 1;
+    while (start + run < chars.length && JapaneseTokenizer._classOf(chars[start + run]) === charClass) {
+      run++;
+    }
+
+    const lengths = new Set();
+    if (charClass.group) lengths.add(run);
+    for (let length = 1; length <= Math.min(charClass.length, run); length++) {
+      lengths.add(length);
+    }
+
+    const [leftId, rightId, cost, pos] = this.unknown[charClass.name];
+    for (const length of lengths) {
+      const text = chars.slice(start, start + length).join('');
+      candidates.push({
+        surface: text,
+        // Kana reads as written; kanji without a dictionary entry can't be read
+        reading: charClass.name === 'HIRAGANA' || charClass.name === 'KATAKANA' ? text : null,
+        pos,
+        cost,
+        leftId,
+        rightId,
+        length,
+        known: false
+      });
+    }
+    return candidates;
+  }
+
+  /**
+   * Cost of one word following another
+   * @private
+   */
+  _connectionCost(prev, next) {
+    if (this.matrix) {
+      return this.matrix[2 + prev.rightId * this.leftSize + next.leftId] || 0;
+    }
+
+    // Particles and auxiliaries follow other words; at the start of a line or
+    // inside a run of unknown kana they're more likely part of a word (はじめて)
+    if (next.pos.startsWith('助詞') || next.pos.startsWith('助動詞')) {
+      if (prev.pos.startsWith('名詞')) return -500;
+      if (prev.pos === 'BOS' || prev.pos === UNKNOWN_POS) return 2000;
+    }
+    return 0;
+  }
+
+  /**
+   * @private
+   */
+  static _classOf(ch) {
+    return CHARACTER_CLASSES.find(charClass => charClass.pattern.test(ch));
+  }
+}
+
+export default JapaneseTokenizer;
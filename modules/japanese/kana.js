@@ -0,0 +1,195 @@
+/**
+ * Kana Module - Kana to romaji in Hepburn or Kunrei-shiki
+ *
+ * Works on readings, so it only sees kana: the tokenizer turns kanji into
+ * their readings first. Handles yōon (きゃ → kya), sokuon (っ doubles the
+ * next consonant), syllabic ん before vowels (n') and long vowels, both the
+ * katakana mark and spelled out (ー, おう, おお, うう → ā, ō, ū in Hepburn,
+ * â, ô, û in Kunrei). A LONG_VOWEL_BREAK between two vowels keeps them
+ * apart where they belong to different words (思う → omou).
+ *
+ * @example
+ * Kana.toRomaji('きゃっと');            // 'kyatto'
+ * Kana.toRomaji('シャツ', 'kunrei');    // 'syatu'
+ * Kana.toRomaji('スーパー');            // 'sūpā'
+ * Kana.toRomaji('とうきょう');          // 'tōkyō'
+ */
+
+// Written between two kana that must not merge into a long vowel; not romanized
+export const LONG_VOWEL_BREAK = '\u200C';
+
+// Hepburn; Kunrei-shiki differs only on the rows in KUNREI below
+const HEPBURN = {
+  'あ': 'a', 'い': 'i', 'う': 'u', 'え': 'e', 'お': 'o',
+  'か': 'ka', 'き': 'ki', 'く': 'ku', 'け': 'ke', 'こ': 'ko',
+  'が': 'ga', 'ぎ': 'gi', 'ぐ': 'gu', 'げ': 'ge', 'ご': 'go',
+  'さ': 'sa', 'し': 'shi', 'す': 'su', 'せ': 'se', 'そ': 'so',
+  'ざ': 'za', 'じ': 'ji', 'ず': 'zu', 'ぜ': 'ze', 'ぞ': 'zo',
+  'た': 'ta', 'ち': 'chi', 'つ': 'tsu', 'て': 'te', 'と': 'to',
+  'だ': 'da', 'ぢ': 'ji', 'づ': 'zu', 'で': 'de', 'ど': 'do',
+  'な': 'na', 'に': 'ni', 'ぬ': 'nu', 'ね': 'ne', 'の': 'no',
+  'は': 'ha', 'ひ': 'hi', 'ふ': 'fu', 'へ': 'he', 'ほ': 'ho',
+  'ば': 'ba', 'び': 'bi', 'ぶ': 'bu', 'べ': 'be', 'ぼ': 'bo',
+  'ぱ': 'pa', 'ぴ': 'pi', 'ぷ': 'pu', 'ぺ': 'pe', 'ぽ': 'po',
+  'ま': 'ma', 'み': 'mi', 'む': 'mu', 'め': 'me', 'も': 'mo',
+  'や': 'ya', 'ゆ': 'yu', 'よ': 'yo',
+  'ら': 'ra', 'り': 'ri', 'る': 'ru', 'れ': 're', 'ろ': 'ro',
+  'わ': 'wa', 'ゐ': 'i', 'ゑ': 'e', 'を': 'o', 'ん': 'n',
+  'ゔ': 'vu',
+  // Small kana on their own (ぁ in "あぁ", ゃ at the start of a line)
+  'ぁ': 'a', 'ぃ': 'i', 'ぅ': 'u', 'ぇ': 'e', 'ぉ': 'o',
+  'ゃ': 'ya', 'ゅ': 'yu', 'ょ': 'yo', 'ゎ': 'wa', 'ゕ': 'ka', 'ゖ': 'ke'
+};
+
+const KUNREI = {
+  ...HEPBURN,
+  'し': 'si', 'ち': 'ti', 'つ': 'tu', 'ふ': 'hu',
+  'じ': 'zi', 'ぢ': 'zi', 'づ': 'zu'
+};
+
+const SMALL_Y = { 'ゃ': 'a', 'ゅ': 'u', 'ょ': 'o' };
+const SMALL_VOWELS = { 'ぁ': 'a', 'ぃ': 'i', 'ぅ': 'u', 'ぇ': 'e', 'ぉ': 'o' };
+const LONG_VOWEL = {
+  hepburn: { a: 'ā', i: 'ī', u: 'ū', e: 'ē', o: 'ō' },
+  kunrei: { a: 'â', i: 'î', u: 'û', e: 'ê', o: 'ô' }
+};
+
+export class Kana {
+  /**
+   * Katakana to hiragana; anything else is kept
+   * @param {string} text
+   * @returns {string}
+   */
+  static toHiragana(text) {
+    return (text || '').replace(/[ァ-ヶ]/g, ch =>
+      String.fromCharCode(ch.charCodeAt(0) - 0x60)
+    );
+  }
+
+  /**
+   * Whether the text is only kana (and the long vowel mark)
+   * @param {string} text
+   * @returns {boolean}
+   */
+  static isKana(text) {
+    return !!text && /^[ぁ-ゖゝゞァ-ヺーヽヾ]+$/.test(text);
+  }
+
+  /**
+   * Kana to romaji
+   * Characters that aren't kana pass through unchanged.
+   * @param {string} text - Hiragana and/or katakana
+   * @param {string} [system='hepburn'] - 'hepburn' or 'kunrei'
+   * @returns {string}
+   */
+  static toRomaji(text, system = 'hepburn') {
+    const table = system === 'kunrei' ? KUNREI : HEPBURN;
+    const longVowels = LONG_VOWEL[system] || LONG_VOWEL.hepburn;
+    const kana = Kana.toHiragana(text);
+
+    let out = '';
+    let geminate = false;
+    for (let i = 0; i < kana.length; i++) {
+      const ch = kana[i];
+      const next = kana[i + 1] || '';
+
+      if (ch === 'っ') {
+        // Doubles the next consonant; at the end of a word it's a glottal stop with no letter
+        geminate = true;
+        continue;
+      }
+
+      if (ch === 'ー') {
+        out = Kana._lengthen(out, longVowels);
+        continue;
+      }
+
+      if (ch === LONG_VOWEL_BREAK) {
+        continue;
+      }
+
+      // Loanword sounds (ファ, ティ, ウィ) only exist in Hepburn-style spelling
+      const extended = SMALL_VOWELS[next] ? Kana._extended(ch, SMALL_VOWELS[next]) : null;
+
+      let romaji;
+      if (SMALL_Y[next] && table[ch]?.endsWith('i') && ch !== 'い') {
+        // Yōon: き + ゃ → kya, し + ゃ → sha / sya
+        romaji = Kana._yoon(table[ch], SMALL_Y[next], system);
+        i++;
+      } else if (extended) {
+        romaji = extended;
+        i++;
+      } else if (ch === 'ん') {
+        // Syllabic n before a vowel or y is written n' so it doesn't merge (きんえん, こんや)
+        const following = table[next] || '';
+        romaji = /^[aiueoy]/.test(following) ? "n'" : 'n';
+      } else {
+        romaji = table[ch];
+      }
+
+      if (romaji === undefined) {
+        geminate = false;
+        out += ch;
+        continue;
+      }
+
+      // おう and おお are a long o, うう a long u (こう → kō, くう → kū)
+      const following = kana[i + 1];
+      if ((following === 'う' && /[ou]$/.test(romaji)) || (following === 'お' && romaji.endsWith('o'))) {
+        romaji = romaji.slice(0, -1) + longVowels[romaji.slice(-1)];
+        i++;
+      }
+
+      if (geminate) {
+        // Hepburn doubles ch as tch (matcha); vowels have nothing to double
+        if (romaji.startsWith('ch')) {
+          out += 't';
+        } else if (/^[^aiueon]/.test(romaji)) {
+          out += romaji[0];
+        }
+        geminate = false;
+      }
+      out += romaji;
+    }
+
+    return out;
+  }
+
+  /**
+   * @private
+   */
+  static _yoon(base, vowel, system) {
+    const stem = base.slice(0, -1);
+    // sh, ch and j already carry the y sound in Hepburn
+    if (system !== 'kunrei' && /^(sh|ch|j)$/.test(stem)) {
+      return stem + vowel;
+    }
+    return `${stem}y${vowel}`;
+  }
+
+  /**
+   * @private
+   */
+  static _extended(ch, vowel) {
+    if (ch === 'う') return `w${vowel}`;
+    if (ch === 'い') return `y${vowel}`;
+    const base = HEPBURN[ch];
+    // A vowel or small kana followed by a small vowel (あぁ) is just both read out
+    if (!base || SMALL_VOWELS[ch] || SMALL_Y[ch] || !/^[^aiueon]/.test(base)) return null;
+    return base.replace(/[aiueo]$/, '') + vowel;
+  }
+
+  /**
+   * Put a long mark on the last vowel written so far
+   * @private
+   */
+  static _lengthen(out, longVowels) {
+    const last = out[out.length - 1];
+    if (longVowels[last]) {
+      return out.slice(0, -1) + longVowels[last];
+    }
+    return out;
+  }
+}
+
+export default Kana;
@@ -0,0 +1,200 @@
+/**
+ * Hangul Module - Revised Romanization of Korean, as pronounced
+ *
+ * Revised Romanization spells the pronunciation, so letters change across
+ * syllable boundaries inside a word:
+ * - liaison (연음): 한국어 → hangugeo, 읽어 → ilgeo, 있어 → isseo
+ * - nasalisation: 국물 → gungmul, 합니다 → hamnida, 독립 → dongnip
+ * - ㄹ rules: 신라 → silla, 설날 → seollal, 종로 → jongno
+ * - aspiration with ㅎ: 좋다 → jota, 축하 → chuka, 많다 → manta
+ * - palatalisation: 같이 → gachi, 닫히다 → dachida
+ * Tensing isn't written (학교 → hakgyo), as the standard says. Rules stop at
+ * spaces: every space-separated word is romanized on its own, and romanized
+ * Korean never runs into Latin letters next to it (너의LOVE → neoui LOVE).
+ * romanization-fixtures.json lists words with their expected output;
+ * `node check-romanization.js` runs them.
+ *
+ * @example
+ * Hangul.romanize('감사합니다'); // 'gamsahamnida'
+ */
+
+const INITIALS = ['ㄱ', 'ㄲ', 'ㄴ', 'ㄷ', 'ㄸ', 'ㄹ', 'ㅁ', 'ㅂ', 'ㅃ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅉ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'];
+const VOWELS = ['a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae', 'oe', 'yo', 'u', 'wo', 'we', 'wi', 'yu', 'eu', 'ui', 'i'];
+// Finals by jongseong index, clusters split into their two consonants
+const FINALS = [
+  [], ['ㄱ'], ['ㄲ'], ['ㄱ', 'ㅅ'], ['ㄴ'], ['ㄴ', 'ㅈ'], ['ㄴ', 'ㅎ'], ['ㄷ'], ['ㄹ'], ['ㄹ', 'ㄱ'],
+  ['ㄹ', 'ㅁ'], ['ㄹ', 'ㅂ'], ['ㄹ', 'ㅅ'], ['ㄹ', 'ㅌ'], ['ㄹ', 'ㅍ'], ['ㄹ', 'ㅎ'], ['ㅁ'], ['ㅂ'],
+  ['ㅂ', 'ㅅ'], ['ㅅ'], ['ㅆ'], ['ㅇ'], ['ㅈ'], ['ㅊ'], ['ㅋ'], ['ㅌ'], ['ㅍ'], ['ㅎ']
+];
+
+const INITIAL_ROMAJA = {
+  'ㄱ': 'g', 'ㄲ': 'kk', 'ㄴ': 'n', 'ㄷ': 'd', 'ㄸ': 'tt', 'ㄹ': 'r', 'ㅁ': 'm', 'ㅂ': 'b', 'ㅃ': 'pp',
+  'ㅅ': 's', 'ㅆ': 'ss', 'ㅇ': '', 'ㅈ': 'j', 'ㅉ': 'jj', 'ㅊ': 'ch', 'ㅋ': 'k', 'ㅌ': 't', 'ㅍ': 'p', 'ㅎ': 'h'
+};
+
+// A syllable ends in one of seven sounds (받침 대표음)
+const CODA_SOUND = {
+  'ㄱ': 'k', 'ㄲ': 'k', 'ㅋ': 'k',
+  'ㄴ': 'n',
+  'ㄷ': 't', 'ㅅ': 't', 'ㅆ': 't', 'ㅈ': 't', 'ㅊ': 't', 'ㅌ': 't', 'ㅎ': 't',
+  'ㄹ': 'l',
+  'ㅁ': 'm',
+  'ㅂ': 'p', 'ㅍ': 'p',
+  'ㅇ': 'ng'
+};
+
+// Clusters keep one of their consonants before another consonant (닭 dak, 여덟 yeodeol)
+const CLUSTER_SOUND = {
+  'ㄱㅅ': 'k', 'ㄴㅈ': 'n', 'ㄴㅎ': 'n', 'ㄹㄱ': 'k', 'ㄹㅁ': 'm', 'ㄹㅂ': 'l',
+  'ㄹㅅ': 'l', 'ㄹㅌ': 'l', 'ㄹㅍ': 'p', 'ㄹㅎ': 'l', 'ㅂㅅ': 'p'
+};
+
+const ASPIRATED = { 'ㄱ': 'ㅋ', 'ㄷ': 'ㅌ', 'ㅂ': 'ㅍ', 'ㅈ': 'ㅊ' };
+// Final consonants that join a following ㅎ into an aspirate, by the aspirate they make
+const ASPIRATES_WITH_H = { 'ㄱ': 'ㅋ', 'ㄲ': 'ㅋ', 'ㄷ': 'ㅌ', 'ㅅ': 'ㅌ', 'ㅈ': 'ㅊ', 'ㅊ': 'ㅊ', 'ㅌ': 'ㅌ', 'ㅂ': 'ㅍ', 'ㅍ': 'ㅍ' };
+const NASALISED = { k: 'ng', t: 'n', p: 'm' };
+
+const HANGUL_SYLLABLE = /[가-힣]/;
+const I_VOWEL = 20;
+
+export class Hangul {
+  /**
+   * Romanize text; anything that isn't a Hangul syllable is kept as is
+   * @param {string} text
+   * @returns {string}
+   */
+  static romanize(text) {
+    let out = '';
+    let afterKorean = false;
+    for (const piece of (text || '').match(/[가-힣]+|[^가-힣]+/g) || []) {
+      const isKorean = HANGUL_SYLLABLE.test(piece);
+      const romanized = isKorean ? Hangul.romanizeWord(piece) : piece;
+      // Romanized Korean and Latin letters or digits right next to it stay separate words
+      if ((isKorean || afterKorean) && /[A-Za-z0-9]$/.test(out) && /^[A-Za-z0-9]/.test(romanized)) {
+        out += ' ';
+      }
+      out += romanized;
+      afterKorean = isKorean;
+    }
+    return out.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Romanize a run of Hangul syllables, applying sound changes between them
+   * @param {string} word - Hangul syllables only
+   * @returns {string}
+   */
+  static romanizeWord(word) {
+    const syllables = Array.from(word).map(Hangul._decompose);
+
+    let out = '';
+    let initial = syllables[0].initial;
+    // ㄹ is written l after an l sound (ll), r elsewhere
+    let afterL = false;
+    // Whether initial came from a ㄷ/ㅌ final (palatalises before ㅣ)
+    let fromT = false;
+
+    for (let i = 0; i < syllables.length; i++) {
+      const { vowel, final } = syllables[i];
+
+      if (fromT && vowel === I_VOWEL) {
+        initial = initial === 'ㄷ' ? 'ㅈ' : 'ㅊ';
+      }
+      out += initial === 'ㄹ' && afterL ? 'l' : INITIAL_ROMAJA[initial];
+      out += VOWELS[vowel];
+
+      const next = syllables[i + 1];
+      if (!next) {
+        out += Hangul._codaSound(final);
+        break;
+      }
+
+      const boundary = Hangul._boundary(final, next.initial);
+      out += boundary.coda;
+      initial = boundary.initial;
+      afterL = boundary.coda === 'l';
+      fromT = boundary.fromT === true;
+    }
+
+    return out;
+  }
+
+  /**
+   * Sound change between a syllable's final and the next syllable's initial
+   * @private
+   * @param {string[]} final - Final consonant(s), empty for none
+   * @param {string} initial - Next syllable's initial jamo
+   * @returns {{coda: string, initial: string, fromT?: boolean}} Romanized coda and the initial as pronounced
+   */
+  static _boundary(final, initial) {
+    if (final.length === 0) {
+      return { coda: '', initial };
+    }
+
+    const last = final[final.length - 1];
+    const rest = final.length > 1 ? final[0] : null;
+    const restSound = rest ? CODA_SOUND[rest] : '';
+
+    // Liaison: a final moves over a silent ㅇ; ㅎ goes quiet, ㅇ stays put
+    if (initial === 'ㅇ') {
+      if (last === 'ㅇ') return { coda: 'ng', initial };
+      if (last === 'ㅎ') return { coda: '', initial: rest || 'ㅇ' };
+      return { coda: restSound, initial: last, fromT: !rest && (last === 'ㄷ' || last === 'ㅌ') };
+    }
+
+    // ㅎ final aspirates the next consonant (좋다 jota) or turns to n before ㄴ (놓는 nonneun)
+    if (last === 'ㅎ') {
+      if (ASPIRATED[initial]) return { coda: restSound, initial: ASPIRATED[initial] };
+      if (initial === 'ㅅ') return { coda: restSound, initial: 'ㅆ' };
+      if (initial === 'ㄴ') {
+        return rest === 'ㄹ' ? { coda: 'l', initial: 'ㄹ' } : { coda: 'n', initial };
+      }
+    }
+
+    // A consonant before ㅎ becomes its aspirate (축하 chuka, 입학 ipak, 닫히다 dachida)
+    if (initial === 'ㅎ' && ASPIRATES_WITH_H[last]) {
+      const aspirate = ASPIRATES_WITH_H[last];
+      return { coda: restSound, initial: aspirate, fromT: aspirate === 'ㅌ' };
+    }
+
+    const sound = Hangul._codaSound(final);
+
+    // Stops before nasals become nasals (국물 gungmul, 합니다 hamnida)
+    if (initial === 'ㄴ' || initial === 'ㅁ') {
+      if (sound === 'l' && initial === 'ㄴ') return { coda: 'l', initial: 'ㄹ' };
+      return { coda: NASALISED[sound] || sound, initial };
+    }
+
+    // ㄹ after n or l is l (신라 silla); after other consonants it's n (독립 dongnip, 종로 jongno)
+    if (initial === 'ㄹ') {
+      if (sound === 'n' || sound === 'l') return { coda: 'l', initial };
+      return { coda: NASALISED[sound] || sound, initial: 'ㄴ' };
+    }
+
+    return { coda: sound, initial };
+  }
+
+  /**
+   * Romanized sound of a final before a consonant or at the end of a word
+   * @private
+   */
+  static _codaSound(final) {
+    if (final.length === 0) return '';
+    if (final.length > 1) return CLUSTER_SOUND[final.join('')] || CODA_SOUND[final[0]];
+    return CODA_SOUND[final[0]];
+  }
+
+  /**
+   * @private
+   */
+  static _decompose(syllable) {
+    const index = syllable.charCodeAt(0) - 0xAC00;
+    return {
+      initial: INITIALS[Math.floor(index / 588)],
+      vowel: Math.floor((index % 588) / 28),
+      final: FINALS[index % 28]
+    };
+  }
+}
+
+export default Hangul;
@@ -0,0 +1,48 @@
+/**
+ * Furigana - Kanji readings rendered as <ruby> inside lyric text
+ *
+ * Lines romanized in furigana mode carry
+ *   lineData.furigana = { line, words, syllables }
+ * where each entry is a list of segments ({ text, reading? }) from
+ * Romanizer.furigana. The ruby goes inside the existing word or syllable
+ * span, so the span keeps its highlight classes and --word-progress fill.
+ */
+
+export class Furigana {
+    /**
+     * Replace an element's text with the segments, kanji annotated
+     * @param {HTMLElement} element - Line text, word or syllable span
+     * @param {Array<{text: string, reading?: string}>} segments
+     */
+    static render(element, segments) {
+        element.textContent = '';
+        for (const segment of segments) {
+            if (!segment.reading) {
+                element.appendChild(document.createTextNode(segment.text));
+                continue;
+            }
+
+            const ruby = document.createElement('ruby');
+            ruby.appendChild(document.createTextNode(segment.text));
+            const rt = document.createElement('rt');
+            rt.textContent = segment.reading;
+            ruby.appendChild(rt);
+            element.appendChild(ruby);
+        }
+    }
+
+    /**
+     * Segments for a piece of the line, or null to show its plain text
+     * @param {Object} lineData - Line with optional furigana
+     * @param {'line'|'words'|'syllables'} part
+     * @param {number} [index] - Word or syllable index
+     * @returns {Array<{text: string, reading?: string}>|null}
+     */
+    static get(lineData, part, index) {
+        const furigana = lineData.furigana;
+        if (!furigana) return null;
+        return (part === 'line' ? furigana.line : furigana[part]?.[index]) || null;
+    }
+}
+
+export default Furigana;
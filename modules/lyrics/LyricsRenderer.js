@@ -32,10 +32,14 @@ import { BackgroundVocals } from './components/BackgroundVocals.js';
 /**
  * @typedef {Object} LyricsOptions
  * @property {'line'|'word'|'syllable'} [highlightMode='line'] - Highlight mode
- * @property {boolean} [showRomanization=false] - Whether to show romanization
+ * @property {boolean} [showRomanization=false] - Whether to show romanization, or furigana on lines that carry it
  * @property {boolean} [hideOriginalLyrics=false] - Whether to hide original when romanized
+ * @property {boolean} [showTranslation=false] - Whether to show line translations under the original
  * @property {boolean} [detectInterludes=true] - Whether to detect and show interludes
  * @property {number} [interludeThreshold=5] - Minimum gap in seconds to show interlude
+ * @property {boolean} [useEstimatedWordTimings=false] - Use the word renderer for lines whose word timings were estimated
+ * @property {boolean} [correctionMode=false] - Show draggable timing handles on line and word lyrics
+ * @property {number} [correctionIndex=-1] - Line selected for keyboard nudges in correction mode
  */
 
 /**
@@ -59,8 +63,10 @@ export class LyricsRenderer {
             highlightMode: options.highlightMode || 'line',
             showRomanization: options.showRomanization || false,
             hideOriginalLyrics: options.hideOriginalLyrics || false,
+            showTranslation: options.showTranslation || false,
             detectInterludes: options.detectInterludes !== false, // Default true
             interludeThreshold: options.interludeThreshold || 5, // 5 seconds default
+            useEstimatedWordTimings: options.useEstimatedWordTimings || false,
             ...options
         };
 
@@ -81,13 +87,36 @@ export class LyricsRenderer {
         /** @type {LyricsScroller|null} */
         this._scroller = null;
 
+        // Lead vocal component per line, for timing correction
+        this._leadVocals = [];
+        // Line index (into _leadVocals) per vocal group; an interlude maps to the line after it
+        this._groupLineIndices = [];
+        this._correctionMode = false;
+        this._correctionIndex = -1;
+
         // Signals
         this.OnLyricChange = this._maid.Give(new Signal());
         this.OnSeekRequest = this._maid.Give(new Signal());
+        this.OnTimingShift = this._maid.Give(new Signal()); // (lineIndex, delta, scope)
 
         // Create containers and render
         this._createContainers();
         this._renderLyrics();
+
+        if (this._options.correctionMode) {
+            this.SetCorrectionMode(true, this._options.correctionIndex ?? -1);
+        }
+    }
+
+    /**
+     * Whether a line's word timings should drive the word renderer
+     * Estimated timings only do when the user opted in.
+     * @param {Object} line
+     * @returns {boolean}
+     */
+    _hasUsableWords(line) {
+        if (!line.words || line.words.length === 0) return false;
+        return !line.wordsEstimated || this._options.useEstimatedWordTimings;
     }
 
     /**
@@ -103,12 +132,17 @@ export class LyricsRenderer {
 
         // Convert legacy array format
         if (Array.isArray(data)) {
-            const hasWordTiming = data.some(line => line.words && line.words.length > 0);
+            const hasSyllableTiming = data.some(line => line.syllables && line.syllables.length > 0);
+            const hasWordTiming = data.some(line => this._hasUsableWords(line));
             const hasTiming = data.some(line => line.time !== undefined);
 
             let type = 'static';
             if (hasTiming) {
-                type = hasWordTiming ? 'word' : 'line';
+                if (hasSyllableTiming) {
+                    type = 'syllable';
+                } else {
+                    type = hasWordTiming ? 'word' : 'line';
+                }
             }
 
             // Calculate end time
@@ -256,13 +290,22 @@ export class LyricsRenderer {
                     type: 'interlude'
                 });
                 this._vocalGroupStartTimes.push(item.data.startTime);
+                this._groupLineIndices.push(vocalIndex);
             } else {
                 // Vocal line
                 const lineData = item.data;
                 const vocals = [];
 
+                // Duets: mark which singer this line belongs to
+                if (lineData.agent) {
+                    groupContainer.dataset.agent = lineData.agent;
+                }
+                if (lineData.oppositeAligned) {
+                    groupContainer.classList.add('opposite-aligned');
+                }
+
                 // Determine which component to use for lead vocal
-                const hasWords = lineData.words && lineData.words.length > 0;
+                const hasWords = this._hasUsableWords(lineData);
                 const hasSyllables = lineData.syllables && lineData.syllables.length > 0;
 
                 let ComponentClass;
@@ -280,15 +323,28 @@ export class LyricsRenderer {
                     vocalIndex,
                     {
                         isRomanized: this._options.showRomanization,
-                        hideOriginal: this._options.hideOriginalLyrics
+                        hideOriginal: this._options.hideOriginalLyrics,
+                        showTranslation: this._options.showTranslation
                     }
                 ));
 
                 // Connect seek signal
+                const lineIndex = vocalIndex;
                 leadVocal.RequestedTimeSkip.Connect((time) => {
-                    this.OnSeekRequest.Fire(time, vocalIndex);
+                    if (this._correctionMode) {
+                        this.SelectCorrectionLine(lineIndex);
+                    }
+                    this.OnSeekRequest.Fire(time, lineIndex);
                 });
 
+                if (leadVocal.RequestedTimingShift) {
+                    leadVocal.RequestedTimingShift.Connect((delta, scope) => {
+                        this.SelectCorrectionLine(lineIndex);
+                        this.OnTimingShift.Fire(lineIndex, delta, scope);
+                    });
+                }
+
+                this._leadVocals.push(leadVocal);
                 vocals.push(leadVocal);
 
                 // Add background vocals if present
@@ -317,6 +373,7 @@ export class LyricsRenderer {
                     type: 'vocal'
                 });
                 this._vocalGroupStartTimes.push(lineData.time || 0);
+                this._groupLineIndices.push(vocalIndex);
                 vocalIndex++;
             }
 
@@ -460,6 +517,69 @@ export class LyricsRenderer {
         // Note: To fully change modes, lyrics need to be re-rendered
     }
 
+    /**
+     * Turn timing correction mode on or off
+     * Line and word lyrics show draggable start-time handles while it is on.
+     * @param {boolean} enabled
+     * @param {number} [selectedIndex=-1] - Line to select; defaults to the current line
+     */
+    SetCorrectionMode(enabled, selectedIndex = -1) {
+        this._correctionMode = enabled;
+        this._lyricsContainer.classList.toggle('timing-correction-mode', enabled);
+
+        for (const vocal of this._leadVocals) {
+            if (typeof vocal.SetCorrectionMode === 'function') {
+                vocal.SetCorrectionMode(enabled);
+            }
+        }
+
+        if (enabled) {
+            this.SelectCorrectionLine(selectedIndex >= 0 ? selectedIndex : this._currentLineIndex());
+        } else {
+            this.SelectCorrectionLine(-1);
+        }
+    }
+
+    /**
+     * Line index (into _leadVocals) of the current vocal group
+     * _currentIndex counts groups, interludes included; lines are what corrections address.
+     * @returns {number} 0 before the first line
+     */
+    _currentLineIndex() {
+        const lineIndex = this._groupLineIndices[this._currentIndex] ?? 0;
+        return Math.min(lineIndex, Math.max(0, this._leadVocals.length - 1));
+    }
+
+    /**
+     * Select the line keyboard nudges apply to
+     * @param {number} index - Line index, or -1 for none
+     */
+    SelectCorrectionLine(index) {
+        if (index >= this._leadVocals.length) return;
+        this._correctionIndex = index;
+        this._leadVocals.forEach((vocal, i) => {
+            if (typeof vocal.SetCorrectionSelected === 'function') {
+                vocal.SetCorrectionSelected(i === index);
+            }
+        });
+    }
+
+    /**
+     * Get the line selected in correction mode
+     * @returns {number}
+     */
+    get CorrectionIndex() {
+        return this._correctionIndex;
+    }
+
+    /**
+     * Get the number of vocal lines
+     * @returns {number}
+     */
+    get LineCount() {
+        return this._leadVocals.length;
+    }
+
     /**
      * Get the current lyric index
      * @returns {number}
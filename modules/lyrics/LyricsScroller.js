@@ -178,12 +178,13 @@ export class LyricsScroller {
         if (Math.abs(distance) < 2) return;
 
         // Cancel any existing animation
+        const view = this._view;
         if (this._animationId) {
-            cancelAnimationFrame(this._animationId);
+            view.cancelAnimationFrame(this._animationId);
         }
 
         this._isAnimating = true;
-        const startTime = performance.now();
+        const startTime = view.performance.now();
 
         // Easing function - easeOutCubic for smooth deceleration
         const easeOutCubic = (t) => 1 - Math.pow(1 - t, 3);
@@ -197,7 +198,7 @@ export class LyricsScroller {
             this._lyricsContainer.style.transform = `translateY(${this._currentTranslateY}px)`;
 
             if (progress < 1) {
-                this._animationId = requestAnimationFrame(animate);
+                this._animationId = view.requestAnimationFrame(animate);
             } else {
                 this._isAnimating = false;
                 this._animationId = null;
@@ -205,7 +206,16 @@ export class LyricsScroller {
             }
         };
 
-        this._animationId = requestAnimationFrame(animate);
+        this._animationId = view.requestAnimationFrame(animate);
+    }
+
+    /**
+     * Window showing the lyrics (the page, or a pop-out window)
+     * Frames and frame timestamps belong to the window the container lives in.
+     * @returns {Window}
+     */
+    get _view() {
+        return this._lyricsContainer?.ownerDocument?.defaultView || window;
     }
 
     /**
@@ -237,7 +247,11 @@ export class LyricsScroller {
      */
     Destroy() {
         if (this._animationId) {
-            cancelAnimationFrame(this._animationId);
+            try {
+                this._view.cancelAnimationFrame(this._animationId);
+            } catch (e) {
+                // The pop-out window is already closed
+            }
         }
         if (this._userScrollTimeout) {
             clearTimeout(this._userScrollTimeout);
@@ -6,6 +6,7 @@
  */
 import { Maid } from '../../utils/Maid.js';
 import { Signal } from '../../utils/Signal.js';
+import { Furigana } from '../Furigana.js';
 
 export class SyllableLyrics {
     /**
@@ -16,8 +17,12 @@ export class SyllableLyrics {
      * @param {string} lineData.text - Full line text
      * @param {Array<{syllable: string, time: number, endTime?: number}>} lineData.syllables - Syllable timing data
      * @param {string} [lineData.romanized] - Romanized text
+     * @param {Object} [lineData.furigana] - Kanji readings shown as ruby (see Furigana)
+     * @param {string} [lineData.translation] - Translated text
      * @param {number} index - Line index
      * @param {Object} options - Display options
+     * @param {boolean} [options.isRomanized=false] - Whether to show romanization (and furigana)
+     * @param {boolean} [options.showTranslation=false] - Whether to show lineData.translation
      */
     constructor(container, lineData, index, options = {}) {
         this._maid = new Maid();
@@ -74,7 +79,12 @@ export class SyllableLyrics {
             // Create inner span for karaoke effect
             const innerSpan = document.createElement('span');
             innerSpan.className = 'syllable-inner';
-            innerSpan.textContent = syllableData.syllable || syllableData.text || '';
+            const furigana = this._options.isRomanized && Furigana.get(this._lineData, 'syllables', syllableIndex);
+            if (furigana) {
+                Furigana.render(innerSpan, furigana);
+            } else {
+                innerSpan.textContent = syllableData.syllable || syllableData.text || '';
+            }
             syllableSpan.appendChild(innerSpan);
 
             this._syllableElements.push(syllableSpan);
@@ -97,6 +107,21 @@ export class SyllableLyrics {
             this._lineElement.appendChild(romanElement);
         }
 
+        // Translation under the original (and romanization)
+        if (this._options.showTranslation && this._lineData.translation) {
+            const translationElement = document.createElement('div');
+            translationElement.className = 'translation-text';
+            translationElement.textContent = this._lineData.translation;
+            Object.assign(translationElement.style, {
+                marginTop: '4px',
+                fontSize: '0.7em',
+                fontWeight: '500',
+                color: 'inherit',
+                opacity: '0.8'
+            });
+            this._lineElement.appendChild(translationElement);
+        }
+
         // Setup click handler for seek
         this._maid.GiveListener(this._lineElement, 'click', () => {
             this.RequestedTimeSkip.Fire(this._lineData.time);
@@ -0,0 +1,116 @@
+/**
+ * TimingHandle - Draggable start-time badge shown in timing correction mode
+ *
+ * Handles:
+ * - Showing the line's start time
+ * - Dragging sideways to preview a shift
+ * - Firing the shift on release (Shift held: this line and everything after)
+ */
+import { Maid } from '../../utils/Maid.js';
+import { Signal } from '../../utils/Signal.js';
+
+// Drag distance for one second of shift
+const PIXELS_PER_SECOND = 100;
+// Shifts snap to this step in seconds
+const SNAP_STEP = 0.05;
+
+export class TimingHandle {
+    /**
+     * @param {HTMLElement} lineElement - Line element to attach to
+     * @param {number} time - Line start time in seconds
+     */
+    constructor(lineElement, time) {
+        this._maid = new Maid();
+        this._time = time;
+        this._dragStartX = null;
+        this._dragDelta = 0;
+
+        // Signals
+        this.RequestedShift = this._maid.Give(new Signal());
+
+        this._element = this._maid.Give(document.createElement('span'));
+        this._element.className = 'lyric-timing-handle';
+        this._element.title = 'Drag to move this line (hold Shift to move every line after it too)';
+        this._render();
+
+        this._setupDrag();
+        lineElement.insertBefore(this._element, lineElement.firstChild);
+    }
+
+    /**
+     * Pointer drag handling
+     */
+    _setupDrag() {
+        this._maid.GiveListener(this._element, 'pointerdown', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this._dragStartX = e.clientX;
+            this._dragDelta = 0;
+            this._element.setPointerCapture(e.pointerId);
+            this._element.classList.add('dragging');
+        });
+
+        this._maid.GiveListener(this._element, 'pointermove', (e) => {
+            if (this._dragStartX === null) return;
+            const seconds = (e.clientX - this._dragStartX) / PIXELS_PER_SECOND;
+            this._dragDelta = Math.round(seconds / SNAP_STEP) * SNAP_STEP;
+            this._render();
+        });
+
+        const endDrag = (e, commit) => {
+            if (this._dragStartX === null) return;
+            const delta = Math.round(this._dragDelta * 1000) / 1000;
+            this._dragStartX = null;
+            this._dragDelta = 0;
+            this._element.classList.remove('dragging');
+            this._render();
+
+            if (commit && delta !== 0) {
+                this.RequestedShift.Fire(delta, e.shiftKey ? 'after' : 'line');
+            }
+        };
+
+        this._maid.GiveListener(this._element, 'pointerup', (e) => endDrag(e, true));
+        this._maid.GiveListener(this._element, 'pointercancel', (e) => endDrag(e, false));
+
+        // A drag must not also seek the video
+        this._maid.GiveListener(this._element, 'click', (e) => e.stopPropagation());
+    }
+
+    /**
+     * Show the start time, plus the pending shift while dragging
+     */
+    _render() {
+        const text = this._formatTime(this._time + this._dragDelta);
+        if (this._dragDelta === 0) {
+            this._element.textContent = text;
+        } else {
+            const sign = this._dragDelta > 0 ? '+' : '−';
+            this._element.textContent = `${text} (${sign}${Math.abs(this._dragDelta).toFixed(2)}s)`;
+        }
+    }
+
+    _formatTime(seconds) {
+        const clamped = Math.max(0, seconds);
+        const mins = Math.floor(clamped / 60);
+        const secs = (clamped % 60).toFixed(2).padStart(5, '0');
+        return `${mins}:${secs}`;
+    }
+
+    /**
+     * Get the handle element
+     * @returns {HTMLElement}
+     */
+    get Element() {
+        return this._element;
+    }
+
+    /**
+     * Clean up resources
+     */
+    Destroy() {
+        this._maid.Destroy();
+    }
+}
+
+export default TimingHandle;
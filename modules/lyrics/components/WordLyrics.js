@@ -8,6 +8,8 @@
  */
 import { Maid } from '../../utils/Maid.js';
 import { Signal } from '../../utils/Signal.js';
+import { TimingHandle } from './TimingHandle.js';
+import { Furigana } from '../Furigana.js';
 
 export class WordLyrics {
     /**
@@ -18,10 +20,13 @@ export class WordLyrics {
      * @param {string} lineData.text - Full line text
      * @param {Array<{word: string, time: number}>} lineData.words - Word timing data
      * @param {string} [lineData.romanized] - Romanized text
+     * @param {Object} [lineData.furigana] - Kanji readings shown as ruby (see Furigana)
+     * @param {string} [lineData.translation] - Translated text
      * @param {number} index - Line index
      * @param {Object} options - Display options
-     * @param {boolean} [options.isRomanized=false] - Whether to show romanization
+     * @param {boolean} [options.isRomanized=false] - Whether to show romanization (and furigana)
      * @param {boolean} [options.hideOriginal=false] - Whether to hide original when romanized
+     * @param {boolean} [options.showTranslation=false] - Whether to show lineData.translation
      */
     constructor(container, lineData, index, options = {}) {
         this._maid = new Maid();
@@ -39,8 +44,12 @@ export class WordLyrics {
         // Signals
         this.RequestedTimeSkip = new Signal();
         this.OnStateChange = new Signal();
+        this.RequestedTimingShift = new Signal(); // (delta, scope) from timing correction mode
         this.OnWordChange = new Signal();
 
+        // Timing correction handle, only while correction mode is on
+        this._timingHandle = null;
+
         // DOM elements
         this._lineElement = null;
         this._textContainer = null;
@@ -79,7 +88,13 @@ export class WordLyrics {
         words.forEach((wordData, wordIndex) => {
             const wordSpan = document.createElement('span');
             wordSpan.className = 'lyric-word future';
-            wordSpan.textContent = wordData.word;
+            // Ruby stays inside the span so the word keeps its highlight fill
+            const furigana = this._options.isRomanized && Furigana.get(this._lineData, 'words', wordIndex);
+            if (furigana) {
+                Furigana.render(wordSpan, furigana);
+            } else {
+                wordSpan.textContent = wordData.word;
+            }
             wordSpan.dataset.wordIndex = wordIndex;
             wordSpan.dataset.wordTime = wordData.time;
 
@@ -108,6 +123,21 @@ export class WordLyrics {
             this._lineElement.appendChild(this._romanElement);
         }
 
+        // Translation under the original (and romanization)
+        if (this._options.showTranslation && this._lineData.translation) {
+            const translationElement = document.createElement('div');
+            translationElement.className = 'translation-text';
+            translationElement.textContent = this._lineData.translation;
+            Object.assign(translationElement.style, {
+                marginTop: '4px',
+                fontSize: '0.7em',
+                fontWeight: '500',
+                color: 'inherit',
+                opacity: '0.8'
+            });
+            this._lineElement.appendChild(translationElement);
+        }
+
         // Setup click handler for seek
         this._maid.GiveListener(this._lineElement, 'click', () => {
             this.RequestedTimeSkip.Fire(this._lineData.time);
@@ -281,6 +311,31 @@ export class WordLyrics {
         this._setState(state, false);
     }
 
+    /**
+     * Show or hide the draggable start-time handle
+     * @param {boolean} enabled
+     */
+    SetCorrectionMode(enabled) {
+        if (enabled && !this._timingHandle) {
+            this._timingHandle = new TimingHandle(this._lineElement, this._lineData.time);
+            this._timingHandle.RequestedShift.Connect((delta, scope) => {
+                this.RequestedTimingShift.Fire(delta, scope);
+            });
+        } else if (!enabled && this._timingHandle) {
+            this._timingHandle.Destroy();
+            this._timingHandle = null;
+        }
+        this._lineElement.classList.toggle('timing-correction', enabled);
+    }
+
+    /**
+     * Mark this line as the one keyboard nudges apply to
+     * @param {boolean} selected
+     */
+    SetCorrectionSelected(selected) {
+        this._lineElement.classList.toggle('correction-selected', selected);
+    }
+
     /**
      * Get the current state
      * @returns {'past'|'current'|'future'}
@@ -341,6 +396,10 @@ export class WordLyrics {
      * Clean up resources
      */
     Destroy() {
+        if (this._timingHandle) {
+            this._timingHandle.Destroy();
+            this._timingHandle = null;
+        }
         this._maid.Destroy();
     }
 }
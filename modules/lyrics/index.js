@@ -10,6 +10,7 @@
 // Main renderer
 export { LyricsRenderer } from './LyricsRenderer.js';
 export { LyricsScroller } from './LyricsScroller.js';
+export { Furigana } from './Furigana.js';
 
 // Vocal components
 export { StaticLyrics } from './components/StaticLyrics.js';
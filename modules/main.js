@@ -7,16 +7,38 @@ import { LyricsSync } from './sync.js';
 import { LyricsUI } from './ui.js';
 import { BackgroundManager } from './background.js';
 import { YouTubeIntegration } from './youtube.js';
+import { YouTubeMusicIntegration } from './youtube-music.js';
+import { YouTubeEmbedIntegration } from './youtube-embed.js';
 import { SettingsManager } from './settings.js';
 import { FullscreenManager } from './fullscreen.js';
+import { PictureInPictureManager } from './pip.js';
 import { EventBus, EVENTS } from './events.js';
-import { FILTER_WORDS } from './constants.js';
+import { FILTER_WORDS, LOCAL_LYRICS_CONFIG, PROVIDER_CONFIG, STORAGE_KEYS } from './constants.js';
+import { VideoStore } from './video-store.js';
+import { LyricsSerializer, EXPORT_FORMATS } from './parsers/LyricsSerializer.js';
+import { SyncEditor } from './sync-editor.js';
+import { TimingPatch } from './timing-patch.js';
+import { SyncOffsetStore } from './sync-offsets.js';
+import { CaptionAligner } from './caption-aligner.js';
 import { Romanizer } from './romanization.js';
+import { JapaneseTokenizer } from './japanese/JapaneseTokenizer.js';
+import { LyricsTranslation } from './translation.js';
+import { TranslationService } from './translators/TranslationService.js';
+import { LibreTranslateTranslator } from './translators/LibreTranslateTranslator.js';
 import { Musixmatch } from './AlternativeProvider/musicmatch.js';
 import { Deezer } from './AlternativeProvider/deezer.js';
+import { NetEaseLyricsProvider } from './AlternativeProvider/netease.js';
+import { KuGouLyricsProvider } from './AlternativeProvider/kugou.js';
+import { ProviderRegistry } from './providers/ProviderRegistry.js';
+import { LrclibProvider } from './providers/LrclibProvider.js';
+import { YouTubeCaptionProvider } from './providers/YouTubeCaptionProvider.js';
+import { ResultScorer } from './providers/ResultScorer.js';
 // Beautiful Lyrics-inspired components
 import { LyricsRenderer } from './lyrics/LyricsRenderer.js';
 
+// Caption offsets closer than this (ms) to the current one aren't suggested
+const CAPTION_OFFSET_MIN_CHANGE = 250;
+
 class YouTubeLyricsApp {
   constructor() {
     this.eventBus = new EventBus();
@@ -25,8 +47,11 @@ class YouTubeLyricsApp {
     this.sync = new LyricsSync();
     this.ui = new LyricsUI();
     this.background = new BackgroundManager();
-    this.youtube = new YouTubeIntegration();
+    this.youtube = YouTubeMusicIntegration.isMusicSite() ? new YouTubeMusicIntegration()
+      : YouTubeEmbedIntegration.isEmbed() ? new YouTubeEmbedIntegration()
+        : new YouTubeIntegration();
     this.fullscreen = new FullscreenManager(this.background);
+    this.pip = new PictureInPictureManager();
 
     // Create custom fetch function that routes through content script bridge (bypasses CORS)
     // Uses window.postMessage to communicate with loader.js content script
@@ -107,13 +132,52 @@ class YouTubeLyricsApp {
     };
 
     this.musixmatch = new Musixmatch(null, true, backgroundFetch); // Enhanced mode with custom fetch
+    // Kept for services configured after settings load (translation server)
+    this.providerFetch = providerFetch;
+    this.translationService = new TranslationService();
     this.deezer = new Deezer(providerFetch); // Deezer provider with generic fetch that supports POST
 
+    // Lyrics sources, walked in the user's priority order by loadLyrics
+    this.providers = new ProviderRegistry();
+    this.providers.register(new LrclibProvider(this.api));
+    this.providers.register(this.musixmatch);
+    this.providers.register(this.deezer);
+    // C-pop heavy sources, tried last by default
+    this.providers.register(new NetEaseLyricsProvider(providerFetch));
+    this.providers.register(new KuGouLyricsProvider(providerFetch));
+    // The video's own subtitle tracks, when nothing else matches
+    this.providers.register(new YouTubeCaptionProvider(this.youtube));
+
     this.currentVideoInfo = null;
     this.currentLyrics = null;
+    this.currentPlainLyrics = null; // Unsynced lyrics on screen, if any
+    this.currentSong = null; // { title, artist } shown in the header
     this.albumArtUrl = null;
     this.currentProvider = null; // Track which provider supplied the lyrics
+    this.currentProviderId = null; // Registry id of that provider
+    this.currentTrackId = null; // Provider's track/record id for the lyrics on screen
+    this.translationLanguage = null; // Language of the translations attached to currentLyrics
+    this.providerTranslation = null; // {language, pairs} that came with the lyrics on screen, if any
+    this.japaneseTokenizerLoad = null; // Dictionary load, started by the first Japanese lyrics romanized
     this.lyricsRenderer = null; // Beautiful Lyrics-style renderer instance
+    this.syncEditor = null; // Tap-to-sync editor, while open
+
+    // Lyrics files the user loaded, bound to the video they were loaded on; capped by size so
+    // they can't crowd the smaller stores below out of the shared localStorage quota
+    this.localLyrics = new VideoStore(STORAGE_KEYS.LOCAL_LYRICS, { maxSize: LOCAL_LYRICS_CONFIG.MAX_STORE_SIZE });
+    // Per-line timing corrections, applied over whatever lyrics load for the video
+    this.timingPatches = new VideoStore(STORAGE_KEYS.TIMING_PATCHES);
+    // Provider record shown for each video (or song of a mix), fetched by id on later visits
+    this.providerTracks = new VideoStore(STORAGE_KEYS.PROVIDER_TRACKS);
+    // Sync delay per video / lyrics track, falling back to the global syncDelay
+    this.syncOffsets = new SyncOffsetStore(STORAGE_KEYS.SYNC_OFFSETS);
+    this.syncOffsetScope = 'global'; // Where the delay in use comes from
+    this.syncOffsetGlobalChosen = false; // User picked "All videos" for this video
+    this.rejectedCaptionOffsets = new Set(); // Video ids whose caption suggestion was undone
+    this.segments = []; // Songs of a multi-song video, in playback order
+    this.currentSegment = null; // Segment whose lyrics are loaded
+    this.segmentWatcher = null; // { video, listener } switching segments on timeupdate
+    this.stopMiniplayerWatch = null; // Ends miniplayer mode's watcher, while lyrics follow the miniplayer
 
     // Synced lyrics cache configuration
     this.SYNCED_CACHE_KEY = 'syncedLyricsCache';
@@ -159,7 +223,7 @@ class YouTubeLyricsApp {
    * @param {string} query - Search query (song + artist)
    * @param {string} syncedLyrics - LRC format synced lyrics
    * @param {string} provider - Provider name (Musixmatch, Deezer, etc.)
-   * @param {object} metadata - Additional metadata (trackName, artistName)
+   * @param {object} metadata - Additional metadata (trackName, artistName, providerId, trackId)
    */
   saveSyncedLyricsToCache(query, syncedLyrics, provider, metadata = {}) {
     try {
@@ -198,6 +262,8 @@ class YouTubeLyricsApp {
         provider: provider,
         trackName: metadata.trackName || '',
         artistName: metadata.artistName || '',
+        providerId: metadata.providerId || '',
+        trackId: metadata.trackId ?? null,
         timestamp: now
       };
 
@@ -216,6 +282,11 @@ class YouTubeLyricsApp {
     await this.settings.load();
     await this.background.loadSettings();
 
+    // Apply provider priority order
+    this.providers.setOrder(this.settings.get('providerOrder'));
+    this.providers.setDisabled(this.settings.get('disabledProviders'));
+    this.configureTranslator();
+
     // Load highlight mode
     this.highlightMode = this.settings.get('highlightMode') || 'line';
     this.ui.setHighlightMode(this.highlightMode);
@@ -245,17 +316,11 @@ class YouTubeLyricsApp {
     // Check if already on a video page when extension loads
     if (this.youtube.isVideoPage()) {
       const observer = new MutationObserver((mutations, obs) => {
-        const secondaryInner = document.querySelector('#secondary-inner');
+        const secondaryInner = this.youtube.getSecondaryInner();
         if (secondaryInner && this.youtube.getVideoTitle()) {
           obs.disconnect();
           // Trigger initial load
-          const videoInfo = {
-            title: this.youtube.getVideoTitle(),
-            artist: this.youtube.getArtistName(),
-            videoId: this.youtube.getVideoId(),
-            url: window.location.href
-          };
-          this.handleVideoChange(videoInfo);
+          this.handleVideoChange(this.youtube.getVideoInfo());
         }
       });
       observer.observe(document.body, { childList: true, subtree: true });
@@ -271,8 +336,17 @@ class YouTubeLyricsApp {
         this.ui.setFontSize(changes.fontSize);
       }
 
-      if (changes.syncDelay !== undefined) {
+      // Video and track offsets win over the global delay
+      if (changes.syncDelay !== undefined && this.syncOffsetScope === 'global') {
         this.sync.setDelay(changes.syncDelay);
+        this.ui.updateSyncOffset(changes.syncDelay, 'global');
+      }
+
+      // A new server may translate what the old one couldn't
+      if (changes.translationServerUrl !== undefined || changes.translationKeyRevision !== undefined) {
+        this.configureTranslator();
+        this.translationLanguage = null;
+        this.loadTranslations();
       }
 
       if (changes.highlightMode !== undefined) {
@@ -280,6 +354,14 @@ class YouTubeLyricsApp {
         this.ui.setHighlightMode(changes.highlightMode);
       }
 
+      if (changes.providerOrder !== undefined) {
+        this.providers.setOrder(changes.providerOrder);
+      }
+
+      if (changes.disabledProviders !== undefined) {
+        this.providers.setDisabled(changes.disabledProviders);
+      }
+
       if (changes.showRomanization !== undefined) {
         this.showRomanization = changes.showRomanization === true;
         // Re-render lyrics with romanization if available
@@ -308,7 +390,9 @@ class YouTubeLyricsApp {
         if (message.type === 'updateFontSize') {
           this.ui.setFontSize(message.fontSize);
         } else if (message.type === 'updateSyncDelay') {
-          this.sync.setDelay(message.syncDelay);
+          if (this.syncOffsetScope === 'global') {
+            this.sync.setDelay(message.syncDelay);
+          }
         } else if (message.type === 'updateBackgroundMode') {
           this.background.mode = message.backgroundMode;
           this.background.updateBackground(this.albumArtUrl);
@@ -323,13 +407,7 @@ class YouTubeLyricsApp {
           this.ui.setHighlightMode(message.highlightMode);
         } else if (message.type === 'updateRomanization') {
           this.settings.set('showRomanization', message.showRomanization === true);
-          if (this.currentLyrics) {
-            const rebuilt = this.applyRomanizationIfNeeded(
-              this.currentLyrics.map(l => ({ time: l.time, text: l.text, words: l.words }))
-            );
-            this.currentLyrics = rebuilt;
-            this.renderCurrentLyrics();
-          }
+          this.refreshRomanization();
         } else if (message.type === 'updatePlaybackMode') {
           // Handle playback mode changes if needed
         }
@@ -345,30 +423,60 @@ class YouTubeLyricsApp {
     this.sync.onUpdate((data) => {
       // Check if UI has an internal renderer (new modular approach)
       const uiRenderer = this.ui.getRenderer();
+      // Lyrics time, so the sync offset moves word and line highlights too
+      const time = data.lyricsTime ?? data.currentTime;
       if (uiRenderer) {
-        uiRenderer.Animate(data.currentTime, data.deltaTime || 1 / 60, data.skipped);
+        uiRenderer.Animate(time, data.deltaTime || 1 / 60, data.skipped);
       }
       
       // Fallback: Animate standalone LyricsRenderer if available (legacy)
       if (this.lyricsRenderer && !uiRenderer) {
-        this.lyricsRenderer.Animate(data.currentTime, data.deltaTime || 1 / 60, data.skipped);
+        this.lyricsRenderer.Animate(time, data.deltaTime || 1 / 60, data.skipped);
       }
 
       // Update legacy UI for backward compatibility
-      this.ui.updateCurrentLyric(data.currentIndex, data.currentTime, data.indexChanged);
+      this.ui.updateCurrentLyric(data.currentIndex, time, data.indexChanged);
 
       // Update progress bar
       if (data.progress !== undefined) {
         this.ui.updateProgressBar(data.progress);
       }
 
+      // Miniplayer strip only changes with the line
+      if (this.ui.miniStrip && data.indexChanged) {
+        const lines = this.currentLyrics || [];
+        this.ui.updateMiniStrip(lines[data.currentIndex]?.text, lines[data.currentIndex + 1]?.text);
+      }
+
       // If fullscreen is active, update there too
       if (this.fullscreen.isActive) {
-        this.fullscreen.updateCurrentLyric(data.currentIndex, data.currentTime, data.indexChanged);
+        this.fullscreen.updateCurrentLyric(data.currentIndex, time, data.indexChanged);
+      }
+
+      if (this.pip.isActive) {
+        this.pip.update(time, data.deltaTime || 1 / 60, data.skipped);
       }
     });
 
 
+    // Timing correction mode: a line (or it and everything after) was moved
+    this.ui.OnTimingShift.Connect((index, delta, scope) => {
+      this.shiftLineTiming(index, delta, scope);
+    });
+
+    // Pop-out lines seek the page's video, minus the sync offset the lines are shown with
+    this.pip.OnSeekRequest.Connect((time) => {
+      const videoElement = this.youtube.getVideoElement();
+      if (videoElement) {
+        videoElement.currentTime = Math.max(0, this.sync.getVideoTime(time));
+      }
+    });
+
+    // Hidden tabs get no animation frames; the pop-out keeps the sync loop running
+    this.pip.OnClose.Connect(() => {
+      this.sync.setFrameSource(null);
+    });
+
     // Fullscreen exit handler
     this.fullscreen.onExit(() => {
       // Restore UI in panel
@@ -385,17 +493,21 @@ class YouTubeLyricsApp {
    * Handle video change
    */
   async handleVideoChange(videoInfo) {
-    this.currentVideoInfo = videoInfo;
-
     // Reset state
     this.cleanup();
 
+    // After cleanup, which clears it
+    this.currentVideoInfo = videoInfo;
+    this.syncOffsetGlobalChosen = false;
+    this.loadSyncOffset();
+
     // Wait for secondary panel to be ready (should already be available since we waited in triggerNavigate)
     try {
-      const secondaryInner = document.querySelector('#secondary-inner');
+      const secondaryInner = this.youtube.getSecondaryInner();
 
       // Create UI
-      const panel = this.ui.createPanel(secondaryInner);
+      const panel = this.ui.createPanel(secondaryInner, this.youtube.getSurface());
+      this.ui.enableFileDrop((text, fileName) => this.loadLyricsFile(text, fileName));
 
       // Create background layer
       const bgLayer = this.background.createBackgroundLayer();
@@ -416,18 +528,35 @@ class YouTubeLyricsApp {
         {
           // Settings object with current values and callbacks
           fontSize: this.settings.get('fontSize'),
-          syncDelay: this.settings.get('syncDelay'),
+          syncDelay: this.sync.delay,
+          syncOffsetScope: this.syncOffsetScope,
+          captionAlignment: this.settings.get('captionAlignment') !== false,
           backgroundMode: this.settings.get('backgroundMode'),
-          highlightMode: this.settings.get('highlightMode'),
+          highlightMode: this.highlightMode || this.settings.get('highlightMode'),
           showRomanization: this.settings.get('showRomanization') === true,
           hideOriginalLyrics: this.settings.get('hideOriginalLyrics') === true,
+          japaneseRomanization: this.settings.get('japaneseRomanization'),
+          showTranslation: this.settings.get('showTranslation') === true,
+          translationLanguage: this.settings.get('translationLanguage'),
+          parallelProviderSearch: this.settings.get('parallelProviderSearch') === true,
+          estimatedWordTiming: this.settings.get('estimatedWordTiming') === true,
+          timingCorrection: false,
+          providerOptions: this.getProviderOptions(),
           onFontSizeChange: (value) => {
             this.settings.set('fontSize', value);
             this.ui.setFontSize(value);
           },
           onSyncDelayChange: (value) => {
-            this.settings.set('syncDelay', value);
-            this.sync.setDelay(value);
+            this.setSyncOffset(value);
+          },
+          onSyncOffsetScopeChange: (scope) => {
+            this.setSyncOffsetScope(scope);
+          },
+          onDetectCaptionOffset: () => {
+            this.suggestCaptionOffset(true);
+          },
+          onCaptionAlignmentChange: (enabled) => {
+            this.settings.set('captionAlignment', enabled);
           },
           onBackgroundModeChange: (value) => {
             this.settings.set('backgroundMode', value);
@@ -446,16 +575,69 @@ class YouTubeLyricsApp {
           },
           onRomanizationChange: (enabled) => {
             this.settings.set('showRomanization', enabled);
-            // Recompute romanization for current lyrics
-            if (this.currentLyrics) {
-              // If we have synced lyrics, rebuild with/without romanization
-              const rebuilt = this.applyRomanizationIfNeeded(
-                this.currentLyrics.map(l => ({ time: l.time, text: l.text, words: l.words }))
-              );
-              this.currentLyrics = rebuilt;
+            this.refreshRomanization();
+          },
+          onJapaneseRomanizationChange: (mode) => {
+            this.settings.set('japaneseRomanization', mode);
+            this.refreshRomanization();
+          },
+          onTranslationChange: (enabled) => {
+            this.settings.set('showTranslation', enabled);
+            // Fetched translations stay on the lines; showing them again only re-renders
+            if (enabled) {
+              this.loadTranslations(true);
+            } else {
               this.renderCurrentLyrics();
             }
           },
+          onTranslationLanguageChange: (language) => {
+            this.settings.set('translationLanguage', language);
+            this.loadTranslations(true);
+          },
+          onProviderOrderChange: (ids) => {
+            // Ids saved for providers that aren't registered right now keep their place at the end
+            const saved = this.settings.get('providerOrder') || [];
+            const order = [...ids, ...saved.filter(id => !ids.includes(id))];
+            this.settings.set('providerOrder', order);
+            this.providers.setOrder(order);
+          },
+          onProviderEnabledChange: (id, enabled) => {
+            const disabled = (this.settings.get('disabledProviders') || []).filter(p => p !== id);
+            if (!enabled) disabled.push(id);
+            this.settings.set('disabledProviders', disabled);
+            this.providers.setDisabled(disabled);
+          },
+          onEstimatedWordTimingChange: (enabled) => {
+            this.settings.set('estimatedWordTiming', enabled);
+            // Re-render so lines switch between line and word components
+            if (this.currentLyrics && this.ui.lyricsContainer) {
+              this.renderCurrentLyrics();
+            }
+          },
+          onParallelProviderSearchChange: (enabled) => {
+            this.settings.set('parallelProviderSearch', enabled);
+          },
+          onLyricsFileLoaded: (text, fileName) => {
+            this.loadLyricsFile(text, fileName);
+          },
+          onLyricsFileRemoved: () => {
+            this.removeLyricsFile();
+          },
+          onExportLyrics: (format) => {
+            this.exportLyrics(format);
+          },
+          onOpenSyncEditor: () => {
+            this.openSyncEditor();
+          },
+          onTimingCorrectionChange: (enabled) => {
+            this.ui.setCorrectionMode(enabled);
+          },
+          onResetTimingCorrections: () => {
+            this.resetTimingCorrections();
+          },
+          onPictureInPicture: PictureInPictureManager.isSupported() ? () => {
+            this.togglePictureInPicture();
+          } : null,
           onHideOriginalLyricsChange: (enabled) => {
             this.settings.set('hideOriginalLyrics', enabled);
             // Re-render current lyrics with the new setting
@@ -463,7 +645,8 @@ class YouTubeLyricsApp {
               this.renderCurrentLyrics();
             }
           }
-        }
+        },
+        this.youtube.getPlayerControls()
       );
 
       // Show loading
@@ -498,8 +681,8 @@ class YouTubeLyricsApp {
     } else {
       this.fullscreen.setHighlightMode(this.highlightMode);
       // Pass song title and artist name to fullscreen
-      const songTitle = this.currentVideoInfo?.title || '';
-      const artistName = this.currentVideoInfo?.artist || '';
+      const songTitle = this.currentSong?.title || this.currentVideoInfo?.title || '';
+      const artistName = this.currentSong?.artist || this.currentVideoInfo?.artist || '';
       this.fullscreen.enter(
         this.currentLyrics,
         this.sync.currentIndex,
@@ -512,10 +695,148 @@ class YouTubeLyricsApp {
   }
 
   /**
-   * Load lyrics for video with multi-strategy search
-   * New flow: Load from LRCLIB first (fast), then try Musixmatch in background for synced lyrics
+   * Open or close the pop-out lyrics window
+   * Runs from the menu click: the window must be requested before anything is awaited.
+   */
+  async togglePictureInPicture() {
+    if (this.pip.isActive) {
+      this.pip.close();
+      return;
+    }
+
+    const opened = await this.pip.open({
+      settings: this.ui.settingsRef,
+      styles: this.ui.getLyricsStyles(),
+      colors: this.ui.adaptiveColors
+    });
+    if (!opened) return;
+
+    this.sync.setFrameSource(this.pip.window);
+    this.refreshPictureInPicture();
+  }
+
+  /**
+   * Show the current lyrics in the pop-out window, if one is open
+   */
+  refreshPictureInPicture() {
+    if (!this.pip.isActive) return;
+
+    this.pip.setHighlightMode(this.highlightMode);
+    this.pip.updateMetadata(
+      this.currentSong?.title || this.currentVideoInfo?.title || '',
+      this.currentSong?.artist || this.currentVideoInfo?.artist || ''
+    );
+
+    if (this.currentLyrics) {
+      this.pip.setLyrics(this.currentLyrics);
+    } else if (this.currentPlainLyrics) {
+      // Lines without times render as static lyrics
+      this.pip.setLyrics(this.applyRomanizationToPlainIfNeeded(this.currentPlainLyrics).split(/\r?\n/));
+    } else {
+      this.pip.showMessage('Waiting for lyrics…');
+    }
+  }
+
+  /**
+   * Load lyrics for video
+   * A local file wins; multi-song videos get lyrics per segment, everything
+   * else one provider search for the whole video.
    */
   async loadLyrics(videoInfo) {
+    // A lyrics file the user loaded for this video beats any provider
+    const local = this.localLyrics.get(videoInfo.videoId);
+    if (local) {
+      const parsed = this.api.parseLyricsFile(local.content, local.fileName);
+      if (parsed) {
+        console.log(`[Lyrics File] Using ${local.fileName} loaded for this video`);
+        this.showLocalLyrics(parsed, videoInfo, local.source === 'editor' ? 'Your sync' : 'Local file');
+        return;
+      }
+    }
+
+    // Album streams, live sets and mixes; a video YouTube tags with one song is that song
+    const segments = videoInfo.metadata ? [] : this.youtube.getSegments();
+    if (segments.length > 0) {
+      this.startSegments(videoInfo, segments);
+      return;
+    }
+
+    await this.searchLyrics(videoInfo);
+  }
+
+  /**
+   * Follow playback through a multi-song video, loading each song's lyrics
+   * @param {object} videoInfo - Video information
+   * @param {Array<{start: number, end: number, title: string}>} segments - From YouTubeIntegration.getSegments
+   */
+  startSegments(videoInfo, segments) {
+    this.stopSegments();
+
+    const video = this.youtube.getVideoElement();
+    if (!video) return;
+
+    console.log(`[Segments] ${segments.length} songs in this video`);
+    this.segments = segments;
+
+    const listener = () => this.updateSegment(videoInfo);
+    video.addEventListener('timeupdate', listener);
+    this.segmentWatcher = { video, listener };
+    this.updateSegment(videoInfo);
+  }
+
+  /**
+   * Load the lyrics of the segment playback is in, if it changed
+   * @param {object} videoInfo - Video information
+   */
+  updateSegment(videoInfo) {
+    const time = this.segmentWatcher?.video.currentTime ?? 0;
+    // Before the first segment (a cold open) its lyrics are already shown
+    const segment = this.segments.find(s => time >= s.start && time < s.end) ||
+      (time < this.segments[0]?.start ? this.segments[0] : null);
+    if (!segment || segment === this.currentSegment || this.isStaleVideo(videoInfo)) return;
+    // Picked up on the first timeupdate after the editor closes
+    if (this.syncEditor) return;
+
+    this.currentSegment = segment;
+    const position = this.segments.indexOf(segment) + 1;
+    console.log(`[Segments] Song ${position}/${this.segments.length}: "${segment.title}" from ${segment.start}s`);
+
+    this.sync.stop();
+    this.currentLyrics = null;
+    this.currentPlainLyrics = null;
+    this.currentProviderId = null;
+    this.currentTrackId = null;
+    this.ui.updateTitle(segment.title, videoInfo.artist, '');
+    this.ui.showLoading();
+
+    // The segment title is searched like a video title; the channel stays the fallback artist
+    const { metadata, ...info } = videoInfo;
+    this.searchLyrics({
+      ...info,
+      title: segment.title,
+      duration: Number.isFinite(segment.end) ? segment.end - segment.start : null,
+      segment
+    });
+  }
+
+  /**
+   * Stop following segments
+   */
+  stopSegments() {
+    if (this.segmentWatcher) {
+      this.segmentWatcher.video.removeEventListener('timeupdate', this.segmentWatcher.listener);
+      this.segmentWatcher = null;
+    }
+    this.segments = [];
+    this.currentSegment = null;
+  }
+
+  /**
+   * Search providers for a song with multiple strategies
+   * New flow: Load from LRCLIB first (fast), then try Musixmatch in background for synced lyrics
+   * @param {object} videoInfo - Video information, or one segment of a multi-song video
+   */
+  async searchLyrics(videoInfo) {
     try {
       // Import TitleParser from api module
       const { TitleParser } = await import('./api.js');
@@ -523,14 +844,35 @@ class YouTubeLyricsApp {
       // Parse the title to extract song and artist intelligently
       const parsed = TitleParser.parseTitle(videoInfo.title, videoInfo.artist);
 
+      // Video length lets matchers tell a radio edit from an extended mix
+      if (!videoInfo.duration && !videoInfo.segment) {
+        videoInfo.duration = await this.youtube.getVideoDuration();
+      }
+
+      // Structured metadata (YouTube Music player bar, "Music in this video",
+      // Topic descriptions) needs no title guessing
+      const metadata = videoInfo.metadata;
+
       // Define search strategies in priority order
       const strategies = [
+        // Strategy 0: Track and artist as the page states them
+        {
+          name: 'metadata',
+          query: `${metadata?.track || ''} ${metadata?.artist || ''}`.trim(),
+          songName: metadata?.track,
+          artistName: metadata?.artist,
+          albumName: metadata?.album,
+          confidence: 1,
+          enabled: !!(metadata?.track && metadata?.artist)
+        },
         // Strategy 1: Parsed song + parsed artist (highest confidence)
         {
           name: 'parsed_full',
           query: `${parsed.song} ${parsed.artist}`.trim(),
           songName: parsed.song,
           artistName: parsed.artist,
+          // High confidence lets LRCLIB try an exact signature lookup
+          confidence: parsed.confidence,
           enabled: parsed.song && parsed.artist && parsed.confidence > 0.6
         },
         // Strategy 2: Formatted title + channel name
@@ -583,7 +925,15 @@ class YouTubeLyricsApp {
         }
       ];
 
-      // STEP 0: Check local cache first for synced lyrics
+      // Strategies double as matching hints for providers
+      strategies.forEach(strategy => {
+        strategy.duration = videoInfo.duration;
+      });
+
+      // STEP 0: The record picked for this video last time, fetched directly by id
+      if (await this.loadRememberedTrack(videoInfo)) return;
+
+      // Then the local cache of synced lyrics by search query
       console.log('[Cache] Checking local cache for synced lyrics...');
       for (const strategy of strategies) {
         if (!strategy.enabled || !strategy.query || strategy.query.length < 2) {
@@ -591,9 +941,15 @@ class YouTubeLyricsApp {
         }
 
         const cached = this.getCachedSyncedLyrics(strategy.query);
+        if (cached && cached.synced && LyricsAPI.exceedsDuration(cached.synced, videoInfo.duration)) {
+          console.log('[Cache] Cached lyrics run past the end of this video, ignoring');
+          continue;
+        }
         if (cached && cached.synced) {
           console.log(`[Cache] Using cached synced lyrics from ${cached.provider}`);
           this.currentProvider = cached.provider + ' (cached)';
+          this.currentProviderId = cached.providerId || null;
+          this.currentTrackId = cached.trackId ?? null;
           this.processProviderResults(
             { synced: cached.synced },
             videoInfo,
@@ -606,56 +962,38 @@ class YouTubeLyricsApp {
       }
       console.log('[Cache] No cached synced lyrics found');
 
-      // STEP 1: Load from LRCLIB first (fast) - don't make user wait
-      console.log('[LRCLIB] Loading lyrics from LRCLIB first...');
-      let lrclibResults = null;
-      let successfulStrategy = null;
+      const providers = this.providers.getOrdered();
 
-      for (const strategy of strategies) {
-        if (!strategy.enabled || !strategy.query || strategy.query.length < 2) {
-          continue;
-        }
-
-        try {
-          console.log(`[LRCLIB] Trying strategy: ${strategy.name} with query: "${strategy.query}"`);
-          lrclibResults = await this.api.searchLyrics(strategy.query);
-
-          // Log all LRCLIB results
-          if (lrclibResults && lrclibResults.length > 0) {
-            console.log('[LRCLIB] All search results:');
-            lrclibResults.forEach((result, idx) => {
-              console.log(`  [${idx}] "${result.trackName}" by "${result.artistName}" (synced: ${!!result.syncedLyrics}, plain: ${!!result.plainLyrics})`);
-            });
-            successfulStrategy = strategy;
-            break;
-          }
-        } catch (error) {
-          console.log(`[LRCLIB] Strategy ${strategy.name} failed:`, error.message);
-          continue;
-        }
+      // Parallel mode: query every provider at once and rank the results
+      if (this.settings.get('parallelProviderSearch') === true) {
+        const hints = {
+          songName: metadata?.track || parsed.song || videoInfo.title,
+          artistName: metadata?.artist || parsed.artist || videoInfo.artist,
+          duration: videoInfo.duration
+        };
+        await this.loadLyricsInParallel(videoInfo, strategies, providers, hints);
+        return;
       }
 
-      // Display LRCLIB lyrics immediately if found
-      if (lrclibResults && lrclibResults.length > 0) {
-        console.log('[LRCLIB] Displaying lyrics immediately');
-        this.currentProvider = 'LRCLIB';
-        this.processLyricsResults(
-          lrclibResults,
-          videoInfo,
-          successfulStrategy ? successfulStrategy.songName : videoInfo.title,
-          successfulStrategy ? successfulStrategy.artistName : videoInfo.artist,
-          'LRCLIB'
-        );
-
-        // STEP 2: In background, try to fetch synced lyrics from Musixmatch
-        // This won't block the UI - user already sees LRCLIB lyrics
-        this.fetchSyncedLyricsInBackground(videoInfo, strategies, successfulStrategy);
+      // STEP 1: Walk providers in priority order and show the first hit immediately
+      const found = await this.searchProviders(providers, strategies);
+      if (this.isStaleVideo(videoInfo)) return;
+
+      if (!found) {
+        this.ui.showError('No lyrics found for this song');
         return;
       }
 
-      // If LRCLIB fails, try providers directly (user will have to wait)
-      console.log('[Lyrics] LRCLIB found nothing, trying alternative providers...');
-      await this.loadFromAlternativeProviders(videoInfo, strategies);
+      this.applyProviderResult(found, videoInfo);
+
+      // STEP 2: In background, try the remaining providers for better synced lyrics
+      // This won't block the UI - user already sees the first result
+      const remaining = providers.slice(providers.indexOf(found.provider) + 1);
+      const canUpgrade = !found.result.synced ||
+        (!found.provider.capabilities?.word && remaining.some(p => p.capabilities?.word));
+      if (canUpgrade && remaining.length > 0) {
+        this.fetchSyncedLyricsInBackground(videoInfo, strategies, remaining);
+      }
 
     } catch (error) {
       console.error('[Lyrics] Failed to load lyrics:', error);
@@ -664,252 +1002,617 @@ class YouTubeLyricsApp {
   }
 
   /**
-   * Fetch synced lyrics from Musixmatch/Deezer in background
-   * If found, replaces current LRCLIB lyrics with synced version
+   * Load a lyrics file picked or dropped by the user
+   * The file is saved against the current video and reloaded on later visits.
+   * @param {string} text - File contents
+   * @param {string} fileName - Original file name
    */
-  async fetchSyncedLyricsInBackground(videoInfo, strategies, originalStrategy) {
-    console.log('[Background] Fetching synced lyrics from providers in background...');
+  loadLyricsFile(text, fileName) {
+    const videoInfo = this.currentVideoInfo;
+    if (!videoInfo?.videoId) return;
 
-    // Try Musixmatch first
-    let musixmatchResult = null;
-    let musixmatchRateLimited = false;
-    let successfulStrategy = null;
+    const parsed = this.api.parseLyricsFile(text, fileName);
+    if (!parsed) {
+      console.log(`[Lyrics File] No lyrics found in ${fileName}`);
+      this.sync.stop();
+      this.currentLyrics = null;
+      this.ui.showError(`No lyrics found in ${fileName}`);
+      return;
+    }
 
-    for (const strategy of strategies) {
-      if (!strategy.enabled || !strategy.query || strategy.query.length < 2) {
-        continue;
-      }
+    console.log(`[Lyrics File] Loaded ${fileName} as ${parsed.format}`);
+    const saved = this.localLyrics.set(videoInfo.videoId, { content: text, fileName, format: parsed.format });
 
-      if (musixmatchRateLimited) {
-        console.log(`[Background/Musixmatch] Skipping strategy ${strategy.name} due to rate limit...`);
-        break;
-      }
+    this.showLocalLyrics(parsed, videoInfo);
 
-      try {
-        console.log(`[Background/Musixmatch] Trying strategy: ${strategy.name} with query: "${strategy.query}"`);
-        musixmatchResult = await this.musixmatch.getLrc(strategy.query);
+    if (!saved) {
+      console.log('[Lyrics File] Could not save file, it will not be reloaded next time');
+      this.ui.showNotice(`${fileName} could not be saved in the browser, so it won't load again on this video`);
+    }
+  }
+
+  /**
+   * Drop the lyrics file bound to the current video and search providers again
+   */
+  removeLyricsFile() {
+    const videoInfo = this.currentVideoInfo;
+    if (!videoInfo?.videoId || !this.localLyrics.get(videoInfo.videoId)) return;
+
+    this.localLyrics.remove(videoInfo.videoId);
+    console.log('[Lyrics File] Removed lyrics file for this video');
+
+    this.sync.stop();
+    this.currentLyrics = null;
+    this.ui.showLoading();
+    this.loadLyrics(videoInfo);
+  }
+
+  /**
+   * Display lyrics parsed from a local file
+   * @param {{lines?: Array<object>, plain?: string, metadata: object}} parsed - From LyricsAPI.parseLyricsFile
+   * @param {object} videoInfo - Video information
+   * @param {string} [providerName='Local file'] - Attribution shown in the header
+   */
+  showLocalLyrics(parsed, videoInfo, providerName = 'Local file') {
+    // A file covers the whole video, segments of a mix included
+    this.stopSegments();
+    // Previous lyrics keep syncing otherwise when the file is plain text
+    this.sync.stop();
+    this.currentLyrics = null;
+
+    this.currentProvider = providerName;
+    this.currentProviderId = 'local';
+    this.currentTrackId = null;
+
+    const result = parsed.lines ? { lines: parsed.lines } : { plain: parsed.plain };
+    this.processProviderResults(
+      result,
+      videoInfo,
+      parsed.metadata.ti || parsed.metadata.title || videoInfo.title,
+      parsed.metadata.ar || videoInfo.artist,
+      providerName
+    );
+  }
+
+  /**
+   * Open the tap-to-sync editor in the panel
+   * Works from plain lyrics, or from synced lyrics to redo their timing.
+   */
+  openSyncEditor() {
+    const videoInfo = this.currentVideoInfo;
+    const videoElement = this.youtube.getVideoElement();
+    if (!videoInfo?.videoId || !videoElement || !this.ui.lyricsContainer || this.syncEditor) return;
+
+    let lines;
+    if (this.currentLyrics && this.currentLyrics.length > 0) {
+      lines = this.currentLyrics.map(line => ({ text: line.text, time: line.time }));
+    } else if (this.currentPlainLyrics) {
+      lines = this.currentPlainLyrics.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    }
+    if (!lines || lines.length === 0) {
+      console.log('[Sync Editor] No lyrics to sync');
+      return;
+    }
 
-        if (musixmatchResult && musixmatchResult.synced) {
-          console.log(`[Background/Musixmatch] Found synced lyrics with strategy: ${strategy.name}`);
-          successfulStrategy = strategy;
-          break;
+    if (this.fullscreen.isActive) {
+      this.fullscreen.exit();
+    }
+    this.ui.setCorrectionMode(false);
+    this.sync.stop();
+
+    // Stamps are lyrics times, so the user's sync delay keeps applying on playback
+    this.syncEditor = new SyncEditor(lines, {
+      getTime: () => this.sync.getLyricsTime(videoElement.currentTime),
+      seek: (time) => {
+        videoElement.currentTime = Math.max(0, this.sync.getVideoTime(time));
+      },
+      onSave: (lrc) => {
+        this.syncEditor = null;
+        if (this.isStaleVideo(videoInfo)) return;
+
+        const parsed = this.api.parseLyricsFile(lrc, 'sync.lrc');
+        if (!parsed) return;
+
+        const saved = this.localLyrics.set(videoInfo.videoId, { content: lrc, fileName: 'Tap sync', format: 'lrc', source: 'editor' });
+        if (saved) {
+          // Corrections were made against the old timing
+          this.timingPatches.remove(videoInfo.videoId);
+          console.log(`[Sync Editor] Saved ${parsed.lines.length} synced lines for this video`);
+        } else {
+          console.log('[Sync Editor] Could not save the sync, it will be lost on reload');
         }
-      } catch (error) {
-        console.log(`[Background/Musixmatch] Strategy ${strategy.name} failed:`, error.message);
-        if (error.message.includes('token') || error.message.includes('401') || error.message.includes('rate') || error.message.includes('retries')) {
-          console.log('[Background/Musixmatch] Rate limited, skipping remaining strategies...');
-          musixmatchRateLimited = true;
+        this.showLocalLyrics(parsed, videoInfo, 'Your sync');
+        if (!saved) {
+          this.ui.showNotice('Your sync could not be saved in the browser. Use Export lyrics in the settings to keep it.');
         }
-        continue;
+      },
+      onCancel: () => {
+        this.syncEditor = null;
+        if (this.isStaleVideo(videoInfo)) return;
+        this.restoreLyricsView();
       }
+    });
+
+    this.syncEditor.mount(this.ui.lyricsContainer);
+  }
+
+  /**
+   * Put the current lyrics back in the panel after the editor closes
+   */
+  restoreLyricsView() {
+    if (this.currentLyrics) {
+      this.renderCurrentLyrics();
+      this.sync.start();
+    } else if (this.currentPlainLyrics) {
+      this.ui.displayPlainLyrics(
+        this.applyRomanizationToPlainIfNeeded(this.currentPlainLyrics),
+        () => this.openSyncEditor()
+      );
     }
+  }
 
-    // If Musixmatch found synced lyrics, replace current lyrics and cache
-    if (musixmatchResult && musixmatchResult.synced) {
-      console.log('[Background] Replacing LRCLIB lyrics with Musixmatch synced lyrics');
+  /**
+   * Where an offset for the lyrics on screen is stored
+   * @returns {{videoId: string|null, trackKey: string|null}}
+   */
+  getSyncOffsetTarget() {
+    return {
+      videoId: this.currentVideoInfo?.videoId || null,
+      trackKey: SyncOffsetStore.trackKey(this.currentProviderId, this.currentTrackId)
+    };
+  }
 
-      // Save to cache for future use
-      if (successfulStrategy) {
-        this.saveSyncedLyricsToCache(
-          successfulStrategy.query,
-          musixmatchResult.synced,
-          'Musixmatch',
-          {
-            trackName: successfulStrategy.songName || videoInfo.title,
-            artistName: successfulStrategy.artistName || videoInfo.artist
-          }
-        );
-      }
+  /**
+   * Apply the offset stored for the current video and lyrics track
+   * @returns {number} Delay in ms
+   */
+  loadSyncOffset() {
+    const { videoId, trackKey } = this.getSyncOffsetTarget();
+    const { delay, segments, scope } = this.syncOffsets.resolve(videoId, trackKey, this.settings.get('syncDelay'));
+
+    this.syncOffsetScope = scope;
+    this.sync.setDelay(delay);
+    this.sync.setSegmentDelays(segments);
+    this.ui.updateSyncOffset(delay, scope);
+    return delay;
+  }
 
-      this.currentProvider = 'Musixmatch';
-      this.processProviderResults(
-        musixmatchResult,
-        videoInfo,
-        successfulStrategy ? successfulStrategy.songName : videoInfo.title,
-        successfulStrategy ? successfulStrategy.artistName : videoInfo.artist,
-        'Musixmatch'
-      );
+  /**
+   * Change the sync delay from the settings panel
+   * Adjustments are remembered for this video unless "All videos" was picked.
+   * Section delays from caption alignment are kept on top of the new delay.
+   * @param {number} delay - Delay in ms
+   * @param {boolean} [perVideo=false] - Never write the global delay
+   */
+  setSyncOffset(delay, perVideo = false) {
+    const { videoId, trackKey } = this.getSyncOffsetTarget();
+
+    let scope = this.syncOffsetScope;
+    if (scope === 'global' && (perVideo || !this.syncOffsetGlobalChosen) && videoId) scope = 'video';
+    if (scope === 'track' && !trackKey) scope = 'video';
+
+    if (scope === 'global') {
+      this.settings.set('syncDelay', delay);
+    } else {
+      this.syncOffsets.save(videoId, trackKey, scope, delay, this.sync.segmentDelays);
+    }
+
+    this.syncOffsetScope = scope;
+    this.sync.setDelay(delay);
+    this.ui.updateSyncOffset(delay, scope);
+  }
+
+  /**
+   * Move the current delay to another scope
+   * 'global' drops this video's offsets so the global delay applies again.
+   * @param {'global'|'video'|'track'} scope
+   */
+  setSyncOffsetScope(scope) {
+    const { videoId, trackKey } = this.getSyncOffsetTarget();
+    if (!videoId) return;
+
+    if (scope === 'global') {
+      this.syncOffsets.clear(videoId);
+      this.syncOffsetGlobalChosen = true;
+      this.loadSyncOffset();
       return;
     }
 
-    // Try Deezer as fallback
-    console.log('[Background/Deezer] Trying Deezer...');
-    let deezerResult = null;
+    this.syncOffsetGlobalChosen = false;
+    this.syncOffsetScope = scope === 'track' && trackKey ? 'track' : 'video';
+    this.setSyncOffset(this.sync.delay);
+  }
 
-    for (const strategy of strategies) {
-      if (!strategy.enabled || !strategy.query || strategy.query.length < 2) {
-        continue;
-      }
+  /**
+   * Match the lyrics on screen against the video's captions and preview the offset found
+   * Runs by itself after lyrics load (unless an offset is already stored or the
+   * suggestion was undone before); manual runs also report why nothing was found.
+   * @param {boolean} [manual=false] - Started from the settings panel
+   */
+  async suggestCaptionOffset(manual = false) {
+    const videoInfo = this.currentVideoInfo;
+    const lines = this.currentLyrics;
 
-      try {
-        console.log(`[Background/Deezer] Trying strategy: ${strategy.name} with query: "${strategy.query}"`);
-        deezerResult = await this.deezer.getLrc(strategy.query);
+    const report = (message) => {
+      console.log(`[Captions] ${message}`);
+      if (manual) this.ui.showOffsetSuggestion(message);
+    };
 
-        if (deezerResult && deezerResult.synced) {
-          console.log(`[Background/Deezer] Found synced lyrics with strategy: ${strategy.name}`);
-          successfulStrategy = strategy;
-          break;
-        }
-      } catch (error) {
-        console.log(`[Background/Deezer] Strategy ${strategy.name} failed:`, error.message);
-        continue;
-      }
+    if (!videoInfo || !lines?.length) {
+      report('Load synced lyrics first.');
+      return;
+    }
+    if (!manual) {
+      if (this.settings.get('captionAlignment') === false) return;
+      if (this.syncOffsetScope !== 'global' || this.rejectedCaptionOffsets.has(videoInfo.videoId)) return;
+      // Each song of a mix would suggest its own offset for the whole video
+      if (this.segments.length > 0) return;
     }
 
-    // If Deezer found synced lyrics, replace current lyrics and cache
-    if (deezerResult && deezerResult.synced) {
-      console.log('[Background] Replacing LRCLIB lyrics with Deezer synced lyrics');
+    const language = Romanizer.detectLanguage(lines.map(line => line.text).join(' '));
+    const track = this.youtube.pickCaptionTrack(this.youtube.getCaptionTracks(), language === 'unknown' ? '' : language);
+    if (!track) {
+      report('This video has no captions to match against.');
+      return;
+    }
 
-      // Save to cache for future use
-      if (successfulStrategy) {
-        this.saveSyncedLyricsToCache(
-          successfulStrategy.query,
-          deezerResult.synced,
-          'Deezer',
-          {
-            trackName: successfulStrategy.songName || videoInfo.title,
-            artistName: successfulStrategy.artistName || videoInfo.artist
-          }
-        );
-      }
+    const cues = await this.youtube.fetchCaptionTrack(track);
+    // The user may have moved on while captions downloaded
+    if (this.isStaleVideo(videoInfo) || this.currentLyrics !== lines) return;
+    if (!cues) {
+      report('YouTube did not return the captions for this video.');
+      return;
+    }
 
-      this.currentProvider = 'Deezer';
-      this.processProviderResults(
-        deezerResult,
-        videoInfo,
-        successfulStrategy ? successfulStrategy.songName : videoInfo.title,
-        successfulStrategy ? successfulStrategy.artistName : videoInfo.artist,
-        'Deezer'
-      );
+    const result = CaptionAligner.align(lines, cues);
+    if (!result) {
+      report(`The lyrics don't match the ${track.isAuto ? 'auto-generated ' : ''}captions closely enough.`);
       return;
     }
 
-    console.log('[Background] No synced lyrics found from providers, keeping LRCLIB lyrics');
+    const previous = { delay: this.sync.delay, segments: this.sync.segmentDelays };
+    const unchanged = Math.abs(result.delay - previous.delay) < CAPTION_OFFSET_MIN_CHANGE && result.segments.length === 0;
+    if (unchanged && !manual) return;
+
+    console.log(`[Captions] Offset ${result.delay}ms, ${result.segments.length} sections, ${result.anchors} lines matched`);
+
+    // Preview right away; Undo puts the old timing back
+    this.sync.setDelay(result.delay);
+    this.sync.setSegmentDelays(result.segments);
+    this.ui.updateSyncOffset(result.delay, this.syncOffsetScope);
+
+    const sections = result.segments.length > 1 ? ` in ${result.segments.length} sections` : '';
+    const matched = Math.round(result.coverage * 100);
+    this.ui.showOffsetSuggestion(
+      `Captions suggest a ${result.delay}ms offset${sections} (${matched}% of lines matched).`,
+      () => {
+        if (this.isStaleVideo(videoInfo)) return;
+        this.setSyncOffset(result.delay, true);
+      },
+      () => {
+        if (this.isStaleVideo(videoInfo)) return;
+        this.rejectedCaptionOffsets.add(videoInfo.videoId);
+        this.sync.setDelay(previous.delay);
+        this.sync.setSegmentDelays(previous.segments);
+        this.ui.updateSyncOffset(previous.delay, this.syncOffsetScope);
+      }
+    );
   }
 
   /**
-   * Load from alternative providers when LRCLIB fails
+   * Apply the stored timing corrections for a video to freshly parsed lines
+   * @param {Array<object>} lines - Parsed synced lines, updated in place
+   * @param {object} videoInfo - Video information
    */
-  async loadFromAlternativeProviders(videoInfo, strategies) {
-    // Try Musixmatch
-    let musixmatchResult = null;
-    let musixmatchRateLimited = false;
-    let successfulStrategy = null;
+  applyTimingPatch(lines, videoInfo) {
+    const patch = this.timingPatches.get(videoInfo?.videoId);
+    if (!patch) return;
 
-    for (const strategy of strategies) {
-      if (!strategy.enabled || !strategy.query || strategy.query.length < 2) {
-        continue;
-      }
+    const applied = TimingPatch.apply(lines, patch);
+    console.log(`[Timing] Applied ${applied}/${patch.shifts.length} timing corrections`);
+  }
 
-      if (musixmatchRateLimited) {
-        break;
-      }
+  /**
+   * Move one line, or it and every line after it, and remember the change
+   * @param {number} index - Line index in the current lyrics
+   * @param {number} delta - Seconds, negative moves earlier
+   * @param {'line'|'after'} scope
+   */
+  shiftLineTiming(index, delta, scope) {
+    const videoId = this.currentVideoInfo?.videoId;
+    if (!videoId || !this.currentLyrics?.[index]) return;
 
-      try {
-        console.log(`[Musixmatch] Trying strategy: ${strategy.name} with query: "${strategy.query}"`);
-        musixmatchResult = await this.musixmatch.getLrc(strategy.query);
+    const applied = TimingPatch.clampDelta(this.currentLyrics, index, delta, scope);
+    if (applied === 0) return;
 
-        if (musixmatchResult && musixmatchResult.synced) {
-          console.log(`[Musixmatch] Found lyrics with strategy: ${strategy.name}`);
-          successfulStrategy = strategy;
-          break;
+    const patch = this.timingPatches.get(videoId) || { shifts: [] };
+    TimingPatch.addShift(patch, this.currentLyrics, index, applied, scope);
+    if (patch.shifts.length > 0) {
+      this.timingPatches.set(videoId, { shifts: patch.shifts });
+    } else {
+      this.timingPatches.remove(videoId);
+    }
+
+    TimingPatch.shift(this.currentLyrics, index, applied, scope);
+
+    // Lines changed in place; re-initializing resets the running loop's index
+    const videoElement = this.youtube.getVideoElement();
+    if (videoElement) {
+      this.sync.initialize(videoElement, this.currentLyrics, this.sync.delay);
+    }
+    this.renderCurrentLyrics();
+  }
+
+  /**
+   * Drop the timing corrections for the current video and reload its lyrics
+   */
+  resetTimingCorrections() {
+    const videoInfo = this.currentVideoInfo;
+    if (!videoInfo?.videoId || !this.timingPatches.get(videoInfo.videoId)) return;
+
+    this.timingPatches.remove(videoInfo.videoId);
+    console.log('[Timing] Removed timing corrections for this video');
+
+    this.sync.stop();
+    this.currentLyrics = null;
+    this.ui.showLoading();
+    this.loadLyrics(videoInfo);
+  }
+
+  /**
+   * Walk providers in order, trying every search strategy on each
+   * @param {Array<object>} providers - Registered providers in priority order
+   * @param {Array<object>} strategies - Search strategies
+   * @param {object} [options]
+   * @param {boolean} [options.requireSynced=false] - Skip results without synced lyrics
+   * @param {string} [options.logPrefix=''] - Prefix for log tags
+   * @returns {Promise<{provider: object, strategy: object, result: object}|null>}
+   */
+  async searchProviders(providers, strategies, { requireSynced = false, logPrefix = '' } = {}) {
+    for (const provider of providers) {
+      const tag = `[${logPrefix}${provider.providerName}]`;
+
+      for (const strategy of strategies) {
+        if (!strategy.enabled || !strategy.query || strategy.query.length < 2) {
+          continue;
         }
-      } catch (error) {
-        console.log(`[Musixmatch] Strategy ${strategy.name} failed:`, error.message);
-        if (error.message.includes('token') || error.message.includes('401') || error.message.includes('rate') || error.message.includes('retries')) {
-          musixmatchRateLimited = true;
+
+        try {
+          console.log(`${tag} Trying strategy: ${strategy.name} with query: "${strategy.query}"`);
+          const result = await this.providers.lookup(provider, strategy);
+
+          // Lyrics for a longer cut of the song
+          if (result?.synced && LyricsAPI.exceedsDuration(result.synced, strategy.duration)) {
+            console.log(`${tag} Rejecting lyrics that run past the end of the video`);
+            continue;
+          }
+
+          if (result && (result.synced || (!requireSynced && result.plain))) {
+            console.log(`${tag} Found lyrics with strategy: ${strategy.name}`);
+            return { provider, strategy, result };
+          }
+        } catch (error) {
+          console.log(`${tag} Strategy ${strategy.name} failed:`, error.message);
+          if (typeof provider.isRateLimitError === 'function' && provider.isRateLimitError(error)) {
+            console.log(`${tag} Rate limited, skipping remaining strategies...`);
+            break;
+          }
         }
-        continue;
       }
     }
 
-    if (musixmatchResult && musixmatchResult.synced) {
-      // Save to cache for future use
-      if (successfulStrategy) {
-        this.saveSyncedLyricsToCache(
-          successfulStrategy.query,
-          musixmatchResult.synced,
-          'Musixmatch',
-          {
-            trackName: successfulStrategy.songName || videoInfo.title,
-            artistName: successfulStrategy.artistName || videoInfo.artist
-          }
-        );
-      }
+    return null;
+  }
 
-      this.currentProvider = 'Musixmatch';
-      this.processProviderResults(
-        musixmatchResult,
-        videoInfo,
-        successfulStrategy ? successfulStrategy.songName : videoInfo.title,
-        successfulStrategy ? successfulStrategy.artistName : videoInfo.artist,
-        'Musixmatch'
-      );
-      return;
-    }
+  /**
+   * Query all providers at once with a shared deadline
+   * At the deadline the best scoring result is shown; anything scoring
+   * higher that arrives afterwards replaces it.
+   * @param {object} videoInfo - Video information
+   * @param {Array<object>} strategies - Search strategies
+   * @param {Array<object>} providers - Providers to query
+   * @param {{songName?: string, artistName?: string, duration?: number}} hints - Used for scoring
+   */
+  async loadLyricsInParallel(videoInfo, strategies, providers, hints) {
+    console.log(`[Race] Querying ${providers.length} providers in parallel...`);
 
-    // Try Deezer
-    let deezerResult = null;
+    let best = null;
+    let settled = false;
 
-    for (const strategy of strategies) {
-      if (!strategy.enabled || !strategy.query || strategy.query.length < 2) {
-        continue;
-      }
+    const consider = (hit) => {
+      if (!hit) return;
 
-      try {
-        console.log(`[Deezer] Trying strategy: ${strategy.name} with query: "${strategy.query}"`);
-        deezerResult = await this.deezer.getLrc(strategy.query);
+      hit.score = ResultScorer.score(hit.result, hints);
+      console.log(`[Race] ${hit.provider.providerName}: ${ResultScorer.getGranularity(hit.result)} sync, score ${hit.score.toFixed(2)}`);
 
-        if (deezerResult && deezerResult.synced) {
-          console.log(`[Deezer] Found lyrics with strategy: ${strategy.name}`);
-          successfulStrategy = strategy;
-          break;
+      if (best && hit.score <= best.score) return;
+
+      const previous = best;
+      best = hit;
+
+      // Before the deadline we only collect; afterwards a better result upgrades the display
+      if (settled && !this.isStaleVideo(videoInfo)) {
+        if (previous) {
+          console.log(`[Race] Replacing ${previous.provider.providerName} lyrics with ${hit.provider.providerName}`);
         }
-      } catch (error) {
-        console.log(`[Deezer] Strategy ${strategy.name} failed:`, error.message);
-        continue;
+        this.applyProviderResult(hit, videoInfo);
       }
+    };
+
+    const all = Promise.all(providers.map(provider =>
+      this.searchProviders([provider], strategies).then(consider)
+    ));
+    const deadline = new Promise(resolve => setTimeout(resolve, PROVIDER_CONFIG.RACE_DEADLINE));
+
+    await Promise.race([all, deadline]);
+    settled = true;
+
+    if (this.isStaleVideo(videoInfo)) return;
+
+    if (best) {
+      this.applyProviderResult(best, videoInfo);
     }
 
-    if (deezerResult && deezerResult.synced) {
-      // Save to cache for future use
-      if (successfulStrategy) {
-        this.saveSyncedLyricsToCache(
-          successfulStrategy.query,
-          deezerResult.synced,
-          'Deezer',
-          {
-            trackName: successfulStrategy.songName || videoInfo.title,
-            artistName: successfulStrategy.artistName || videoInfo.artist
-          }
-        );
-      }
+    // Late results are handled by consider()
+    await all;
+
+    if (!best && !this.isStaleVideo(videoInfo)) {
+      this.ui.showError('No lyrics found for this song');
+    }
+  }
+
+  /**
+   * Whether the user has navigated away from the video we were loading for,
+   * or playback moved on to another song of a multi-song video
+   * @param {object} videoInfo - Video information captured when loading started
+   * @returns {boolean}
+   */
+  isStaleVideo(videoInfo) {
+    if (videoInfo.segment && videoInfo.segment !== this.currentSegment) return true;
+    return !!videoInfo.videoId && videoInfo.videoId !== this.youtube.getVideoId();
+  }
 
-      this.currentProvider = 'Deezer';
-      this.processProviderResults(
-        deezerResult,
-        videoInfo,
-        successfulStrategy ? successfulStrategy.songName : videoInfo.title,
-        successfulStrategy ? successfulStrategy.artistName : videoInfo.artist,
-        'Deezer'
+  /**
+   * Display a provider hit and cache it when it carries synced lyrics
+   * @param {{provider: object, strategy: object, result: object}} found
+   * @param {object} videoInfo - Video information
+   */
+  applyProviderResult(found, videoInfo) {
+    const { provider, strategy, result } = found;
+
+    // Save to cache for future use
+    if (result.synced && provider.cacheable !== false) {
+      this.saveSyncedLyricsToCache(
+        strategy.query,
+        result.synced,
+        provider.providerName,
+        {
+          trackName: strategy.songName || videoInfo.title,
+          artistName: strategy.artistName || videoInfo.artist,
+          providerId: provider.id,
+          trackId: result.id
+        }
       );
+    }
+
+    // Remember the record for this video, so the next visit fetches it instead of searching
+    if (result.id != null && videoInfo.videoId) {
+      this.providerTracks.set(this.providerTrackKey(videoInfo), {
+        providerId: provider.id,
+        trackId: result.id,
+        query: strategy.query,
+        songName: strategy.songName,
+        artistName: strategy.artistName
+      });
+    }
+
+    this.currentProvider = provider.providerName;
+    // Provider record on screen, so it can be refetched directly
+    this.currentProviderId = provider.id;
+    this.currentTrackId = result.id ?? null;
+    this.processProviderResults(
+      result,
+      videoInfo,
+      result.trackName || strategy.songName || videoInfo.title,
+      result.artistName || strategy.artistName || videoInfo.artist,
+      provider.providerName
+    );
+  }
+
+  /**
+   * Every registered lyrics source in priority order, for the settings panel
+   * @returns {Array<{value: string, label: string, enabled: boolean}>}
+   */
+  getProviderOptions() {
+    return this.providers.getOrder().map(id => ({
+      value: id,
+      label: this.providers.get(id).providerName,
+      enabled: !this.providers.isDisabled(id)
+    }));
+  }
+
+  /**
+   * Show the provider record picked for this video on an earlier visit
+   * Only synced records are reused; without synced lyrics the video is
+   * searched again in case a provider has them by now.
+   * @param {object} videoInfo - Video information, or one segment of a multi-song video
+   * @returns {Promise<boolean>} Whether the load is done (lyrics shown or video changed)
+   */
+  async loadRememberedTrack(videoInfo) {
+    const remembered = this.providerTracks.get(this.providerTrackKey(videoInfo));
+    // Disabled or removed providers aren't asked
+    const provider = remembered && this.providers.getOrdered().find(p => p.id === remembered.providerId);
+    if (!provider) return false;
+
+    let result = null;
+    try {
+      result = await provider.fetchById(remembered.trackId);
+    } catch (error) {
+      console.log(`[Tracks] ${provider.providerName} record ${remembered.trackId} unavailable:`, error.message);
+    }
+    if (this.isStaleVideo(videoInfo)) return true;
+    if (!result?.synced || LyricsAPI.exceedsDuration(result.synced, videoInfo.duration)) return false;
+
+    console.log(`[Tracks] Using ${provider.providerName} record ${remembered.trackId} picked for this video`);
+    this.applyProviderResult({
+      provider,
+      strategy: { query: remembered.query, songName: remembered.songName, artistName: remembered.artistName },
+      result: { ...result, id: result.id ?? remembered.trackId }
+    }, videoInfo);
+    return true;
+  }
+
+  /**
+   * Key of a video's remembered provider record; each song of a mix has its own
+   * @param {object} videoInfo - Video information, or one segment of a multi-song video
+   * @returns {string}
+   */
+  providerTrackKey(videoInfo) {
+    return videoInfo.segment ? `${videoInfo.videoId}@${Math.round(videoInfo.segment.start)}` : videoInfo.videoId;
+  }
+
+  /**
+   * Fetch synced lyrics from lower-priority providers in background
+   * If found, replaces the lyrics currently on screen
+   */
+  async fetchSyncedLyricsInBackground(videoInfo, strategies, providers) {
+    console.log('[Background] Fetching synced lyrics from providers in background...');
+
+    const found = await this.searchProviders(providers, strategies, {
+      requireSynced: true,
+      logPrefix: 'Background/'
+    });
+
+    if (!found) {
+      console.log(`[Background] No synced lyrics found from providers, keeping ${this.currentProvider} lyrics`);
       return;
     }
 
-    this.ui.showError('No lyrics found for this song');
+    // User moved on to another video while we were searching
+    if (this.isStaleVideo(videoInfo)) {
+      return;
+    }
+
+    console.log(`[Background] Replacing ${this.currentProvider} lyrics with ${found.provider.providerName} synced lyrics`);
+    this.applyProviderResult(found, videoInfo);
   }
 
   /**
    * Process lyrics results from any provider (Musixmatch, Deezer, etc.)
-   * @param {object} result - Lyrics result with synced property
+   * @param {object} result - Lyrics result with synced, plain or already parsed lines
    * @param {object} videoInfo - Video information
    * @param {string} songName - Song name
    * @param {string} artistName - Artist name
    * @param {string} providerName - Name of the provider (e.g., 'Musixmatch', 'Deezer')
    */
   async processProviderResults(result, videoInfo, songName = '', artistName = '', providerName = 'Unknown') {
-    // Parse synced lyrics from LRC format
-    const syncedLyrics = this.api.parseSyncedLyrics(result.synced);
+    // Provider only has unsynced lyrics
+    if (!result.synced && !result.lines && result.plain) {
+      return this.processPlainLyrics(result.plain, videoInfo, songName, artistName, providerName);
+    }
+
+    // Parse synced lyrics from LRC format (local files arrive already parsed)
+    const syncedLyrics = result.lines || this.api.parseSyncedLyrics(result.synced);
 
     if (!syncedLyrics || syncedLyrics.length === 0) {
       // Fall back to LRCLIB if parsing failed
@@ -917,6 +1620,21 @@ class YouTubeLyricsApp {
       return this.loadLyricsFromLRCLIB(videoInfo, songName, artistName);
     }
 
+    // A translation shipped with the lyrics pairs up by timestamp, before any shifting
+    this.providerTranslation = result.translation && result.translationLanguage
+      ? {
+        language: result.translationLanguage,
+        pairs: LyricsTranslation.pairByTime(syncedLyrics, this.api.parseSyncedLyrics(result.translation))
+      }
+      : null;
+
+    // One song of a multi-song video: its lyrics start where the segment does
+    if (videoInfo.segment) {
+      TimingPatch.shift(syncedLyrics, 0, videoInfo.segment.start, 'after');
+    }
+
+    this.applyTimingPatch(syncedLyrics, videoInfo);
+
     // Store provider name
     this.currentProvider = providerName;
 
@@ -925,26 +1643,37 @@ class YouTubeLyricsApp {
     this.currentLyrics = withRoman;
 
     // Update title, artist, and provider attribution in header
-    this.ui.updateTitle(songName || videoInfo.title, artistName || videoInfo.artist, providerName);
+    this.currentSong = { title: songName || videoInfo.title, artist: artistName || videoInfo.artist };
+    this.ui.updateTitle(this.currentSong.title, this.currentSong.artist, providerName);
 
     // Check if we have word-level timings (prioritize word-by-word sync)
-    const hasWordTimings = syncedLyrics.some(line => line.words && line.words.length > 0);
+    const hasWordTimings = syncedLyrics.some(line => line.words && line.words.length > 0 && !line.wordsEstimated);
 
     if (hasWordTimings) {
       console.log(`[${providerName}] Word-level timings detected, switching to WORD mode`);
-      // Update internal state, settings, and UI
-      this.highlightMode = 'word';
-      this.settings.set('highlightMode', 'word');
-      this.ui.setHighlightMode('word');
+    }
+    // Word mode holds for these lyrics only; the saved highlight mode stays the user's choice
+    const highlightMode = hasWordTimings ? 'word' : (this.settings.get('highlightMode') || 'line');
+    if (highlightMode !== this.highlightMode) {
+      this.highlightMode = highlightMode;
+      this.ui.setHighlightMode(highlightMode);
 
       // Also update fullscreen manager if it exists
       if (this.fullscreen) {
-        this.fullscreen.setHighlightMode('word');
+        this.fullscreen.setHighlightMode(highlightMode);
       }
     }
 
     // Display lyrics using legacy UI
     this.ui.displaySyncedLyrics(this.currentLyrics);
+    // Lyrics replaced while fullscreen (next segment, background upgrade)
+    if (this.fullscreen.isActive) {
+      this.fullscreen.displayLyricsInFullscreen(this.currentLyrics);
+    }
+    this.refreshPictureInPicture();
+
+    this.translationLanguage = null;
+    this.loadTranslations();
 
     // The LyricsRenderer is now optionally integrated into ui.js
     // Enable renderer mode for advanced features (currently disabled by default)
@@ -963,8 +1692,9 @@ class YouTubeLyricsApp {
     // Setup sync
     const videoElement = this.youtube.getVideoElement();
     if (videoElement) {
-      this.sync.initialize(videoElement, syncedLyrics, this.settings.get('syncDelay'));
+      this.sync.initialize(videoElement, syncedLyrics, this.loadSyncOffset());
       this.sync.start();
+      this.suggestCaptionOffset();
     }
 
 
@@ -974,7 +1704,8 @@ class YouTubeLyricsApp {
       this.background.updateBackground(this.albumArtUrl);
       // Update album cover in panel if setting is enabled
       const showInPanel = this.settings.get('showAlbumCoverInPanel');
-      this.ui.updateAlbumCover(this.albumArtUrl, showInPanel);
+      await this.ui.updateAlbumCover(this.albumArtUrl, showInPanel);
+      this.pip.setColors(this.ui.adaptiveColors);
     }
 
     console.log(`[${providerName}] Successfully loaded lyrics`);
@@ -994,110 +1725,141 @@ class YouTubeLyricsApp {
     ];
 
     let results = null;
+    let query = '';
     for (const strategy of strategies) {
       if (!strategy.enabled || !strategy.query) continue;
       try {
         results = await this.api.searchLyrics(strategy.query);
+        query = strategy.query;
         if (results && results.length > 0) break;
       } catch (error) {
         continue;
       }
     }
 
+    // User moved on (another video or the next song of a mix) while we were searching
+    if (this.isStaleVideo(videoInfo)) return;
+
     if (!results || results.length === 0) {
       this.ui.showError('No lyrics found for this song');
       return;
     }
 
-    this.currentProvider = 'LRCLIB';
-    this.processLyricsResults(results, videoInfo, songName, artistName, 'LRCLIB');
+    this.processLyricsResults(results, videoInfo, songName, artistName, query);
   }
 
   /**
-   * Process lyrics results
+   * Show the best LRCLIB search result through the same path as provider hits,
+   * so segment offsets, caching and fullscreen apply to it too
+   * @param {Array<Object>} results - LRCLIB search results
+   * @param {object} videoInfo - Video information
+   * @param {string} songName - Song name
+   * @param {string} artistName - Artist name
+   * @param {string} query - Search query the results came from
    */
-  async processLyricsResults(results, videoInfo, songName = '', artistName = '', providerName = 'LRCLIB') {
+  processLyricsResults(results, videoInfo, songName = '', artistName = '', query = '') {
     // Find best match with enhanced fuzzy matching
     const bestMatch = this.api.findBestMatch(
       results,
       artistName || videoInfo.artist,
-      songName || videoInfo.title
+      songName || videoInfo.title,
+      videoInfo.duration
     );
 
-    if (!bestMatch) {
-      this.ui.showError('No lyrics found for this song');
+    if (!bestMatch || (!bestMatch.syncedLyrics && !bestMatch.plainLyrics)) {
+      this.ui.showError(bestMatch ? 'No lyrics available for this song' : 'No lyrics found for this song');
       return;
     }
 
-    // Parse synced lyrics
-    if (bestMatch.syncedLyrics) {
-      const syncedLyrics = this.api.parseSyncedLyrics(bestMatch.syncedLyrics);
-      // Attach romanization if enabled
-      const withRoman = this.applyRomanizationIfNeeded(syncedLyrics);
-      this.currentLyrics = withRoman;
-
-      // Update title, artist, and provider in header
-      this.ui.updateTitle(bestMatch.trackName || videoInfo.title, bestMatch.artistName || videoInfo.artist, providerName);
-
-      // Check if we have word-level timings and auto-switch to word mode
-      const hasWordTimings = syncedLyrics.some(line => line.words && line.words.length > 0);
-      if (hasWordTimings) {
-        console.log('[LRCLIB] Word-level timings detected, switching to WORD mode');
-        this.highlightMode = 'word';
-        this.settings.set('highlightMode', 'word');
-        this.ui.setHighlightMode('word');
-        if (this.fullscreen) {
-          this.fullscreen.setHighlightMode('word');
-        }
-      }
-
-      // Display lyrics
-      this.ui.displaySyncedLyrics(this.currentLyrics);
+    // Parsed here: unparseable LRC shows as plain text instead of falling back to LRCLIB again
+    const lines = bestMatch.syncedLyrics ? this.api.parseSyncedLyrics(bestMatch.syncedLyrics) : null;
+    const synced = lines && lines.length > 0 ? bestMatch.syncedLyrics : null;
+    if (!synced && !bestMatch.plainLyrics) {
+      this.ui.showError('No lyrics available for this song');
+      return;
+    }
 
-      // Apply stored font size
-      const storedFontSize = this.settings.get('fontSize');
-      if (storedFontSize) {
-        this.ui.setFontSize(storedFontSize);
-      }
-
-      // Create controls
-      this.createControls(bestMatch, results);
-
-      // Setup sync
-      const videoElement = this.youtube.getVideoElement();
-      if (videoElement) {
-        this.sync.initialize(videoElement, syncedLyrics, this.settings.get('syncDelay'));
-        this.sync.start();
+    const provider = this.providers.get('lrclib');
+    this.applyProviderResult({
+      provider,
+      strategy: { query, songName, artistName },
+      result: {
+        id: bestMatch.id,
+        synced,
+        lines: synced ? lines : null,
+        plain: bestMatch.plainLyrics || null,
+        trackName: bestMatch.trackName,
+        artistName: bestMatch.artistName,
+        duration: bestMatch.duration
       }
+    }, videoInfo);
+  }
 
-      // Load album art and update background
-      this.albumArtUrl = await this.youtube.extractAlbumArt();
-      if (this.albumArtUrl) {
-        this.background.updateBackground(this.albumArtUrl);
-        // Update album cover in panel if setting is enabled
-        const showInPanel = this.settings.get('showAlbumCoverInPanel');
-        this.ui.updateAlbumCover(this.albumArtUrl, showInPanel);
-      }
+  /**
+   * Display unsynced lyrics
+   */
+  processPlainLyrics(plain, videoInfo, songName = '', artistName = '', providerName = '') {
+    // Update title, artist, and provider in header
+    this.currentSong = { title: songName || videoInfo.title, artist: artistName || videoInfo.artist };
+    this.ui.updateTitle(this.currentSong.title, this.currentSong.artist, providerName);
+    this.currentPlainLyrics = plain;
 
-    } else if (bestMatch.plainLyrics) {
-      // Update title, artist, and provider in header
-      this.ui.updateTitle(bestMatch.trackName || videoInfo.title, bestMatch.artistName || videoInfo.artist, providerName);
+    // Display plain lyrics
+    const romanizedPlain = this.applyRomanizationToPlainIfNeeded(plain);
+    this.ui.displayPlainLyrics(romanizedPlain, () => this.openSyncEditor());
+    this.refreshPictureInPicture();
 
-      // Display plain lyrics
-      const plain = bestMatch.plainLyrics;
-      const romanizedPlain = this.applyRomanizationToPlainIfNeeded(plain);
-      this.ui.displayPlainLyrics(romanizedPlain);
+    // Apply stored font size
+    const storedFontSize = this.settings.get('fontSize');
+    if (storedFontSize) {
+      this.ui.setFontSize(storedFontSize);
+    }
 
-      // Apply stored font size
-      const storedFontSize = this.settings.get('fontSize');
-      if (storedFontSize) {
-        this.ui.setFontSize(storedFontSize);
-      }
+    this.createControls(null, []);
+  }
 
-      this.createControls(bestMatch, results);
+  /**
+   * Download the lyrics on screen with the sync delay baked into the timestamps
+   * @param {'lrc'|'srt'|'vtt'|'txt'} format
+   */
+  exportLyrics(format) {
+    const type = EXPORT_FORMATS[format];
+    if (!type) return;
+
+    let content;
+    if (this.currentLyrics && this.currentLyrics.length > 0) {
+      // Lyrics show delay ms after their timestamp, so move the stamps to match
+      content = LyricsSerializer.serialize(this.currentLyrics, format, {
+        offset: -(this.sync.delay || 0) / 1000,
+        metadata: {
+          ti: this.currentSong?.title,
+          ar: this.currentSong?.artist,
+          length: this.currentVideoInfo?.duration
+        }
+      });
+    } else if (this.currentPlainLyrics && format === 'txt') {
+      content = this.currentPlainLyrics.replace(/\r\n/g, '\n').trim() + '\n';
     } else {
-      this.ui.showError('No lyrics available for this song');
+      console.log(`[Export] No synced lyrics to export as ${format}`);
+      return;
     }
+
+    this.ui.downloadFile(content, `${this.getExportBaseName()}.${type.extension}`, type.mimeType);
+    console.log(`[Export] Saved lyrics as ${format}`);
+  }
+
+  /**
+   * File name for exported lyrics, "Artist - Title" when both are known
+   * @returns {string}
+   */
+  getExportBaseName() {
+    const parts = [this.currentSong?.artist, this.currentSong?.title].filter(Boolean);
+    const name = parts.join(' - ')
+      .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, 120);
+    return name || 'lyrics';
   }
 
   renderCurrentLyrics() {
@@ -1107,24 +1869,147 @@ class YouTubeLyricsApp {
     if (this.sync?.currentIndex >= 0) {
       this.ui.updateCurrentLyric(this.sync.currentIndex);
     }
+    if (this.fullscreen.isActive) {
+      this.fullscreen.displayLyricsInFullscreen(this.currentLyrics);
+    }
+    this.refreshPictureInPicture();
+  }
+
+  /**
+   * Attach translations to the lyrics on screen, when enabled
+   * Lines keep their translations afterwards, so toggling them only re-renders.
+   * @param {boolean} [userAction=false] - Tell the user when the song has none
+   */
+  async loadTranslations(userAction = false) {
+    if (this.settings.get('showTranslation') !== true || !this.currentLyrics || !this.currentSong) return;
+
+    const language = this.settings.get('translationLanguage') || 'en';
+    if (this.translationLanguage === language) {
+      this.renderCurrentLyrics();
+      return;
+    }
+
+    const song = this.currentSong;
+    try {
+      const pairs = await this.fetchTranslations(song, this.currentLyrics, language);
+      // Another song or language took over while this one loaded
+      if (this.currentSong !== song || !this.currentLyrics || this.settings.get('translationLanguage') !== language) return;
+
+      const { lines, matched } = LyricsTranslation.attach(this.currentLyrics, pairs);
+      this.currentLyrics = lines;
+      this.translationLanguage = language;
+      console.log(`[Translation] ${matched}/${lines.length} lines translated (${language})`);
+
+      if (matched === 0 && userAction) {
+        this.ui.showNotice('No translation in this language for this song');
+      }
+      this.renderCurrentLyrics();
+    } catch (error) {
+      console.warn('[Translation] Failed to load translations:', error.message);
+    }
+  }
+
+  /**
+   * Translations for the lines of a song
+   * A translation that came with the lyrics (NetEase) comes first, then Musixmatch
+   * crowd translations; lines neither covers go to the self-hosted translation
+   * server, when one is configured.
+   * @param {{title: string, artist: string}} song
+   * @param {Array<Object>} lines - Synced lines on screen
+   * @param {string} language - ISO 639-1
+   * @returns {Promise<Array<{original: string, translation: string}>>}
+   */
+  async fetchTranslations(song, lines, language) {
+    let pairs = this.providerTranslation?.language === language ? this.providerTranslation.pairs : [];
+    const missingLines = () => {
+      const covered = new Set(pairs.map(pair => LyricsTranslation.normalize(pair.original)));
+      return lines.filter(line => !covered.has(LyricsTranslation.normalize(line.text)));
+    };
+
+    if (pairs.length > 0) {
+      console.log(`[Translation] ${pairs.length} lines from ${this.currentProvider}`);
+    }
+    if (missingLines().length > 0) {
+      try {
+        pairs = pairs.concat(await this.fetchCrowdTranslations(song, language));
+      } catch (error) {
+        console.warn('[Translation] Musixmatch translations unavailable:', error.message);
+      }
+    }
+
+    if (!this.translationService.isAvailable()) return pairs;
+
+    const missing = missingLines();
+    if (missing.length === 0) return pairs;
+
+    try {
+      const track = `${song.artist || ''}|${song.title || ''}`.toLowerCase();
+      const machine = await this.translationService.translateLines(track, missing, language);
+      console.log(`[Translation] ${machine.length} lines from ${this.translationService.translator.name}`);
+      return pairs.concat(machine);
+    } catch (error) {
+      console.warn('[Translation] Translation server failed:', error.message);
+      return pairs;
+    }
+  }
+
+  /**
+   * Point the translation service at the server from the settings, if any
+   */
+  configureTranslator() {
+    const url = (this.settings.get('translationServerUrl') || '').trim();
+    this.translationService.setTranslator(url
+      ? new LibreTranslateTranslator(url, {
+        // loader.js adds the API key from the popup; the page never holds it
+        fetch: (endpoint, options) => this.providerFetch(endpoint, { ...options, withTranslationKey: true })
+      })
+      : null);
+  }
+
+  /**
+   * Crowd translations for a song, from the Musixmatch track on screen or a lookup
+   * @param {{title: string, artist: string}} song
+   * @param {string} language - ISO 639-1
+   * @returns {Promise<Array<{original: string, translation: string}>>}
+   */
+  async fetchCrowdTranslations(song, language) {
+    let trackId = this.currentProviderId === 'musixmatch' ? this.currentTrackId : null;
+
+    // Lyrics from another source: find the same song on Musixmatch
+    if (!trackId) {
+      const query = `${song.artist || ''} ${song.title || ''}`.trim();
+      const candidates = await this.musixmatch.search(query);
+      trackId = this.musixmatch.pickBest(candidates, { query, duration: this.currentVideoInfo?.duration })?.id;
+    }
+
+    return trackId ? this.musixmatch.getTranslations(trackId, language) : [];
   }
 
   applyRomanizationIfNeeded(syncedLyrics) {
     const enabled = this.settings.get('showRomanization') === true;
     if (!enabled) return syncedLyrics;
+    this.loadJapaneseTokenizerIfNeeded(syncedLyrics.map(line => line.text));
+    const options = { japanese: this.settings.get('japaneseRomanization') };
     return syncedLyrics.map(line => {
       // Remove any inline word-timing markers like <00:12.34> before romanizing
       const cleanedLineText = line.text ? line.text.replace(/<\d{2}:\d{2}\.\d+>/g, '').trim() : '';
-      const romanLine = Romanizer.romanize(cleanedLineText);
-
       const out = { ...line };
+
+      // Furigana goes over the lyrics themselves instead of a line of its own
+      if (options.japanese === 'furigana' && Romanizer.detectLanguage(cleanedLineText) === 'ja') {
+        const furigana = this.getLineFurigana(line, cleanedLineText);
+        if (furigana) out.furigana = furigana;
+        return out;
+      }
+
+      const romanLine = Romanizer.romanize(cleanedLineText, options);
       if (romanLine) out.romanized = romanLine;
 
       // If word-level timings exist, attach per-word romanization as well
       if (line.words && Array.isArray(line.words)) {
         out.words = line.words.map(w => {
           const cleanedWord = w.word ? w.word.replace(/<\d{2}:\d{2}\.\d+>/g, '').trim() : w.word;
-          const r = Romanizer.romanize(cleanedWord || '');
+          const r = Romanizer.romanize(cleanedWord || '', options);
           return { ...w, roman: r || '' };
         });
       }
@@ -1133,17 +2018,77 @@ class YouTubeLyricsApp {
     });
   }
 
+  /**
+   * Kanji readings for a synced line, cut along its timed words and syllables
+   * @param {Object} line - Synced line
+   * @param {string} text - Line text without word timing markers
+   * @returns {{line: Array, words?: Array, syllables?: Array}|null} Null when nothing needs a reading
+   */
+  getLineFurigana(line, text) {
+    const segments = Romanizer.furigana(text);
+    if (!segments.some(segment => segment.reading)) return null;
+
+    const clean = (value) => (value || '').replace(/<\d{2}:\d{2}\.\d+>/g, '').trim();
+    const furigana = { line: segments };
+    if (line.words?.length) {
+      furigana.words = Romanizer.splitFurigana(text, segments, line.words.map(w => clean(w.word)));
+    }
+    if (line.syllables?.length) {
+      furigana.syllables = Romanizer.splitFurigana(text, segments, line.syllables.map(s => clean(s.syllable || s.text)));
+    }
+    return furigana;
+  }
+
   applyRomanizationToPlainIfNeeded(plainText) {
     const enabled = this.settings.get('showRomanization') === true;
     if (!enabled || !plainText) return plainText;
     const lines = plainText.split(/\r?\n/);
+    this.loadJapaneseTokenizerIfNeeded(lines);
+    const options = { japanese: this.settings.get('japaneseRomanization') };
     const out = lines.map(l => {
-      const r = Romanizer.romanize(l);
+      const r = Romanizer.romanize(l, options);
       return r ? `${l}\n${r}` : l;
     });
     return out.join('\n');
   }
 
+  /**
+   * Romanize the lyrics on screen again (setting changed, dictionary loaded)
+   */
+  refreshRomanization() {
+    if (this.currentLyrics) {
+      this.currentLyrics = this.applyRomanizationIfNeeded(
+        this.currentLyrics.map(({ romanized, furigana, ...line }) => line)
+      );
+      this.renderCurrentLyrics();
+    } else if (this.currentPlainLyrics && !this.syncEditor) {
+      this.ui.displayPlainLyrics(
+        this.applyRomanizationToPlainIfNeeded(this.currentPlainLyrics),
+        () => this.openSyncEditor()
+      );
+      this.refreshPictureInPicture();
+    }
+  }
+
+  /**
+   * Load the Japanese dictionary the first time Japanese lyrics are romanized
+   * Kanji stay as written until it's ready; the lyrics are romanized again then.
+   * @param {string[]} texts - Lines about to be romanized
+   */
+  loadJapaneseTokenizerIfNeeded(texts) {
+    if (this.japaneseTokenizerLoad) return;
+    if (!texts.some(text => Romanizer.detectLanguage(text) === 'ja')) return;
+
+    this.japaneseTokenizerLoad = JapaneseTokenizer.load()
+      .then(tokenizer => {
+        Romanizer.setJapaneseTokenizer(tokenizer);
+        this.refreshRomanization();
+      })
+      .catch(error => {
+        console.warn('[Romanization] Japanese dictionary unavailable, romanizing kana only:', error.message);
+      });
+  }
+
   /**
    * Create UI controls (deprecated - controls moved to video player)
    */
@@ -1200,9 +2145,36 @@ class YouTubeLyricsApp {
    * Handle navigate away from video
    */
   handleNavigateAway() {
+    // Lyrics keep going next to the miniplayer while the user browses
+    if (this.currentLyrics && this.youtube.isMiniplayerActive()) {
+      this.enterMiniplayer();
+      return;
+    }
     this.cleanup();
   }
 
+  /**
+   * Follow the miniplayer with a floating strip of the current line
+   * Sync keeps running; closing or expanding the miniplayer, or a new video
+   * in it, ends this (expanding loads the watch page's panel again).
+   */
+  enterMiniplayer() {
+    if (this.fullscreen.isActive) {
+      this.fullscreen.exit();
+    }
+
+    console.log('[Miniplayer] Showing lyrics next to the miniplayer');
+    this.ui.showMiniStrip(this.youtube.getMiniplayer());
+    const index = this.sync.currentIndex;
+    this.ui.updateMiniStrip(this.currentLyrics[index]?.text, this.currentLyrics[index + 1]?.text);
+
+    this.stopMiniplayerWatch = this.youtube.watchMiniplayer(() => {
+      this.stopMiniplayerWatch = null;
+      console.log('[Miniplayer] Miniplayer closed or moved on');
+      this.cleanup();
+    });
+  }
+
   /**
    * Cleanup resources
    */
@@ -1212,6 +2184,12 @@ class YouTubeLyricsApp {
       this.sync.stop();
     }
 
+    // Close the sync editor without saving
+    if (this.syncEditor) {
+      this.syncEditor.destroy();
+      this.syncEditor = null;
+    }
+
     // Destroy LyricsRenderer (Beautiful Lyrics)
     if (this.lyricsRenderer) {
       try { this.lyricsRenderer.Destroy(); } catch (e) { /* ignore */ }
@@ -1228,9 +2206,21 @@ class YouTubeLyricsApp {
       try { this.youtube.cleanup(); } catch (e) { /* ignore */ }
     }
 
+    this.stopSegments();
+
+    if (this.stopMiniplayerWatch) {
+      this.stopMiniplayerWatch();
+      this.stopMiniplayerWatch = null;
+    }
+
     // Reset state BEFORE exiting fullscreen to prevent old lyrics from being restored
     this.currentVideoInfo = null;
     this.currentLyrics = null;
+    this.currentPlainLyrics = null;
+    this.currentSong = null;
+    this.currentProviderId = null;
+    this.currentTrackId = null;
+    this.translationLanguage = null;
     this.albumArtUrl = null;
 
     // Exit fullscreen
@@ -1238,10 +2228,14 @@ class YouTubeLyricsApp {
       this.fullscreen.exit();
     }
 
+    // The pop-out window stays open and picks up the next video's lyrics
+    this.refreshPictureInPicture();
+
     // Remove UI
     if (this.ui) {
       this.ui.removePanel();
       this.ui.removeVideoPlayerControls();
+      this.ui.removeMiniStrip();
     }
   }
 }
@@ -0,0 +1,184 @@
+/**
+ * LrcParser - LRC and A2 (enhanced LRC) parser
+ *
+ * Handles:
+ * - Header tags: [ar:] [ti:] [al:] [au:] [by:] [length:] [offset:]
+ * - Fractions of any precision: [mm:ss], [mm:ss.x], [mm:ss.xx], [mm:ss.xxx]
+ * - Repeated timestamps: [00:12.00][01:30.00]chorus
+ * - A2 word stamps: [00:12.00]<00:12.00>word <00:12.40>word<00:13.00>
+ * - Blank timestamped lines, which mark where the previous line ends
+ *
+ * @example
+ * const { metadata, lines } = LrcParser.parse(lrcString);
+ * // metadata: { ar: 'Artist', ti: 'Title', offset: 250, length: 215 }
+ * // lines: [{ time: 12.25, text: 'Hello', words?: [...], endTime?: 14 }]
+ */
+
+// [mm:ss] / [mm:ss.xx] / [mm:ss:xx] at the start of a line
+const LINE_TIMESTAMP = /^\[(\d+):(\d{1,2})(?:[.:](\d+))?\]/;
+// <mm:ss.xx> word stamps inside a line
+const WORD_TIMESTAMP = /<(\d+):(\d{1,2})(?:[.:](\d+))?>/g;
+// [tag:value] header lines
+const HEADER_TAG = /^\[([a-zA-Z#]+):([^\]]*)\]\s*$/;
+
+export class LrcParser {
+  /**
+   * Parse an LRC string
+   * @param {string} lrcString - LRC or A2 formatted lyrics
+   * @returns {{metadata: Object, lines: Array<{time: number, text: string, words?: Array<{word: string, time: number}>, endTime?: number}>}}
+   */
+  static parse(lrcString) {
+    const metadata = {};
+    const entries = [];
+
+    if (!lrcString) {
+      return { metadata, lines: [] };
+    }
+
+    for (const rawLine of lrcString.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (!line) continue;
+
+      const header = line.match(HEADER_TAG);
+      if (header && !LINE_TIMESTAMP.test(line)) {
+        LrcParser.addHeaderTag(metadata, header[1], header[2]);
+        continue;
+      }
+
+      // Collect every leading timestamp; the rest is shared text
+      const times = [];
+      let rest = line;
+      let match;
+      while ((match = rest.match(LINE_TIMESTAMP)) !== null) {
+        times.push(LrcParser.toSeconds(match[1], match[2], match[3]));
+        rest = rest.slice(match[0].length);
+      }
+
+      if (times.length === 0) continue;
+
+      for (const time of times) {
+        entries.push({ time, ...LrcParser.parseWords(rest, time) });
+      }
+    }
+
+    // [offset:+ms] moves lyrics earlier, negative moves them later
+    const offset = (metadata.offset || 0) / 1000;
+    if (offset) {
+      for (const entry of entries) {
+        entry.time = Math.max(0, entry.time - offset);
+        if (entry.endTime !== undefined) {
+          entry.endTime = Math.max(0, entry.endTime - offset);
+        }
+        if (entry.words) {
+          entry.words.forEach(word => {
+            word.time = Math.max(0, word.time - offset);
+          });
+        }
+      }
+    }
+
+    entries.sort((a, b) => a.time - b.time);
+
+    // Blank stamped lines end the line before them
+    const lines = [];
+    for (const entry of entries) {
+      if (entry.text) {
+        lines.push(entry);
+      } else if (lines.length > 0 && lines[lines.length - 1].endTime === undefined) {
+        lines[lines.length - 1].endTime = entry.time;
+      }
+    }
+
+    return { metadata, lines };
+  }
+
+  /**
+   * Split line text on A2 word stamps
+   * @param {string} content - Line content after the line timestamps
+   * @param {number} lineTime - Line start in seconds
+   * @returns {{text: string, words?: Array<{word: string, time: number}>, endTime?: number}}
+   */
+  static parseWords(content, lineTime) {
+    WORD_TIMESTAMP.lastIndex = 0;
+    if (!WORD_TIMESTAMP.test(content)) {
+      return { text: content.trim() };
+    }
+
+    const words = [];
+    let endTime;
+    let text = '';
+    let cursor = 0;
+    let currentTime = lineTime;
+
+    const pushSegment = (segment, time) => {
+      text += segment;
+      const word = segment.trim();
+      if (word) {
+        words.push({ word, time });
+      }
+    };
+
+    WORD_TIMESTAMP.lastIndex = 0;
+    let match;
+    while ((match = WORD_TIMESTAMP.exec(content)) !== null) {
+      // Text before the first stamp starts with the line
+      pushSegment(content.slice(cursor, match.index), currentTime);
+      currentTime = LrcParser.toSeconds(match[1], match[2], match[3]);
+      cursor = match.index + match[0].length;
+    }
+
+    const tail = content.slice(cursor);
+    if (tail.trim()) {
+      pushSegment(tail, currentTime);
+    } else {
+      // A trailing stamp with no word marks the end of the last word
+      endTime = currentTime;
+    }
+
+    const result = { text: text.replace(/\s+/g, ' ').trim(), words };
+    if (endTime !== undefined && words.length > 0) {
+      result.endTime = endTime;
+    }
+    return result;
+  }
+
+  /**
+   * Store a header tag, converting numeric ones
+   * @param {Object} metadata
+   * @param {string} tag
+   * @param {string} value
+   */
+  static addHeaderTag(metadata, tag, value) {
+    const key = tag.toLowerCase();
+    const trimmed = value.trim();
+
+    if (key === 'offset') {
+      const offset = parseInt(trimmed, 10);
+      metadata.offset = Number.isFinite(offset) ? offset : 0;
+    } else if (key === 'length') {
+      // [length: 3:45] or [length: 03:45.20]
+      const parts = trimmed.split(':').map(Number);
+      const seconds = parts.reduce((total, part) => total * 60 + part, 0);
+      if (Number.isFinite(seconds)) {
+        metadata.length = seconds;
+      }
+    } else {
+      metadata[key] = trimmed;
+    }
+  }
+
+  /**
+   * Convert timestamp parts to seconds
+   * The fraction is read as a decimal, so .5, .50 and .500 are all half a second.
+   * @param {string} minutes
+   * @param {string} seconds
+   * @param {string} [fraction]
+   * @returns {number}
+   */
+  static toSeconds(minutes, seconds, fraction) {
+    const frac = fraction ? parseInt(fraction, 10) / Math.pow(10, fraction.length) : 0;
+    return parseInt(minutes, 10) * 60 + parseInt(seconds, 10) + frac;
+  }
+}
+
+export default LrcParser;
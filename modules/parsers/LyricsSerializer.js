@@ -0,0 +1,214 @@
+/**
+ * LyricsSerializer - Write the line model back out as LRC, SRT, WebVTT or text
+ *
+ * The inverse of LrcParser/SubtitleParser. Real word timings are written as
+ * Enhanced LRC word stamps; estimated ones are left out since any player can
+ * estimate them again.
+ *
+ * @example
+ * const lrc = LyricsSerializer.serialize(lines, 'lrc', { offset: -0.25, metadata: { ti: 'Song' } });
+ */
+
+export const EXPORT_FORMATS = {
+  lrc: { extension: 'lrc', mimeType: 'text/plain' },
+  srt: { extension: 'srt', mimeType: 'application/x-subrip' },
+  vtt: { extension: 'vtt', mimeType: 'text/vtt' },
+  txt: { extension: 'txt', mimeType: 'text/plain' }
+};
+
+// Cue length when a line has no end and nothing follows it
+const LAST_CUE_DURATION = 4;
+
+export class LyricsSerializer {
+  /**
+   * Serialize lines in one of the EXPORT_FORMATS
+   * @param {Array<Object>} lines - Synced lines ({ time, text, endTime?, words? })
+   * @param {'lrc'|'srt'|'vtt'|'txt'} format
+   * @param {object} [options]
+   * @param {number} [options.offset=0] - Seconds added to every timestamp
+   * @param {object} [options.metadata] - LRC header tags ({ ti, ar, al, length })
+   * @returns {string}
+   */
+  static serialize(lines, format, { offset = 0, metadata = {} } = {}) {
+    const shifted = LyricsSerializer.shift(lines, offset);
+
+    switch (format) {
+      case 'lrc': return LyricsSerializer.toLrc(shifted, metadata);
+      case 'srt': return LyricsSerializer.toSrt(shifted);
+      case 'vtt': return LyricsSerializer.toVtt(shifted);
+      case 'txt': return LyricsSerializer.toText(shifted);
+      default: throw new Error(`Unknown export format: ${format}`);
+    }
+  }
+
+  /**
+   * Copy lines with every timestamp moved by offset seconds (never below zero)
+   * @param {Array<Object>} lines
+   * @param {number} offset
+   * @returns {Array<Object>}
+   */
+  static shift(lines, offset) {
+    const move = time => Math.max(0, time + offset);
+
+    return lines
+      .filter(line => line && typeof line.time === 'number' && line.text)
+      .map(line => {
+        const out = { time: move(line.time), text: line.text };
+        if (typeof line.endTime === 'number') out.endTime = move(line.endTime);
+        const words = line.wordsEstimated ? [] : (line.words || []).filter(word => !word.estimated);
+        if (words.length > 0) {
+          out.words = words.map(word => ({ word: word.word, time: move(word.time) }));
+        }
+        return out;
+      });
+  }
+
+  /**
+   * Enhanced LRC: [mm:ss.xx]<mm:ss.xx>word <mm:ss.xx>word<mm:ss.xx>
+   * @param {Array<Object>} lines
+   * @param {object} metadata
+   * @returns {string}
+   */
+  static toLrc(lines, metadata = {}) {
+    const out = [];
+
+    for (const tag of ['ti', 'ar', 'al']) {
+      if (metadata[tag]) out.push(`[${tag}:${metadata[tag]}]`);
+    }
+    if (metadata.length) {
+      const minutes = Math.floor(metadata.length / 60);
+      const seconds = Math.round(metadata.length % 60);
+      out.push(`[length:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}]`);
+    }
+
+    lines.forEach((line, index) => {
+      const stamp = `[${LyricsSerializer.formatLrcTime(line.time)}]`;
+
+      if (line.words) {
+        // The closing word stamp carries the line's end
+        const words = LyricsSerializer.joinWords(line, word => `<${LyricsSerializer.formatLrcTime(word.time)}>${word.word}`);
+        const end = line.endTime !== undefined ? `<${LyricsSerializer.formatLrcTime(line.endTime)}>` : '';
+        out.push(`${stamp}${words}${end}`);
+        return;
+      }
+
+      out.push(`${stamp}${line.text}`);
+
+      // A blank stamped line marks a gap before the next line
+      const next = lines[index + 1];
+      if (line.endTime !== undefined && (!next || next.time > line.endTime)) {
+        out.push(`[${LyricsSerializer.formatLrcTime(line.endTime)}]`);
+      }
+    });
+
+    return out.join('\n') + '\n';
+  }
+
+  /**
+   * SubRip cues, each running until the line's end or the next line
+   * @param {Array<Object>} lines
+   * @returns {string}
+   */
+  static toSrt(lines) {
+    return lines.map((line, index) => {
+      const end = LyricsSerializer.cueEnd(lines, index);
+      const timing = `${LyricsSerializer.formatClock(line.time, ',')} --> ${LyricsSerializer.formatClock(end, ',')}`;
+      return `${index + 1}\n${timing}\n${line.text}\n`;
+    }).join('\n');
+  }
+
+  /**
+   * WebVTT cues; word timings become inline karaoke stamps
+   * @param {Array<Object>} lines
+   * @returns {string}
+   */
+  static toVtt(lines) {
+    const cues = lines.map((line, index) => {
+      const end = LyricsSerializer.cueEnd(lines, index);
+      const timing = `${LyricsSerializer.formatClock(line.time, '.')} --> ${LyricsSerializer.formatClock(end, '.')}`;
+
+      let text = line.text;
+      if (line.words) {
+        text = LyricsSerializer.joinWords(line, (word, i) => (
+          i === 0 ? word.word : `<${LyricsSerializer.formatClock(word.time, '.')}>${word.word}`
+        ));
+      }
+
+      return `${timing}\n${text.replace(/-->/g, '->')}\n`;
+    });
+
+    return ['WEBVTT\n', ...cues].join('\n');
+  }
+
+  /**
+   * Plain text, one line per lyric line
+   * @param {Array<Object>} lines
+   * @returns {string}
+   */
+  static toText(lines) {
+    return lines.map(line => line.text).join('\n') + '\n';
+  }
+
+  /**
+   * Join rendered words using the spacing of the line text, so CJK lines stay unspaced
+   * @param {Object} line - Line with words
+   * @param {Function} render - (word, index) => string
+   * @returns {string}
+   */
+  static joinWords(line, render) {
+    let cursor = 0;
+    return line.words.map((word, index) => {
+      const at = line.text.indexOf(word.word, cursor);
+      let gap = '';
+      if (index > 0) {
+        gap = at === -1 ? ' ' : line.text.slice(cursor, at);
+      }
+      if (at !== -1) cursor = at + word.word.length;
+      return gap + render(word, index);
+    }).join('');
+  }
+
+  /**
+   * Where a cue stops: its own end, else the next line, else a few seconds later
+   * @param {Array<Object>} lines
+   * @param {number} index
+   * @returns {number}
+   */
+  static cueEnd(lines, index) {
+    const line = lines[index];
+    const next = lines[index + 1];
+    if (line.endTime !== undefined && line.endTime > line.time) return line.endTime;
+    if (next && next.time > line.time) return next.time;
+    return line.time + LAST_CUE_DURATION;
+  }
+
+  /**
+   * Seconds to mm:ss.xx
+   * @param {number} seconds
+   * @returns {string}
+   */
+  static formatLrcTime(seconds) {
+    const totalCs = Math.round(seconds * 100);
+    const mins = Math.floor(totalCs / 6000);
+    const secs = Math.floor((totalCs % 6000) / 100);
+    const cs = totalCs % 100;
+    return `${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(cs).padStart(2, '0')}`;
+  }
+
+  /**
+   * Seconds to hh:mm:ss,mmm (SRT) or hh:mm:ss.mmm (WebVTT)
+   * @param {number} seconds
+   * @param {string} separator - Millisecond separator
+   * @returns {string}
+   */
+  static formatClock(seconds, separator) {
+    const totalMs = Math.round(seconds * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const mins = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}${separator}${String(ms).padStart(3, '0')}`;
+  }
+}
+
+export default LyricsSerializer;
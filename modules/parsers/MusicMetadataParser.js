@@ -0,0 +1,153 @@
+/**
+ * MusicMetadataParser - Song metadata YouTube attaches to a video
+ *
+ * Two sources are read, both more reliable than guessing from the title:
+ * - The "Music in this video" description section in the watch page data
+ *   (ytInitialData), one card per licensed song: song, artist, album.
+ * - "Provided to YouTube by" descriptions of auto-generated Topic uploads:
+ *     Provided to YouTube by Label
+ *
+ *     Song · Artist · Featured Artist
+ *
+ *     Album
+ *
+ *     ℗ 2021 Label
+ *
+ * @example
+ * const songs = MusicMetadataParser.fromInitialData(window.ytInitialData);
+ * // [{ track: 'Sparks', artist: 'Coldplay', album: 'Parachutes', source: 'music-section' }]
+ */
+
+const PROVIDED_BY = /^Provided to YouTube by\s+(.+)$/m;
+// Topic descriptions separate song and artists with a middle dot
+const TOPIC_SEPARATOR = /\s+·\s+/;
+// Info row labels of the older layout. They follow the UI language; rows with
+// other labels are skipped and the lockup's own title stands in for the song.
+const ROW_FIELDS = {
+  song: 'track',
+  artist: 'artist',
+  artists: 'artist',
+  album: 'album'
+};
+
+export class MusicMetadataParser {
+  /**
+   * Songs listed in the "Music in this video" section
+   * @param {Object} data - ytInitialData (watch next response)
+   * @returns {Array<{track: string, artist: string, album: string, source: string}>}
+   */
+  static fromInitialData(data) {
+    const songs = [];
+    const panels = data?.engagementPanels || [];
+
+    for (const panel of panels) {
+      const items = panel?.engagementPanelSectionListRenderer?.content
+        ?.structuredDescriptionContentRenderer?.items || [];
+
+      for (const item of items) {
+        // Older layout: carousel of lockups with "SONG" / "ARTIST" / "ALBUM" info rows
+        const section = item.videoDescriptionMusicSectionRenderer;
+        for (const entry of section?.carouselLockups || []) {
+          const song = MusicMetadataParser.fromLockup(entry.carouselLockupRenderer);
+          if (song) songs.push(song);
+        }
+
+        // Newer layout: horizontal cards with title / subtitle / secondary subtitle
+        const cards = item.horizontalCardListRenderer;
+        if (cards && /music/i.test(MusicMetadataParser.text(cards.header?.richListHeaderRenderer?.title))) {
+          for (const card of cards.cards || []) {
+            const song = MusicMetadataParser.fromAttributeCard(card.videoAttributeViewModel);
+            if (song) songs.push(song);
+          }
+        }
+      }
+    }
+
+    return songs;
+  }
+
+  /**
+   * @param {Object} lockup - carouselLockupRenderer
+   * @returns {Object|null}
+   */
+  static fromLockup(lockup) {
+    if (!lockup) return null;
+
+    const song = { track: '', artist: '', album: '', source: 'music-section' };
+    for (const row of lockup.infoRows || []) {
+      const info = row.infoRowRenderer;
+      const label = MusicMetadataParser.text(info?.title).toLowerCase();
+      const field = ROW_FIELDS[label];
+      if (!field) continue;
+      song[field] = MusicMetadataParser.text(info.defaultMetadata) || MusicMetadataParser.text(info.expandedMetadata);
+    }
+
+    // Songs that are also on YouTube carry their title on the video lockup instead
+    if (!song.track) {
+      const video = lockup.videoLockup?.compactVideoRenderer;
+      song.track = MusicMetadataParser.text(video?.title);
+    }
+
+    return song.track ? song : null;
+  }
+
+  /**
+   * @param {Object} card - videoAttributeViewModel
+   * @returns {Object|null}
+   */
+  static fromAttributeCard(card) {
+    const track = MusicMetadataParser.text(card?.title);
+    if (!track) return null;
+
+    return {
+      track,
+      artist: MusicMetadataParser.text(card.subtitle),
+      album: MusicMetadataParser.text(card.secondarySubtitle),
+      source: 'music-section'
+    };
+  }
+
+  /**
+   * Song metadata from an auto-generated "Provided to YouTube by" description
+   * @param {string} description - Full video description
+   * @returns {{track: string, artist: string, album: string, label: string, source: string}|null}
+   */
+  static fromDescription(description) {
+    const provided = (description || '').match(PROVIDED_BY);
+    if (!provided) return null;
+
+    // Paragraphs after the "Provided to" line: "Song · Artists", then the album
+    const rest = description.slice(provided.index + provided[0].length);
+    const paragraphs = rest.split(/\r?\n\s*\r?\n/).map(p => p.trim()).filter(Boolean);
+    const [credit, album] = paragraphs;
+    if (!credit || !TOPIC_SEPARATOR.test(credit)) return null;
+
+    const [track, ...artists] = credit.split(TOPIC_SEPARATOR).map(part => part.trim());
+    if (!track || artists.length === 0) return null;
+
+    return {
+      track,
+      artist: artists.join(', '),
+      // The album paragraph is missing on some singles, which go straight to ℗
+      album: album && !/^[℗©]/.test(album) ? album : '',
+      label: provided[1].trim(),
+      source: 'topic'
+    };
+  }
+
+  /**
+   * Plain text of a YouTube text object ({simpleText}, {runs} or {content})
+   * @param {Object|string} value
+   * @returns {string}
+   */
+  static text(value) {
+    if (!value) return '';
+    if (typeof value === 'string') return value.trim();
+    if (typeof value.simpleText === 'string') return value.simpleText.trim();
+    if (typeof value.content === 'string') return value.content.trim();
+    if (Array.isArray(value.runs)) return value.runs.map(run => run.text || '').join('').trim();
+    return '';
+  }
+}
+
+export default MusicMetadataParser;
@@ -0,0 +1,140 @@
+/**
+ * SubtitleParser - SRT and WebVTT parser
+ *
+ * Each cue becomes one line { time, endTime, text }. Multi-line cues are
+ * joined with a space and formatting tags (<i>, <b>, <v Singer>, {\an8}) are
+ * dropped. WebVTT karaoke stamps (<00:00:12.500>) become word timings.
+ *
+ * @example
+ * const { metadata, lines } = SubtitleParser.parse(srtOrVttString);
+ */
+
+// 00:01:02,500 --> 00:01:04,000 (SRT) or 01:02.500 --> 01:04.000 (VTT)
+const CUE_TIMING = /^((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+// Inline VTT timestamps used for karaoke-style cues
+const INLINE_TIMESTAMP = /<((?:\d+:)?\d{1,2}:\d{2}\.\d{1,3})>/g;
+
+export class SubtitleParser {
+  /**
+   * Quick check whether a string looks like WebVTT
+   * @param {string} text
+   * @returns {boolean}
+   */
+  static isVtt(text) {
+    return typeof text === 'string' && /^\uFEFF?WEBVTT(?:[ \t]|$)/.test(text.split(/\r?\n/, 1)[0]);
+  }
+
+  /**
+   * Quick check whether a string looks like SRT
+   * @param {string} text
+   * @returns {boolean}
+   */
+  static isSrt(text) {
+    return typeof text === 'string' &&
+      /^\uFEFF?\s*\d+\s*\r?\n\s*\d{1,2}:\d{2}:\d{2},\d{1,3}\s*-->/.test(text);
+  }
+
+  /**
+   * Parse SRT or WebVTT
+   * @param {string} text - Subtitle file contents
+   * @returns {{metadata: Object, lines: Array<{time: number, endTime: number, text: string, words?: Array}>}}
+   */
+  static parse(text) {
+    const metadata = {};
+    const lines = [];
+
+    if (!text) {
+      return { metadata, lines };
+    }
+
+    // Cues are separated by blank lines
+    const blocks = text.replace(/^\uFEFF/, '').split(/\r?\n\s*\r?\n/);
+
+    for (const block of blocks) {
+      const rows = block.split(/\r?\n/).map(row => row.trim()).filter(Boolean);
+      const timingIndex = rows.findIndex(row => CUE_TIMING.test(row));
+
+      // Header, NOTE, STYLE and REGION blocks have no timing row
+      if (timingIndex === -1) {
+        if (rows[0] && SubtitleParser.isVtt(rows[0])) {
+          const title = rows[0].replace(/^WEBVTT\s*-?\s*/, '').trim();
+          if (title) metadata.title = title;
+        }
+        continue;
+      }
+
+      const [, start, end] = rows[timingIndex].match(CUE_TIMING);
+      const time = SubtitleParser.parseTime(start);
+      const endTime = SubtitleParser.parseTime(end);
+      const content = rows.slice(timingIndex + 1).join(' ');
+
+      const line = SubtitleParser.parseCueText(content, time);
+      if (!line.text) continue;
+
+      line.time = time;
+      line.endTime = endTime;
+      lines.push(line);
+    }
+
+    lines.sort((a, b) => a.time - b.time);
+    return { metadata, lines };
+  }
+
+  /**
+   * Strip cue markup and pick up karaoke stamps
+   * @param {string} content - Cue payload
+   * @param {number} cueTime - Cue start in seconds
+   * @returns {{text: string, words?: Array<{word: string, time: number}>}}
+   */
+  static parseCueText(content, cueTime) {
+    const stripTags = str => str
+      .replace(/\{\\[^}]*\}/g, '')
+      .replace(/<\/?[a-zA-Z][^>]*>/g, '')
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&nbsp;/g, ' ');
+
+    INLINE_TIMESTAMP.lastIndex = 0;
+    if (!INLINE_TIMESTAMP.test(content)) {
+      return { text: stripTags(content).replace(/\s+/g, ' ').trim() };
+    }
+
+    const words = [];
+    let currentTime = cueTime;
+    let cursor = 0;
+    let match;
+
+    const pushSegment = (segment, time) => {
+      for (const word of stripTags(segment).split(/\s+/).filter(Boolean)) {
+        words.push({ word, time });
+      }
+    };
+
+    INLINE_TIMESTAMP.lastIndex = 0;
+    while ((match = INLINE_TIMESTAMP.exec(content)) !== null) {
+      pushSegment(content.slice(cursor, match.index), currentTime);
+      currentTime = SubtitleParser.parseTime(match[1]);
+      cursor = match.index + match[0].length;
+    }
+    pushSegment(content.slice(cursor), currentTime);
+
+    return {
+      text: words.map(w => w.word).join(' '),
+      words
+    };
+  }
+
+  /**
+   * Parse hh:mm:ss,mmm / mm:ss.mmm to seconds
+   * @param {string} value
+   * @returns {number}
+   */
+  static parseTime(value) {
+    const [clock, fraction = '0'] = value.replace(',', '.').split('.');
+    const seconds = clock.split(':').map(Number).reduce((total, part) => total * 60 + part, 0);
+    return seconds + parseInt(fraction, 10) / Math.pow(10, fraction.length);
+  }
+}
+
+export default SubtitleParser;
@@ -0,0 +1,144 @@
+/**
+ * TracklistParser - Songs of album streams, live sets and mixes
+ *
+ * Segments come from the video's chapters, or from a timestamped tracklist
+ * in the description:
+ *   00:00 Artist - First Song
+ *   2. Second Song - 03:41
+ *   [07:12] Third Song
+ * Each becomes { start, end, title } in seconds; end is the next start, or
+ * the video length for the last one.
+ *
+ * @example
+ * const entries = TracklistParser.fromDescription(description);
+ * const segments = TracklistParser.toSegments(entries, 3600);
+ */
+
+// 3:41, 03:41 or 1:03:41, not glued to other digits
+const TIMESTAMP = /(?<![\d:])(?:(\d{1,2}):)?(\d{1,2}):(\d{2})(?![\d:])/g;
+// Numbering, brackets and separators left around a title once timestamps are gone
+const LEADING_NOISE = /^[\s|:\-–—•·)\]]*(?:\d+[.)]\s+)?[\s|:\-–—•·)\]]*/;
+const TRAILING_NOISE = /[\s|:\-–—•·([]+$/;
+const EMPTY_BRACKETS = /\(\s*\)|\[\s*\]/g;
+// Segments shorter than this in the middle of a list are chapters of one song
+const MIN_SONG_LENGTH = 60;
+
+export class TracklistParser {
+  /**
+   * Chapters from the watch page data
+   * @param {Object} data - ytInitialData (watch next response)
+   * @returns {Array<{start: number, title: string}>}
+   */
+  static fromChapters(data) {
+    const playerBar = data?.playerOverlays?.playerOverlayRenderer?.decoratedPlayerBarRenderer
+      ?.decoratedPlayerBarRenderer?.playerBar?.multiMarkersPlayerBarRenderer;
+
+    for (const marker of playerBar?.markersMap || []) {
+      const chapters = marker.value?.chapters || [];
+      if (chapters.length === 0) continue;
+
+      return chapters
+        .map(({ chapterRenderer: chapter }) => ({
+          start: (chapter?.timeRangeStartMillis || 0) / 1000,
+          title: TracklistParser.text(chapter?.title)
+        }))
+        .filter(entry => entry.title);
+    }
+
+    // Description chapters also show up as a "Chapters" engagement panel
+    for (const panel of data?.engagementPanels || []) {
+      const items = panel?.engagementPanelSectionListRenderer?.content?.macroMarkersListRenderer?.contents || [];
+      const entries = items
+        .map(item => item.macroMarkersListItemRenderer)
+        .filter(item => item && typeof item.onTap?.watchEndpoint?.startTimeSeconds === 'number')
+        .map(item => ({ start: item.onTap.watchEndpoint.startTimeSeconds, title: TracklistParser.text(item.title) }))
+        .filter(entry => entry.title);
+      if (entries.length > 0) return entries;
+    }
+
+    return [];
+  }
+
+  /**
+   * Timestamped tracklist from a video description
+   * A description may hold several lists (or timestamps in prose); the
+   * longest run of increasing timestamps wins.
+   * @param {string} description
+   * @returns {Array<{start: number, title: string}>}
+   */
+  static fromDescription(description) {
+    const runs = [[]];
+
+    for (const row of (description || '').split(/\r?\n/)) {
+      const stamps = [...row.matchAll(TIMESTAMP)];
+      if (stamps.length === 0) continue;
+
+      // "00:00 - 03:41 Song" gives a range; the first stamp is the start
+      const [hours, minutes, seconds] = stamps[0].slice(1).map(value => Number(value || 0));
+      const start = hours * 3600 + minutes * 60 + seconds;
+      const title = TracklistParser.cleanTitle(row.replace(TIMESTAMP, ' '));
+      if (!title) continue;
+
+      const run = runs[runs.length - 1];
+      const previous = run[run.length - 1];
+      if (previous && start <= previous.start) {
+        runs.push([]);
+      }
+      runs[runs.length - 1].push({ start, title });
+    }
+
+    return runs.reduce((best, run) => (run.length > best.length ? run : best), []);
+  }
+
+  /**
+   * Give entries their end times and drop lists that aren't songs
+   * Chapters like "Intro" / "Verse" / "Chorus" split one song; they are too
+   * short to be songs of their own.
+   * @param {Array<{start: number, title: string}>} entries - In start order
+   * @param {number|null} duration - Video length in seconds
+   * @returns {Array<{start: number, end: number, title: string}>} Empty unless at least two songs
+   */
+  static toSegments(entries, duration) {
+    if (entries.length < 2) return [];
+
+    const segments = entries.map((entry, i) => ({
+      start: entry.start,
+      end: entries[i + 1]?.start ?? (duration > entry.start ? duration : Infinity),
+      title: entry.title
+    }));
+
+    const lengths = segments.map(segment => segment.end - segment.start).filter(Number.isFinite);
+    const sorted = lengths.sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    return median >= MIN_SONG_LENGTH ? segments : [];
+  }
+
+  /**
+   * Strip numbering, separators and empty brackets from a tracklist row
+   * @param {string} row - Row with its timestamps removed
+   * @returns {string}
+   */
+  static cleanTitle(row) {
+    return row
+      .replace(EMPTY_BRACKETS, ' ')
+      .replace(/\s+/g, ' ')
+      .replace(LEADING_NOISE, '')
+      .replace(TRAILING_NOISE, '')
+      .trim();
+  }
+
+  /**
+   * Plain text of a YouTube text object ({simpleText} or {runs})
+   * @param {Object|string} value
+   * @returns {string}
+   */
+  static text(value) {
+    if (!value) return '';
+    if (typeof value === 'string') return value.trim();
+    if (typeof value.simpleText === 'string') return value.simpleText.trim();
+    if (Array.isArray(value.runs)) return value.runs.map(run => run.text || '').join('').trim();
+    return '';
+  }
+}
+
+export default TracklistParser;
@@ -0,0 +1,263 @@
+/**
+ * TtmlParser - TTML (Apple Music style) lyrics parser
+ *
+ * Maps TTML onto the renderer's line model:
+ * - <p begin end>                 -> line { time, endTime, text }
+ * - <span begin end> inside <p>   -> line.syllables (and line.words, grouped on whitespace)
+ * - <span ttm:role="x-bg">        -> line.background
+ * - ttm:agent="v2"                -> line.agent, second singer is oppositeAligned
+ *
+ * @example
+ * const { metadata, lines } = TtmlParser.parse(ttmlString);
+ * // metadata.agents: { v1: { type: 'person', name: 'Singer' } }
+ */
+
+const TTM_NS = 'http://www.w3.org/ns/ttml#metadata';
+const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+
+// Apple uses v1000 for lines sung by everyone
+const GROUP_AGENT = 'v1000';
+
+export class TtmlParser {
+  /**
+   * Quick check whether a string looks like TTML
+   * @param {string} text
+   * @returns {boolean}
+   */
+  static isTtml(text) {
+    return typeof text === 'string' && /<tt[\s>]/.test(text) && /<\/tt>/.test(text);
+  }
+
+  /**
+   * Parse a TTML document
+   * @param {string} ttmlString - TTML XML
+   * @returns {{metadata: Object, lines: Array<Object>}}
+   */
+  static parse(ttmlString) {
+    const metadata = { agents: {} };
+    if (!ttmlString) {
+      return { metadata, lines: [] };
+    }
+
+    const doc = new DOMParser().parseFromString(ttmlString, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('Invalid TTML document');
+    }
+
+    // Singer definitions in <head>
+    for (const agent of TtmlParser.byLocalName(doc, 'agent')) {
+      const id = agent.getAttributeNS(XML_NS, 'id') || agent.getAttribute('xml:id');
+      if (!id) continue;
+      const name = TtmlParser.byLocalName(agent, 'name')[0];
+      metadata.agents[id] = {
+        type: agent.getAttribute('type') || 'person',
+        name: name ? name.textContent.trim() : ''
+      };
+    }
+
+    const title = TtmlParser.byLocalName(doc, 'title')[0];
+    if (title && title.textContent.trim()) {
+      metadata.title = title.textContent.trim();
+    }
+
+    const paragraphs = TtmlParser.byLocalName(doc, 'p');
+
+    // The first singer is the lead; anyone else sings from the other side
+    const leadAgent = paragraphs
+      .map(p => TtmlParser.ttmAttr(p, 'agent'))
+      .find(agent => agent && agent !== GROUP_AGENT) || null;
+
+    const lines = [];
+    for (const p of paragraphs) {
+      const line = TtmlParser.parseParagraph(p, leadAgent);
+      if (line) {
+        lines.push(line);
+      }
+    }
+
+    lines.sort((a, b) => a.time - b.time);
+    return { metadata, lines };
+  }
+
+  /**
+   * Convert one <p> to a line
+   * @param {Element} p
+   * @param {string|null} leadAgent
+   * @returns {Object|null}
+   */
+  static parseParagraph(p, leadAgent) {
+    const agent = TtmlParser.ttmAttr(p, 'agent');
+    const oppositeAligned = !!agent && !!leadAgent && agent !== leadAgent && agent !== GROUP_AGENT;
+
+    const syllables = [];
+    const background = [];
+    TtmlParser.collectSyllables(p, syllables, background, oppositeAligned);
+
+    let time = TtmlParser.parseTime(p.getAttribute('begin'));
+    let endTime = TtmlParser.parseTime(p.getAttribute('end'));
+
+    let text;
+    if (syllables.length > 0) {
+      text = syllables.map(s => s.syllable).join('').replace(/\s+/g, ' ').trim();
+      if (time === null) time = syllables[0].time;
+      if (endTime === null) endTime = syllables[syllables.length - 1].endTime;
+    } else {
+      // Line-timed TTML: plain text inside <p>
+      text = TtmlParser.leadText(p).replace(/\s+/g, ' ').trim();
+    }
+
+    if (time === null || (!text && background.length === 0)) {
+      return null;
+    }
+
+    const line = { time, text };
+    if (endTime !== null) line.endTime = endTime;
+    if (agent) line.agent = agent;
+    if (oppositeAligned) line.oppositeAligned = true;
+
+    if (syllables.length > 0) {
+      line.syllables = syllables;
+      line.words = TtmlParser.groupWords(syllables);
+    }
+    if (background.length > 0) {
+      line.background = background;
+    }
+
+    return line;
+  }
+
+  /**
+   * Walk a <p>, collecting timed spans as syllables and x-bg spans as background vocals
+   * Whitespace between spans is appended to the previous syllable so word
+   * boundaries survive.
+   */
+  static collectSyllables(p, syllables, background, oppositeAligned) {
+    for (const node of p.childNodes) {
+      if (node.nodeType === 3) {
+        // Text node: whitespace ends the current word
+        if (/\s/.test(node.textContent) && syllables.length > 0) {
+          const last = syllables[syllables.length - 1];
+          if (!/\s$/.test(last.syllable)) last.syllable += ' ';
+        }
+        continue;
+      }
+
+      if (node.nodeType !== 1 || node.localName !== 'span') continue;
+
+      if (TtmlParser.ttmAttr(node, 'role') === 'x-bg') {
+        const bg = TtmlParser.parseBackground(node, oppositeAligned);
+        if (bg) background.push(bg);
+        continue;
+      }
+
+      const begin = TtmlParser.parseTime(node.getAttribute('begin'));
+      if (begin === null) continue;
+
+      const syllable = { syllable: node.textContent, time: begin };
+      const end = TtmlParser.parseTime(node.getAttribute('end'));
+      if (end !== null) syllable.endTime = end;
+      syllables.push(syllable);
+    }
+  }
+
+  /**
+   * Convert a ttm:role="x-bg" span to a background vocal
+   * @param {Element} span
+   * @param {boolean} oppositeAligned
+   * @returns {Object|null}
+   */
+  static parseBackground(span, oppositeAligned) {
+    const timed = [...span.getElementsByTagNameNS('*', 'span')]
+      .filter(s => s.getAttribute('begin'));
+
+    // CSS adds the parentheses, so strip the ones in the source
+    const text = span.textContent.replace(/\s+/g, ' ').trim().replace(/^\((.*)\)$/, '$1').trim();
+    if (!text) return null;
+
+    const startTime = TtmlParser.parseTime(span.getAttribute('begin')) ??
+      (timed.length > 0 ? TtmlParser.parseTime(timed[0].getAttribute('begin')) : null);
+    const endTime = TtmlParser.parseTime(span.getAttribute('end')) ??
+      (timed.length > 0 ? TtmlParser.parseTime(timed[timed.length - 1].getAttribute('end')) : null);
+
+    if (startTime === null) return null;
+
+    const bg = { text, startTime, oppositeAligned };
+    if (endTime !== null) bg.endTime = endTime;
+    return bg;
+  }
+
+  /**
+   * Group syllables into words for the word renderer
+   * @param {Array<{syllable: string, time: number}>} syllables
+   * @returns {Array<{word: string, time: number}>}
+   */
+  static groupWords(syllables) {
+    const words = [];
+    let current = null;
+
+    for (const s of syllables) {
+      if (!current) {
+        current = { word: '', time: s.time };
+      }
+      current.word += s.syllable.trim();
+      if (/\s$/.test(s.syllable)) {
+        words.push(current);
+        current = null;
+      }
+    }
+    if (current && current.word) {
+      words.push(current);
+    }
+
+    return words.filter(w => w.word);
+  }
+
+  /**
+   * Text of a <p> without background vocal spans
+   * @param {Element} p
+   * @returns {string}
+   */
+  static leadText(p) {
+    let text = '';
+    for (const node of p.childNodes) {
+      if (node.nodeType === 3) {
+        text += node.textContent;
+      } else if (node.nodeType === 1 && TtmlParser.ttmAttr(node, 'role') !== 'x-bg') {
+        text += node.localName === 'br' ? ' ' : node.textContent;
+      }
+    }
+    return text;
+  }
+
+  /**
+   * Parse a TTML time expression
+   * Supports clock time (h:m:s.fff, m:s.fff, s.fff) and offset time (12.5s, 1500ms, 2m, 1h)
+   * @param {string|null} value
+   * @returns {number|null} Seconds
+   */
+  static parseTime(value) {
+    if (!value) return null;
+    const trimmed = value.trim();
+
+    const offset = trimmed.match(/^([\d.]+)(h|m|s|ms)$/);
+    if (offset) {
+      const amount = parseFloat(offset[1]);
+      const scale = { h: 3600, m: 60, s: 1, ms: 0.001 }[offset[2]];
+      return amount * scale;
+    }
+
+    const parts = trimmed.split(':').map(Number);
+    if (parts.some(part => !Number.isFinite(part))) return null;
+    return parts.reduce((total, part) => total * 60 + part, 0);
+  }
+
+  static ttmAttr(el, name) {
+    return el.getAttributeNS(TTM_NS, name) || el.getAttribute(`ttm:${name}`) || null;
+  }
+
+  static byLocalName(root, localName) {
+    return [...root.getElementsByTagNameNS('*', localName)];
+  }
+}
+
+export default TtmlParser;
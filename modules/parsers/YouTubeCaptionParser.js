@@ -0,0 +1,76 @@
+/**
+ * YouTubeCaptionParser - YouTube timedtext (json3) parser
+ *
+ * Each caption event becomes one cue { time, endTime, text }. Auto-generated
+ * tracks carry per-word offsets, which become word timings. Sound labels
+ * ([Music], (Applause)) and music notes are dropped, so an instrumental
+ * stretch leaves no cue at all.
+ *
+ * @example
+ * const cues = YouTubeCaptionParser.parse(await response.json());
+ */
+
+// [Music], [Applause], (laughs) ...
+const SOUND_LABEL = /\[[^\]]*\]|\((?:music|applause|laughs?|laughter|cheering|instrumental)\)/gi;
+const MUSIC_NOTES = /[♪♫♬♩]/g;
+
+export class YouTubeCaptionParser {
+  /**
+   * Parse a json3 timedtext document
+   * @param {Object|string} data - Parsed JSON or the raw response text
+   * @returns {Array<{time: number, endTime: number, text: string, words?: Array<{word: string, time: number}>}>}
+   */
+  static parse(data) {
+    let json = data;
+    if (typeof data === 'string') {
+      try {
+        json = JSON.parse(data);
+      } catch (error) {
+        return [];
+      }
+    }
+
+    const cues = [];
+    for (const event of json?.events || []) {
+      // Window definitions and "\n" appends carry no text of their own
+      if (!Array.isArray(event.segs) || typeof event.tStartMs !== 'number') continue;
+
+      const start = event.tStartMs / 1000;
+      const words = [];
+      for (const seg of event.segs) {
+        const word = YouTubeCaptionParser.cleanText(seg.utf8 || '');
+        if (!word) continue;
+        words.push({ word, time: start + (seg.tOffsetMs || 0) / 1000 });
+      }
+      if (words.length === 0) continue;
+
+      const cue = {
+        time: start,
+        endTime: start + (event.dDurationMs || 0) / 1000,
+        text: words.map(word => word.word).join(' ')
+      };
+      // Only auto-generated tracks time their segments
+      if (words.length > 1 && event.segs.some(seg => seg.tOffsetMs)) {
+        cue.words = words;
+      }
+      cues.push(cue);
+    }
+
+    return cues.sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Strip sound labels, music notes and line breaks from caption text
+   * @param {string} text
+   * @returns {string}
+   */
+  static cleanText(text) {
+    return text
+      .replace(SOUND_LABEL, ' ')
+      .replace(MUSIC_NOTES, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+}
+
+export default YouTubeCaptionParser;
@@ -0,0 +1,283 @@
+/**
+ * Picture-in-Picture Module - Lyrics in an always-on-top Document PiP window
+ * The window holds its own LyricsRenderer, animated from the page's sync loop
+ * like the panel and fullscreen ones, so it shows the same lines and timing.
+ * Uses Maid for resource cleanup and Signal for event handling
+ */
+
+import { ColorExtractor } from './color-utils.js';
+import { Maid } from './utils/Maid.js';
+import { Signal } from './utils/Signal.js';
+import { LyricsRenderer } from './lyrics/LyricsRenderer.js';
+
+const WINDOW_SIZE = { width: 360, height: 520 };
+const FALLBACK_BACKGROUND = 'linear-gradient(180deg, #2a2a2a 0%, #0a0a0a 100%)';
+
+// Layout of the PiP document; line styles come from the panel's own stylesheet
+const WINDOW_STYLES = `
+  html, body {
+    height: 100%;
+    margin: 0;
+    overflow: hidden;
+  }
+  body {
+    display: flex;
+    flex-direction: column;
+    color: #fff8e6;
+    background: ${FALLBACK_BACKGROUND};
+    transition: background 0.5s ease;
+    font-family: -apple-system, BlinkMacSystemFont, "SF Pro Display", "SF Pro Text", "Helvetica Neue", Helvetica, Arial, sans-serif;
+  }
+  #pip-header {
+    flex-shrink: 0;
+    padding: 12px 16px 8px;
+    background: rgba(0, 0, 0, 0.25);
+  }
+  #pip-song-title {
+    font-size: 15px;
+    font-weight: 700;
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+  #pip-song-artist {
+    font-size: 13px;
+    color: rgba(255, 248, 230, 0.7);
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+  #pip-lyrics-container {
+    flex: 1;
+    display: flex;
+    flex-direction: column;
+    overflow: hidden;
+    min-height: 0;
+  }
+  #pip-message {
+    margin: auto;
+    padding: 24px;
+    text-align: center;
+    color: rgba(255, 248, 230, 0.6);
+  }
+  #pip-lyrics-container .lyric-line {
+    font-size: 1.3rem !important;
+    line-height: 1.8 !important;
+  }
+`;
+
+export class PictureInPictureManager {
+  constructor() {
+    // Initialize Maid for resource cleanup
+    this._maid = new Maid();
+
+    this.window = null;
+    this.lyricsContainer = null;
+    this.settings = null;
+    this.highlightMode = 'line';
+    this.isActive = false;
+
+    // Signals for event communication
+    this.OnSeekRequest = new Signal();
+    this.OnClose = new Signal();
+
+    this._lyricsRenderer = null;
+  }
+
+  /**
+   * Whether the browser can open Document Picture-in-Picture windows
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return 'documentPictureInPicture' in window;
+  }
+
+  /**
+   * Set highlight mode used for the next lyrics shown
+   */
+  setHighlightMode(mode) {
+    this.highlightMode = mode;
+  }
+
+  /**
+   * Open the PiP window
+   * Must be called straight from a user click: the browser refuses the
+   * window once anything else was awaited first.
+   * @param {Object} options
+   * @param {Array|Object|null} options.lyrics - Lines for LyricsRenderer, or null while loading
+   * @param {Object|null} options.settings - Panel settings (romanization, estimated words)
+   * @param {string} options.styles - Panel lyrics stylesheet, so lines look the same
+   * @param {string[]|null} options.colors - Adaptive colors from the album art
+   * @param {string} options.songTitle
+   * @param {string} options.artistName
+   * @returns {Promise<boolean>} Whether the window opened
+   */
+  async open({ lyrics = null, settings = null, styles = '', colors = null, songTitle = '', artistName = '' } = {}) {
+    if (this.isActive) return true;
+
+    let pipWindow;
+    try {
+      pipWindow = await window.documentPictureInPicture.requestWindow(WINDOW_SIZE);
+    } catch (error) {
+      console.warn('[PiP] Could not open Picture-in-Picture window:', error);
+      return false;
+    }
+
+    this.window = pipWindow;
+    this.settings = settings;
+    this.isActive = true;
+
+    const doc = pipWindow.document;
+    const style = doc.createElement('style');
+    style.textContent = `${styles}\n${WINDOW_STYLES}`;
+    doc.head.appendChild(style);
+
+    // Elements live in the PiP document and go away with it
+    const header = doc.createElement('div');
+    header.id = 'pip-header';
+    this.titleElement = doc.createElement('div');
+    this.titleElement.id = 'pip-song-title';
+    this.artistElement = doc.createElement('div');
+    this.artistElement.id = 'pip-song-artist';
+    header.append(this.titleElement, this.artistElement);
+
+    this.lyricsContainer = doc.createElement('div');
+    this.lyricsContainer.id = 'pip-lyrics-container';
+    doc.body.append(header, this.lyricsContainer);
+
+    // The user closed the window, or the page went away
+    this._maid.GiveListener(pipWindow, 'pagehide', () => this.close());
+
+    this.updateMetadata(songTitle, artistName);
+    this.setColors(colors);
+    if (lyrics) {
+      this.setLyrics(lyrics);
+    } else {
+      this.showMessage('Waiting for lyrics…');
+    }
+
+    console.log('[PiP] Opened lyrics window');
+    return true;
+  }
+
+  /**
+   * Close the PiP window
+   */
+  close() {
+    if (!this.isActive) return;
+    this.isActive = false;
+
+    this._destroyRenderer();
+    this._maid.Destroy();
+    this._maid = new Maid();
+
+    const pipWindow = this.window;
+    this.window = null;
+    this.lyricsContainer = null;
+    this.titleElement = null;
+    this.artistElement = null;
+    if (pipWindow && !pipWindow.closed) {
+      pipWindow.close();
+    }
+
+    // Fire close signal for listeners
+    this.OnClose.Fire();
+  }
+
+  /**
+   * Show new lyrics in the window
+   * @param {Array|Object} lyrics - Synced lines, or lines without times for plain lyrics
+   */
+  setLyrics(lyrics) {
+    if (!this.isActive) return;
+
+    this._destroyRenderer();
+    this.lyricsContainer.replaceChildren();
+
+    try {
+      this._lyricsRenderer = new LyricsRenderer(this.lyricsContainer, lyrics, {
+        highlightMode: this.highlightMode,
+        showRomanization: this.settings?.showRomanization || false,
+        hideOriginalLyrics: this.settings?.hideOriginalLyrics || false,
+        showTranslation: this.settings?.showTranslation === true,
+        useEstimatedWordTimings: this.settings?.estimatedWordTiming === true,
+        detectInterludes: true,
+        interludeThreshold: 5
+      });
+
+      // Seeking is up to the page, which knows the video and the sync offset
+      this._lyricsRenderer.OnSeekRequest.Connect((time, index) => {
+        this.OnSeekRequest.Fire(time, index);
+      });
+    } catch (error) {
+      console.warn('[PiP] Failed to create LyricsRenderer:', error);
+      this._lyricsRenderer = null;
+      this.showMessage('Lyrics could not be shown here');
+    }
+  }
+
+  /**
+   * Replace the lyrics with a short message (loading, nothing found)
+   * @param {string} text
+   */
+  showMessage(text) {
+    if (!this.isActive) return;
+
+    this._destroyRenderer();
+    const message = this.window.document.createElement('div');
+    message.id = 'pip-message';
+    message.textContent = text;
+    this.lyricsContainer.replaceChildren(message);
+  }
+
+  /**
+   * Update the song shown in the header and the window title
+   */
+  updateMetadata(songTitle = '', artistName = '') {
+    if (!this.isActive) return;
+
+    this.titleElement.textContent = songTitle;
+    this.artistElement.textContent = artistName;
+    this.window.document.title = [songTitle, artistName].filter(Boolean).join(' – ') || 'Lyrics';
+  }
+
+  /**
+   * Tint the window with the album art's adaptive colors
+   * @param {string[]|null} colors - RGB strings from ColorExtractor
+   */
+  setColors(colors) {
+    if (!this.isActive) return;
+
+    const body = this.window.document.body;
+    if (colors && colors.length > 0) {
+      // The gradient is translucent; keep it over a dark base so lines stay readable
+      body.style.background = `${ColorExtractor.generateGradient(colors, '135deg')}, #0a0a0c`;
+    } else {
+      body.style.background = FALLBACK_BACKGROUND;
+    }
+  }
+
+  /**
+   * Advance the window's lyrics; called from the page's sync loop
+   * @param {number} time - Lyrics time in seconds
+   * @param {number} deltaTime - Seconds since the last frame
+   * @param {boolean} skipped - Whether playback jumped
+   */
+  update(time, deltaTime, skipped = false) {
+    if (this._lyricsRenderer) {
+      this._lyricsRenderer.Animate(time, deltaTime, skipped);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _destroyRenderer() {
+    if (this._lyricsRenderer) {
+      this._lyricsRenderer.Destroy();
+      this._lyricsRenderer = null;
+    }
+  }
+}
+
+export default PictureInPictureManager;
@@ -0,0 +1,92 @@
+/**
+ * LRCLIB provider - Registry adapter around LyricsAPI
+ *
+ * LRCLIB search results already contain the lyrics, so fetchById serves the
+ * records from the most recent search and only hits /api/get/{id} for ids
+ * it hasn't seen (e.g. a record id remembered from an earlier session).
+ */
+
+export class LrclibProvider {
+  /**
+   * @param {import('../api.js').LyricsAPI} api - Shared LyricsAPI instance
+   */
+  constructor(api) {
+    this.id = 'lrclib';
+    this.providerName = 'LRCLIB';
+    this.capabilities = { synced: true, word: false, translation: false };
+    // LyricsAPI keeps its own response cache
+    this.cacheable = false;
+    this.api = api;
+    this._records = new Map();
+  }
+
+  /**
+   * Search LRCLIB, trying an exact signature lookup first when hints allow
+   * @param {string} query
+   * @param {{songName?: string, artistName?: string, duration?: number, confidence?: number}} hints
+   * @returns {Promise<Array<Object>>} Track candidates
+   */
+  async search(query, hints = {}) {
+    const results = await this.api.findLyrics(query, hints);
+    this._records.clear();
+    if (!results || results.length === 0) {
+      return [];
+    }
+
+    console.log('[LRCLIB] All search results:');
+    results.forEach((result, idx) => {
+      console.log(`  [${idx}] "${result.trackName}" by "${result.artistName}" (synced: ${!!result.syncedLyrics}, plain: ${!!result.plainLyrics})`);
+    });
+
+    return results.map(result => {
+      this._records.set(result.id, result);
+      return {
+        id: result.id,
+        trackName: result.trackName,
+        artistName: result.artistName,
+        albumName: result.albumName,
+        duration: result.duration,
+        raw: result
+      };
+    });
+  }
+
+  /**
+   * Pick best candidate with LyricsAPI's fuzzy matcher
+   * @param {Array<Object>} candidates
+   * @param {{songName?: string, artistName?: string, duration?: number}} hints
+   * @returns {Object|null}
+   */
+  pickBest(candidates, hints = {}) {
+    const best = this.api.findBestMatch(
+      candidates.map(c => c.raw),
+      hints.artistName || '',
+      hints.songName || '',
+      hints.duration
+    );
+    return best ? candidates.find(c => c.raw === best) : null;
+  }
+
+  /**
+   * Get lyrics for an LRCLIB record
+   * @param {number} id - LRCLIB record id
+   * @returns {Promise<Object|null>}
+   */
+  async fetchById(id) {
+    const record = this._records.get(id) || await this.api.getLyricsById(id);
+    if (!record) {
+      return null;
+    }
+
+    return {
+      id: record.id,
+      synced: record.syncedLyrics || null,
+      plain: record.plainLyrics || null,
+      trackName: record.trackName,
+      artistName: record.artistName,
+      duration: record.duration
+    };
+  }
+}
+
+export default LrclibProvider;
@@ -0,0 +1,196 @@
+/**
+ * ProviderRegistry - Pluggable lyrics sources behind a common interface
+ *
+ * Every lyrics source (LRCLIB, Musixmatch, Deezer, ...) registers itself here
+ * and the orchestrator walks the registry in the user's priority order instead
+ * of hard-coding one loop per provider.
+ *
+ * @example
+ * const registry = new ProviderRegistry();
+ * registry.register(new Deezer(providerFetch));
+ * registry.setOrder(['lrclib', 'deezer']);
+ * for (const provider of registry.getOrdered()) {
+ *   const result = await registry.lookup(provider, { query: 'song artist' });
+ * }
+ */
+
+/**
+ * @typedef {Object} ProviderCapabilities
+ * @property {boolean} synced - Provider can return line-synced lyrics
+ * @property {boolean} word - Provider can return word-level timings
+ * @property {boolean} translation - Provider can return translations
+ */
+
+/**
+ * @typedef {Object} TrackCandidate
+ * @property {string|number} id - Provider-specific track id
+ * @property {string} trackName - Track title
+ * @property {string} artistName - Artist name
+ * @property {string} [albumName] - Album name
+ * @property {number} [duration] - Track length in seconds
+ * @property {Object} [raw] - Original provider record
+ */
+
+/**
+ * @typedef {Object} ProviderResult
+ * @property {string|null} synced - LRC formatted lyrics
+ * @property {string|null} [plain] - Unsynced lyrics text
+ * @property {string|number} [id] - Track id the lyrics were fetched with
+ * @property {string} [trackName] - Matched track title
+ * @property {string} [artistName] - Matched artist name
+ * @property {number} [duration] - Matched track length in seconds
+ */
+
+/**
+ * @typedef {Object} LyricsProvider
+ * @property {string} id - Stable identifier used in the priority order
+ * @property {string} providerName - Display name shown in the panel header
+ * @property {ProviderCapabilities} capabilities - What the provider can return
+ * @property {boolean} [cacheable=true] - Whether results go to the synced lyrics cache
+ * @property {(query: string, hints?: Object) => Promise<TrackCandidate[]>} search - Search for tracks
+ * @property {(id: string|number) => Promise<ProviderResult|null>} fetchById - Fetch lyrics for a track
+ * @property {(candidates: TrackCandidate[], hints: Object) => TrackCandidate|null} [pickBest] - Custom matcher
+ * @property {(error: Error) => boolean} [isRateLimitError] - Whether remaining strategies should be skipped
+ */
+
+export const DEFAULT_PROVIDER_ORDER = ['lrclib', 'musixmatch', 'deezer', 'netease', 'kugou', 'youtube'];
+
+export class ProviderRegistry {
+  constructor() {
+    /** @type {Map<string, LyricsProvider>} */
+    this._providers = new Map();
+    this._order = [...DEFAULT_PROVIDER_ORDER];
+    this._disabled = new Set();
+  }
+
+  /**
+   * Register a provider
+   * @param {LyricsProvider} provider
+   * @returns {LyricsProvider}
+   */
+  register(provider) {
+    if (!provider || !provider.id) {
+      throw new Error('Provider must have an id');
+    }
+    if (typeof provider.search !== 'function' || typeof provider.fetchById !== 'function') {
+      throw new Error(`Provider ${provider.id} must implement search() and fetchById()`);
+    }
+
+    this._providers.set(provider.id, provider);
+    return provider;
+  }
+
+  /**
+   * Remove a provider
+   * @param {string} id
+   */
+  unregister(id) {
+    this._providers.delete(id);
+  }
+
+  /**
+   * Get a provider by id
+   * @param {string} id
+   * @returns {LyricsProvider|null}
+   */
+  get(id) {
+    return this._providers.get(id) || null;
+  }
+
+  /**
+   * Set the priority order. Unknown ids are ignored, registered providers
+   * missing from the list are tried last in registration order.
+   * @param {string[]} order
+   */
+  setOrder(order) {
+    if (Array.isArray(order)) {
+      this._order = [...order];
+    }
+  }
+
+  /**
+   * Set which providers are skipped
+   * @param {string[]} ids
+   */
+  setDisabled(ids) {
+    this._disabled = new Set(Array.isArray(ids) ? ids : []);
+  }
+
+  /**
+   * Get enabled providers in priority order
+   * @param {Object} [filter]
+   * @param {keyof ProviderCapabilities} [filter.capability] - Only providers with this capability
+   * @returns {LyricsProvider[]}
+   */
+  getOrdered(filter = {}) {
+    return this.getOrder()
+      .filter(id => !this._disabled.has(id))
+      .map(id => this._providers.get(id))
+      .filter(provider => !filter.capability || provider.capabilities?.[filter.capability]);
+  }
+
+  /**
+   * Get the ids of all registered providers in priority order, disabled ones included
+   * Save this (not getOrdered) as the order, or disabled providers drop out of it.
+   * @returns {string[]}
+   */
+  getOrder() {
+    return [
+      ...this._order.filter(id => this._providers.has(id)),
+      ...[...this._providers.keys()].filter(id => !this._order.includes(id))
+    ];
+  }
+
+  /**
+   * Whether a provider is skipped
+   * @param {string} id
+   * @returns {boolean}
+   */
+  isDisabled(id) {
+    return this._disabled.has(id);
+  }
+
+  /**
+   * Get all registered providers regardless of order or enabled state
+   * @returns {LyricsProvider[]}
+   */
+  getAll() {
+    return [...this._providers.values()];
+  }
+
+  /**
+   * Search a provider and fetch lyrics for the best candidate
+   * @param {LyricsProvider} provider
+   * @param {{query: string, songName?: string, artistName?: string}} strategy
+   * @returns {Promise<ProviderResult|null>}
+   */
+  async lookup(provider, strategy) {
+    const candidates = await provider.search(strategy.query, strategy);
+    if (!candidates || candidates.length === 0) {
+      return null;
+    }
+
+    const best = typeof provider.pickBest === 'function'
+      ? provider.pickBest(candidates, strategy)
+      : candidates[0];
+
+    if (!best) {
+      return null;
+    }
+
+    const result = await provider.fetchById(best.id);
+    if (!result || (!result.synced && !result.plain)) {
+      return null;
+    }
+
+    return {
+      ...result,
+      id: result.id ?? best.id,
+      trackName: result.trackName || best.trackName,
+      artistName: result.artistName || best.artistName,
+      duration: result.duration ?? best.duration
+    };
+  }
+}
+
+export default ProviderRegistry;
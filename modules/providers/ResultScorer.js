@@ -0,0 +1,66 @@
+/**
+ * ResultScorer - Ranks lyrics results from different providers
+ *
+ * Used when providers are queried in parallel: every result gets a score
+ * from its sync granularity, how well its duration matches the video and
+ * how similar its title/artist are to what we searched for. Duration is
+ * judged by LyricsAPI.durationPenalty, like the LRCLIB matcher, so both
+ * rank the same candidate the same way.
+ */
+
+import { TitleParser, LyricsAPI } from '../api.js';
+
+export const SYNC_GRANULARITY = {
+  plain: 1,
+  line: 2,
+  word: 3
+};
+
+export const ResultScorer = {
+  // Weights add up to 1
+  WEIGHTS: {
+    granularity: 0.45,
+    duration: 0.25,
+    similarity: 0.3
+  },
+
+  /**
+   * Get how finely a result is synced
+   * @param {{synced?: string, plain?: string}} result - Provider result
+   * @returns {'word'|'line'|'plain'}
+   */
+  getGranularity(result) {
+    // Placeholder timestamps (e.g. Deezer's unsynced fallback) are no better than plain text
+    if (!result?.synced || result.isUnsyncedFallback) {
+      return 'plain';
+    }
+    // Enhanced LRC word stamps: <mm:ss.xx>
+    return /<\d+:\d+\.\d+>/.test(result.synced) ? 'word' : 'line';
+  },
+
+  /**
+   * Score a provider result between 0 and 1
+   * @param {object} result - Provider result with trackName/artistName/duration
+   * @param {{songName?: string, artistName?: string, duration?: number}} hints
+   * @returns {number}
+   */
+  score(result, hints = {}) {
+    const granularity = SYNC_GRANULARITY[this.getGranularity(result)] / SYNC_GRANULARITY.word;
+
+    // Unknown duration on either side is neutral
+    let duration = 0.5;
+    if (hints.duration && result.duration) {
+      duration = 1 - LyricsAPI.durationPenalty(result.duration, hints.duration);
+    }
+
+    const titleScore = hints.songName ? TitleParser.similarity(hints.songName, result.trackName) : 0.5;
+    const artistScore = hints.artistName ? TitleParser.similarity(hints.artistName, result.artistName) : 0.5;
+    const similarity = (titleScore + artistScore) / 2;
+
+    return granularity * this.WEIGHTS.granularity +
+      duration * this.WEIGHTS.duration +
+      similarity * this.WEIGHTS.similarity;
+  }
+};
+
+export default ResultScorer;
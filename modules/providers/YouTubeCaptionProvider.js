@@ -0,0 +1,134 @@
+/**
+ * YouTube captions provider - Lyrics from the video's own subtitle tracks
+ *
+ * Official music videos often ship uploader-written subtitles that are the
+ * full, correctly timed lyrics. Tracks are read from the player response;
+ * uploader tracks in the song's language come first, auto-generated ones are
+ * a last resort. Cues are turned into LRC so the result ranks like any other.
+ */
+
+import { LyricsSerializer } from '../parsers/LyricsSerializer.js';
+import { Romanizer } from '../romanization.js';
+
+// Fewer cues than this is a credit or a title card, not lyrics
+const MIN_LYRIC_CUES = 5;
+
+export class YouTubeCaptionProvider {
+  /**
+   * @param {import('../youtube.js').YouTubeIntegration} youtube - Shared YouTube integration
+   */
+  constructor(youtube) {
+    this.id = 'youtube';
+    this.providerName = 'YouTube captions';
+    this.capabilities = { synced: true, word: false, translation: false };
+    // Captions belong to one video, not to the song
+    this.cacheable = false;
+    this.youtube = youtube;
+    this._tracks = new Map();
+  }
+
+  /**
+   * List the current video's caption tracks that could hold the lyrics
+   * The query is ignored: captions come from the video, not a catalogue.
+   * @param {string} query
+   * @param {{songName?: string, artistName?: string, duration?: number}} hints
+   * @returns {Promise<Array<Object>>} Track candidates, best first
+   */
+  async search(query, hints = {}) {
+    const videoId = this.youtube.getVideoId();
+    const tracks = this.youtube.getCaptionTracks();
+    this._tracks.clear();
+    if (!videoId || tracks.length === 0) {
+      return [];
+    }
+
+    // Latin titles say nothing about the language; scripts like kana or Hangul do
+    const detected = Romanizer.detectLanguage(`${hints.songName || ''} ${hints.artistName || ''}`);
+    const language = detected === 'unknown' ? '' : detected;
+
+    const candidates = tracks
+      // A track in another language than the song is a translation
+      .filter(track => !language || this.baseLanguage(track.languageCode) === language)
+      .sort((a, b) => this.rank(b, language) - this.rank(a, language))
+      .map(track => {
+        const id = `${videoId}:${track.languageCode}:${track.isAuto ? 'asr' : 'uploader'}`;
+        this._tracks.set(id, track);
+        return {
+          id,
+          trackName: hints.songName || this.youtube.getVideoTitle(),
+          artistName: hints.artistName || this.youtube.getArtistName(),
+          duration: hints.duration,
+          raw: track
+        };
+      });
+
+    console.log(`[YouTube Captions] ${candidates.length} usable caption tracks`);
+    return candidates;
+  }
+
+  /**
+   * How well a track suits as lyrics
+   * @param {Object} track - From YouTubeIntegration.getCaptionTracks
+   * @param {string} language - Song language, or ''
+   * @returns {number}
+   */
+  rank(track, language) {
+    let rank = track.isAuto ? 0 : 4;
+    if (language && this.baseLanguage(track.languageCode) === language) rank += 2;
+    if (track.isDefault) rank += 1;
+    if (/lyric|歌詞|가사/i.test(track.name)) rank += 1;
+    return rank;
+  }
+
+  baseLanguage(code) {
+    return (code || '').toLowerCase().split('-')[0];
+  }
+
+  /**
+   * Download a caption track and convert it to LRC
+   * @param {string} id - Candidate id from search
+   * @returns {Promise<Object|null>}
+   */
+  async fetchById(id) {
+    const track = this._tracks.get(id);
+    // Ids are only valid on the video they were listed for
+    if (!track || !id.startsWith(`${this.youtube.getVideoId()}:`)) {
+      return null;
+    }
+
+    const cues = await this.youtube.fetchCaptionTrack(track);
+    const lines = this.toLines(cues || []);
+    if (lines.length < MIN_LYRIC_CUES) {
+      return null;
+    }
+
+    return {
+      id,
+      synced: LyricsSerializer.serialize(lines, 'lrc'),
+      plain: null
+    };
+  }
+
+  /**
+   * Turn caption cues into synced lines
+   * Repeated cues (captions re-shown across a cut) are merged into one line.
+   * @param {Array<Object>} cues - From YouTubeCaptionParser
+   * @returns {Array<{time: number, endTime: number, text: string, words?: Array<Object>}>}
+   */
+  toLines(cues) {
+    const lines = [];
+    for (const cue of cues) {
+      const previous = lines[lines.length - 1];
+      if (previous && previous.text === cue.text && cue.time - previous.endTime < 0.5) {
+        previous.endTime = Math.max(previous.endTime, cue.endTime);
+        continue;
+      }
+      const line = { time: cue.time, endTime: cue.endTime, text: cue.text };
+      if (cue.words) line.words = cue.words.map(word => ({ ...word }));
+      lines.push(line);
+    }
+    return lines;
+  }
+}
+
+export default YouTubeCaptionProvider;
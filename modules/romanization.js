@@ -1,9 +1,29 @@
 /**
- * Romanization utility for Korean (Hangul) and Japanese (Kana)
- * Note: Kanji conversion requires a dictionary; we only romanize Hiragana/Katakana.
+ * Romanization utility for Korean (Hangul) and Japanese
+ * Korean follows Revised Romanization as pronounced (korean/hangul.js).
+ * Japanese kanji need the dictionary-backed tokenizer (japanese/JapaneseTokenizer.js);
+ * set it with setJapaneseTokenizer() once loaded. Without it only kana are romanized.
  */
 
+import { Hangul } from './korean/hangul.js';
+import { Kana, LONG_VOWEL_BREAK } from './japanese/kana.js';
+import { UNKNOWN_POS } from './japanese/JapaneseTokenizer.js';
+
+const KANJI = /[㐀-䶿一-鿿豈-﫿々〆ヶ]/;
+
+const JAPANESE_PUNCTUATION = {
+  '、': ',', '。': '.', '！': '!', '？': '?', '～': '~', '〜': '~',
+  '「': '"', '」': '"', '『': '"', '』': '"', '…': '...', '・': ' '
+};
+
 export const Romanizer = {
+  // Japanese tokenizer for kanji readings, null until the dictionary is loaded
+  japaneseTokenizer: null,
+
+  setJapaneseTokenizer(tokenizer) {
+    this.japaneseTokenizer = tokenizer;
+  },
+
   detectLanguage(text) {
     if (!text) return 'unknown';
     for (const ch of text) {
@@ -21,97 +41,213 @@ export const Romanizer = {
     return lang === 'ja' || lang === 'ko';
   },
 
-  romanize(text) {
+  /**
+   * @param {string} text
+   * @param {{japanese?: string}} [options] - japanese: 'hepburn', 'kunrei' or 'furigana'
+   * @returns {string} Romanized line, or '' when the text needs none
+   */
+  romanize(text, options = {}) {
     const lang = this.detectLanguage(text);
     if (lang === 'ko') return this.romanizeKorean(text);
-    if (lang === 'ja') return this.romanizeJapanese(text);
+    if (lang === 'ja') return this.romanizeJapanese(text, options.japanese);
     return '';
   },
 
-  // Simplified Revised Romanization for Hangul
+  /**
+   * Revised Romanization with the sound changes between syllables (see korean/hangul.js)
+   * @param {string} text
+   * @returns {string}
+   */
   romanizeKorean(text) {
-    // Decompose Hangul syllables to jamo and map to romanization.
-    const choseongMap = ['g','gg','n','d','dd','r','m','b','bb','s','ss','','j','jj','ch','k','t','p','h'];
-    const jungseongMap = ['a','ae','ya','yae','eo','e','yeo','ye','o','wa','wae','oe','yo','u','wo','we','wi','yu','eu','ui','i'];
-    const jongseongMap = ['', 'k','k','ks','n','nj','nh','t','l','lk','lm','lb','ls','lt','lp','lh','m','p','ps','t','t','ng','t','t','k','t','p','t'];
+    return Hangul.romanize(text);
+  },
 
-    const base = 0xAC00;
-    let out = '';
-    for (const ch of text) {
-      const code = ch.codePointAt(0);
-      if (code >= 0xAC00 && code <= 0xD7A3) {
-        const syllableIndex = code - base;
-        const choseongIndex = Math.floor(syllableIndex / 588);
-        const jungseongIndex = Math.floor((syllableIndex % 588) / 28);
-        const jongseongIndex = syllableIndex % 28;
-        const c = choseongMap[choseongIndex] || '';
-        const v = jungseongMap[jungseongIndex] || '';
-        const f = jongseongMap[jongseongIndex] || '';
-        out += c + v + f;
-      } else {
-        out += ch;
+  /**
+   * Romanize a Japanese line
+   * Kanji get their readings from the tokenizer once the dictionary is
+   * loaded; until then only kana are romanized and kanji stay as written.
+   * @param {string} text
+   * @param {string} [mode='hepburn'] - 'hepburn', 'kunrei' or 'furigana'
+   * @returns {string} Romaji with spaces between words, or for furigana the
+   *   line with readings after kanji: 君(きみ)に会(あ)いたい
+   */
+  romanizeJapanese(text, mode = 'hepburn') {
+    if (mode === 'furigana') {
+      const segments = this.furigana(text);
+      // Nothing to annotate: the line would just repeat the original
+      if (!segments.some(segment => segment.reading)) return '';
+      return segments.map(s => (s.reading ? `${s.text}(${s.reading})` : s.text)).join('');
+    }
+
+    if (!this.japaneseTokenizer) {
+      return text.split(/\s+/).map(word => Kana.toRomaji(this._japanesePunctuation(word), mode)).join(' ').trim();
+    }
+
+    return this._japaneseWords(this.japaneseTokenizer.tokenize(text))
+      .map(tokens => Kana.toRomaji(tokens.map(token => this._japaneseKana(token)).join(''), mode))
+      .join(' ')
+      .replace(/ ([,.!?~])/g, '$1')
+      .trim();
+  },
+
+  /**
+   * Split a Japanese line into text with kanji readings, for furigana
+   * @param {string} text
+   * @returns {Array<{text: string, reading?: string}>} Segments in order;
+   *   reading (hiragana) is set on kanji only, okurigana stay separate
+   */
+  furigana(text) {
+    if (!this.japaneseTokenizer || !text) return [{ text: text || '' }];
+
+    const segments = [];
+    for (const token of this.japaneseTokenizer.tokenize(text)) {
+      const parts = KANJI.test(token.surface) && token.reading
+        ? this._rubyParts(token.surface, Kana.toHiragana(token.reading))
+        : [{ text: token.surface }];
+      for (const part of parts) {
+        const last = segments[segments.length - 1];
+        // Merge plain text so renderers get as few segments as possible
+        if (!part.reading && last && !last.reading) {
+          last.text += part.text;
+        } else {
+          segments.push(part);
+        }
       }
     }
-    return out.trim();
+    return segments;
+  },
+
+  /**
+   * Furigana of a line cut along its timed pieces (words or syllables)
+   * Readings come from the whole line, so words are read in context. A
+   * reading spanning two pieces (今|日) goes over the piece where it starts.
+   * @param {string} text - The line the segments were made from
+   * @param {Array<{text: string, reading?: string}>} segments - From furigana(text)
+   * @param {string[]} parts - Pieces of the line in order
+   * @returns {Array<Array<{text: string, reading?: string}>|null>} Segments per
+   *   piece, null for pieces without kanji readings
+   */
+  splitFurigana(text, segments, parts) {
+    // Segment index of every character of the line
+    const owners = [];
+    segments.forEach((segment, index) => {
+      for (let i = 0; i < segment.text.length; i++) owners.push(index);
+    });
+
+    let cursor = 0;
+    return parts.map(part => {
+      const start = part ? text.indexOf(part, cursor) : -1;
+      if (start < 0) return null;
+      cursor = start + part.length;
+
+      const pieces = [];
+      for (let i = start; i < cursor; i++) {
+        const owner = owners[i];
+        const segment = segments[owner];
+        const last = pieces[pieces.length - 1];
+        if (last && last.owner === owner) {
+          last.text += text[i];
+        } else {
+          const startsHere = i === 0 || owners[i - 1] !== owner;
+          pieces.push({ owner, text: text[i], reading: startsHere ? segment?.reading : undefined });
+        }
+      }
+
+      if (!pieces.some(piece => piece.reading)) return null;
+      return pieces.map(({ text: pieceText, reading }) => (reading ? { text: pieceText, reading } : { text: pieceText }));
+    });
   },
 
-  // Kana to Romaji (Hepburn-lite). Kanji left as-is.
-  romanizeJapanese(text) {
-    const map = new Map([
-      // Vowels
-      ['あ','a'],['い','i'],['う','u'],['え','e'],['お','o'],
-      ['ア','a'],['イ','i'],['ウ','u'],['エ','e'],['オ','o'],
-      // Ka
-      ['か','ka'],['き','ki'],['く','ku'],['け','ke'],['こ','ko'],
-      ['カ','ka'],['キ','ki'],['ク','ku'],['ケ','ke'],['コ','ko'],
-      // Sa
-      ['さ','sa'],['し','shi'],['す','su'],['せ','se'],['そ','so'],
-      ['サ','sa'],['シ','shi'],['ス','su'],['セ','se'],['ソ','so'],
-      // Ta
-      ['た','ta'],['ち','chi'],['つ','tsu'],['て','te'],['と','to'],
-      ['タ','ta'],['チ','chi'],['ツ','tsu'],['テ','te'],['ト','to'],
-      // Na
-      ['な','na'],['に','ni'],['ぬ','nu'],['ね','ne'],['の','no'],
-      ['ナ','na'],['ニ','ni'],['ヌ','nu'],['ネ','ne'],['ノ','no'],
-      // Ha
-      ['は','ha'],['ひ','hi'],['ふ','fu'],['へ','he'],['ほ','ho'],
-      ['ハ','ha'],['ヒ','hi'],['フ','fu'],['ヘ','he'],['ホ','ho'],
-      // Ma
-      ['ま','ma'],['み','mi'],['む','mu'],['め','me'],['も','mo'],
-      ['マ','ma'],['ミ','mi'],['ム','mu'],['メ','me'],['モ','mo'],
-      // Ya
-      ['や','ya'],['ゆ','yu'],['よ','yo'],['ヤ','ya'],['ユ','yu'],['ヨ','yo'],
-      // Ra
-      ['ら','ra'],['り','ri'],['る','ru'],['れ','re'],['ろ','ro'],
-      ['ラ','ra'],['リ','ri'],['ル','ru'],['レ','re'],['ロ','ro'],
-      // Wa
-      ['わ','wa'],['を','o'],['ん','n'],
-      ['ワ','wa'],['ヲ','o'],['ン','n'],
-      // Small tsu for gemination handled in code
-      ['っ',''],['ッ',''],
-      // Long vowel mark
-      ['ー','-']
-    ]);
-
-    let out = '';
-    for (let i = 0; i < text.length; i++) {
-      const ch = text[i];
-      const next = text[i+1] || '';
-      // Gemination: small tsu doubles next consonant
-      if (ch === 'っ' || ch === 'ッ') {
-        const nextRomaji = map.get(next) || next;
-        const c = (nextRomaji.match(/^[a-z]+/i) || [''])[0];
-        out += c ? c[0] : '';
+  /**
+   * Tokens grouped into the words romaji is spaced by
+   * Conjugations stay on their verb (会い+たい → aitai, 会っ+て → atte) and
+   * punctuation on the word before it.
+   * @private
+   */
+  _japaneseWords(tokens) {
+    const words = [];
+    let previous = null;
+    for (const token of tokens) {
+      if (token.pos === '記号,空白') {
+        previous = null;
         continue;
       }
-      const romaji = map.get(ch);
-      if (romaji !== undefined) {
-        out += romaji;
+
+      const current = words[words.length - 1];
+      const afterInflecting = previous && /^(動詞|形容詞|助動詞)/.test(previous.pos);
+      const attach = current && previous && (
+        previous.surface.endsWith('っ') || previous.surface.endsWith('ッ') ||
+        token.pos.startsWith('記号') ||
+        /^(名詞|動詞|形容詞),接尾/.test(token.pos) ||
+        // Kana after a kanji the dictionary doesn't know is most likely its okurigana
+        (token.pos === UNKNOWN_POS && !previous.known) ||
+        (afterInflecting && (
+          token.pos.startsWith('助動詞') ||
+          token.pos.startsWith('助詞,接続助詞') ||
+          token.pos === UNKNOWN_POS
+        ))
+      );
+
+      if (attach) {
+        current.push(token);
       } else {
-        out += ch; // Kanji or punctuation
+        words.push([token]);
       }
+      previous = token;
+    }
+    return words;
+  },
+
+  /**
+   * Kana a token is romanized from: particles as pronounced, not as written
+   * @private
+   */
+  _japaneseKana(token) {
+    if (token.pos.startsWith('記号')) {
+      return this._japanesePunctuation(token.surface);
     }
-    // Remove standalone long marks
-    return out.replace(/-+/g, '').trim();
+
+    const kana = token.reading || token.surface;
+    if (token.pos.startsWith('助詞')) {
+      // は → wa, へ → e, を → o (also in では, には)
+      if (/^[へヘ]$/.test(kana)) return 'え';
+      if (/^[をヲ]$/.test(kana)) return 'お';
+      if (/[はハ]$/.test(kana)) return `${kana.slice(0, -1)}わ`;
+    }
+    // Greetings keep the particle they grew from (こんにちは → konnichiwa)
+    if (token.pos.startsWith('感動詞') && /[はハ]$/.test(kana)) {
+      return `${kana.slice(0, -1)}わ`;
+    }
+    // A verb's final う is its ending, not a long vowel (思う → omou, 吸う → suu)
+    if (token.pos.startsWith('動詞') && /[うウ]$/.test(kana)) {
+      return `${kana.slice(0, -1)}${LONG_VOWEL_BREAK}${kana.slice(-1)}`;
+    }
+    return kana;
+  },
+
+  /**
+   * @private
+   */
+  _japanesePunctuation(text) {
+    return text.replace(/[、。！？～〜「」『』…・]/g, ch => JAPANESE_PUNCTUATION[ch]);
+  },
+
+  /**
+   * Reading of each kanji run in a word, okurigana left bare
+   * @private
+   */
+  _rubyParts(surface, reading) {
+    const parts = surface.match(/[ぁ-ゖァ-ヺー]+|[^ぁ-ゖァ-ヺー]+/g);
+    const pattern = parts
+      .map(part => (/^[ぁ-ゖァ-ヺー]+$/.test(part) ? Kana.toHiragana(part) : '(.+?)'))
+      .join('');
+    const match = new RegExp(`^${pattern}$`).exec(reading);
+    // Readings that don't line up with the kana in the word go over all of it
+    if (!match) return [{ text: surface, reading }];
+
+    let group = 1;
+    return parts.map(part => (
+      /^[ぁ-ゖァ-ヺー]+$/.test(part) ? { text: part } : { text: part, reading: match[group++] }
+    ));
   }
 };
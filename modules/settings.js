@@ -1,7 +1,78 @@
 /**
  * Settings Manager Module - Centralized storage access
+ * Modules run in the page, where chrome.storage doesn't exist; there the
+ * settings go through loader.js, which reads and writes chrome.storage.sync
+ * for the page and relays its changes (popup, other tabs) back. loader.js
+ * only saves the panel's own settings and never hands out the translation
+ * server's API key; it adds the key to the server's requests itself.
  */
 
+// How long to wait for loader.js before falling back to the defaults
+const BRIDGE_TIMEOUT = 3000;
+
+/**
+ * chrome.storage.sync when this script can reach it, else the loader.js bridge
+ * @returns {{get: Function, set: Function, onChanged: Function}|null}
+ */
+function getSyncStorage() {
+  if (typeof chrome !== 'undefined' && chrome.storage) {
+    return {
+      get: (keys) => chrome.storage.sync.get(keys),
+      set: (values) => chrome.storage.sync.set(values),
+      onChanged: (callback) => chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'sync') return;
+        const values = {};
+        for (const [key, { newValue }] of Object.entries(changes)) {
+          values[key] = newValue;
+        }
+        callback(values);
+      })
+    };
+  }
+  if (typeof window !== 'undefined' && window.postMessage) {
+    return pageStorage;
+  }
+  return null;
+}
+
+let bridgeRequestCounter = 0;
+
+// Page side of the loader.js settings bridge
+const pageStorage = {
+  get(keys) {
+    return new Promise((resolve, reject) => {
+      const requestId = `settings-${++bridgeRequestCounter}`;
+      const timer = setTimeout(() => {
+        window.removeEventListener('message', listener);
+        reject(new Error('Settings bridge timeout'));
+      }, BRIDGE_TIMEOUT);
+      const listener = (event) => {
+        if (event.source !== window || event.data?.type !== 'SETTINGS_GET_RESPONSE' || event.data.requestId !== requestId) return;
+        clearTimeout(timer);
+        window.removeEventListener('message', listener);
+        if (event.data.error) {
+          reject(new Error(event.data.error));
+        } else {
+          resolve(event.data.values || {});
+        }
+      };
+      window.addEventListener('message', listener);
+      window.postMessage({ type: 'SETTINGS_GET_REQUEST', requestId, keys }, '*');
+    });
+  },
+
+  async set(values) {
+    window.postMessage({ type: 'SETTINGS_SET_REQUEST', values }, '*');
+  },
+
+  onChanged(callback) {
+    window.addEventListener('message', (event) => {
+      if (event.source !== window || event.data?.type !== 'SETTINGS_CHANGED') return;
+      callback(event.data.changes || {});
+    });
+  }
+};
+
 export class SettingsManager {
   constructor() {
     this.defaults = {
@@ -14,6 +85,16 @@ export class SettingsManager {
       highlightMode: 'line', // 'line' or 'word'
       showRomanization: false, // Show romanization for Korean/Japanese lyrics
       hideOriginalLyrics: true, // Hide original lyrics when romanization is shown
+      japaneseRomanization: 'hepburn', // 'hepburn', 'kunrei' or 'furigana' (readings over kanji)
+      showTranslation: false, // Show a translation under each line where one exists
+      translationLanguage: 'en', // Target language for translations (ISO 639-1)
+      translationServerUrl: '', // Self-hosted LibreTranslate-compatible server for songs without crowd translations
+      translationKeyRevision: 0, // Changes when the server's API key is changed in the popup (the key stays in loader.js)
+      estimatedWordTiming: false, // Word-by-word highlight for lines without real word timings
+      providerOrder: ['lrclib', 'musixmatch', 'deezer', 'netease', 'kugou', 'youtube'], // Lyrics sources, tried first to last
+      disabledProviders: [], // Provider ids to skip
+      parallelProviderSearch: false, // Query all providers at once and pick the best result
+      captionAlignment: true, // Suggest a sync offset by matching lyrics against the video's captions
       // Fullscreen metadata settings
       fullscreenMetadataPosition: 'top-right', // 'top-left', 'top-right', 'bottom-left', 'bottom-right', 'top-center'
       fullscreenMetadataAutoHide: false, // Auto-hide metadata after delay
@@ -31,12 +112,13 @@ export class SettingsManager {
    */
   async load(keys = null) {
     try {
-      if (typeof chrome === 'undefined' || !chrome.storage) {
+      const storage = getSyncStorage();
+      if (!storage) {
         this.settings = { ...this.defaults };
         return this.settings;
       }
       const keysToLoad = keys || Object.keys(this.defaults);
-      const result = await chrome.storage.sync.get(keysToLoad);
+      const result = await storage.get(keysToLoad);
 
       // Merge with defaults
       this.settings = { ...this.defaults, ...result };
@@ -56,8 +138,9 @@ export class SettingsManager {
       this.settings = { ...this.settings, ...settingsToSave };
 
       // Save to storage
-      if (typeof chrome !== 'undefined' && chrome.storage) {
-        await chrome.storage.sync.set(settingsToSave);
+      const storage = getSyncStorage();
+      if (storage) {
+        await storage.set(settingsToSave);
       }
 
       // Notify listeners
@@ -113,23 +196,23 @@ export class SettingsManager {
    * Listen to Chrome storage changes (external changes from popup)
    */
   listenToStorageChanges() {
-    if (typeof chrome === 'undefined' || !chrome.storage) {
+    const storage = getSyncStorage();
+    if (!storage) {
       return;
     }
-    chrome.storage.onChanged.addListener((changes, areaName) => {
-      if (areaName === 'sync') {
-        const updatedSettings = {};
+    storage.onChanged((changes) => {
+      const updatedSettings = {};
 
-        for (const [key, { newValue }] of Object.entries(changes)) {
-          if (this.settings.hasOwnProperty(key) || this.defaults.hasOwnProperty(key)) {
-            this.settings[key] = newValue;
-            updatedSettings[key] = newValue;
-          }
-        }
+      for (const [key, newValue] of Object.entries(changes)) {
+        if (!this.settings.hasOwnProperty(key) && !this.defaults.hasOwnProperty(key)) continue;
+        // Our own save() coming back; listeners already heard about it
+        if (JSON.stringify(this.settings[key]) === JSON.stringify(newValue)) continue;
+        this.settings[key] = newValue;
+        updatedSettings[key] = newValue;
+      }
 
-        if (Object.keys(updatedSettings).length > 0) {
-          this.notifyListeners(updatedSettings);
-        }
+      if (Object.keys(updatedSettings).length > 0) {
+        this.notifyListeners(updatedSettings);
       }
     });
   }
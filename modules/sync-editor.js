@@ -0,0 +1,301 @@
+/**
+ * Sync Editor Module - Tap-to-sync editor for unsynced lyrics
+ *
+ * The video keeps playing while the user stamps each line as it is sung:
+ *   Enter          stamp the selected line and move to the next one
+ *   R              re-stamp the selected line without moving on
+ *   ← / →          nudge the selected line by 0.1s (Shift: 0.5s)
+ *   ↑ / ↓          select another line
+ *   Backspace      undo the last change
+ * Saving hands an LRC string to the caller.
+ */
+
+import { Maid } from './utils/Maid.js';
+import { LyricsSerializer } from './parsers/LyricsSerializer.js';
+
+const NUDGE_STEP = 0.1;
+const NUDGE_STEP_LARGE = 0.5;
+
+export class SyncEditor {
+  /**
+   * @param {Array<string|{text: string, time?: number}>} lines - Lyric lines, optionally with existing times
+   * @param {object} callbacks
+   * @param {Function} callbacks.getTime - Returns the current lyrics time in seconds
+   * @param {Function} [callbacks.seek] - Seeks the video to a lyrics time
+   * @param {Function} callbacks.onSave - Called with the LRC string
+   * @param {Function} [callbacks.onCancel] - Called when the user leaves without saving
+   */
+  constructor(lines, { getTime, seek, onSave, onCancel }) {
+    this.lines = lines.map(line => (typeof line === 'string'
+      ? { text: line, time: null }
+      : { text: line.text, time: typeof line.time === 'number' ? line.time : null }));
+
+    this.getTime = getTime;
+    this.seek = seek;
+    this.onSave = onSave;
+    this.onCancel = onCancel;
+
+    // Start at the first line that still needs a stamp
+    const firstUnstamped = this.lines.findIndex(line => line.time === null);
+    this.selected = firstUnstamped === -1 ? 0 : firstUnstamped;
+    this.history = [];
+
+    this.maid = new Maid();
+    this.container = null;
+    this.rows = [];
+    this.statusElement = null;
+  }
+
+  /**
+   * Render the editor into a container, replacing its contents
+   * @param {HTMLElement} container - Scrollable lyrics container
+   */
+  mount(container) {
+    this.container = container;
+    container.replaceChildren();
+
+    const toolbar = document.createElement('div');
+    toolbar.style.cssText = `
+      position: sticky;
+      top: 0;
+      z-index: 1;
+      padding: 12px 16px;
+      background: rgba(0, 0, 0, 0.6);
+      backdrop-filter: blur(8px);
+      font-size: 12px;
+      color: rgba(255, 255, 255, 0.7);
+      line-height: 1.6;
+    `;
+
+    const help = document.createElement('div');
+    help.textContent = 'Play the video and press Enter as each line starts. R re-stamps, ←/→ nudge, ↑/↓ select, Backspace undoes.';
+
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display: flex; gap: 8px; align-items: center; margin-top: 8px;';
+
+    this.statusElement = document.createElement('div');
+    this.statusElement.style.cssText = 'flex: 1;';
+
+    actions.appendChild(this.statusElement);
+    actions.appendChild(this.createButton('Undo', () => this.undo()));
+    actions.appendChild(this.createButton('Cancel', () => this.cancel()));
+    actions.appendChild(this.createButton('Save', () => this.save(), true));
+
+    toolbar.appendChild(help);
+    toolbar.appendChild(actions);
+    container.appendChild(toolbar);
+
+    this.rows = this.lines.map((line, index) => {
+      const row = this.createRow(line, index);
+      container.appendChild(row.element);
+      return row;
+    });
+
+    // Capture on window so YouTube's own shortcuts (arrows seek, etc.) don't fire
+    this.maid.GiveListener(window, 'keydown', (e) => this.handleKey(e), true);
+
+    this.refresh();
+  }
+
+  /**
+   * Build one line row: time, text and per-line controls
+   * @param {{text: string, time: number|null}} line
+   * @param {number} index
+   * @returns {{element: HTMLElement, timeElement: HTMLElement}}
+   */
+  createRow(line, index) {
+    const element = document.createElement('div');
+    element.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 6px 16px;
+      cursor: pointer;
+      font-size: 14px;
+      color: rgba(255, 255, 255, 0.9);
+    `;
+    element.addEventListener('click', () => this.select(index));
+
+    const timeElement = document.createElement('span');
+    timeElement.style.cssText = 'font-family: monospace; font-size: 12px; width: 64px; flex-shrink: 0;';
+    timeElement.title = 'Play from here';
+    timeElement.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const time = this.lines[index].time;
+      if (time !== null && this.seek) this.seek(time);
+    });
+
+    const text = document.createElement('span');
+    text.textContent = line.text;
+    text.style.cssText = 'flex: 1; min-width: 0;';
+
+    element.appendChild(timeElement);
+    element.appendChild(text);
+    element.appendChild(this.createButton('−', () => this.nudge(index, -NUDGE_STEP)));
+    element.appendChild(this.createButton('+', () => this.nudge(index, NUDGE_STEP)));
+    element.appendChild(this.createButton('⟳', () => this.stamp(index, false)));
+
+    return { element, timeElement };
+  }
+
+  createButton(label, onClick, primary = false) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.cssText = `
+      padding: 2px 10px;
+      border: none;
+      border-radius: 12px;
+      background: ${primary ? '#f00' : 'rgba(255, 255, 255, 0.15)'};
+      color: #fff;
+      font-size: 12px;
+      cursor: pointer;
+    `;
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+
+  /**
+   * Keyboard controls
+   * @param {KeyboardEvent} e
+   */
+  handleKey(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    const target = e.target;
+    if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) return;
+
+    const step = e.shiftKey ? NUDGE_STEP_LARGE : NUDGE_STEP;
+    const actions = {
+      Enter: () => this.stamp(this.selected, true),
+      r: () => this.stamp(this.selected, false),
+      R: () => this.stamp(this.selected, false),
+      ArrowLeft: () => this.nudge(this.selected, -step),
+      ArrowRight: () => this.nudge(this.selected, step),
+      ArrowUp: () => this.select(this.selected - 1),
+      ArrowDown: () => this.select(this.selected + 1),
+      Backspace: () => this.undo()
+    };
+
+    const action = actions[e.key];
+    if (!action) return;
+
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    action();
+  }
+
+  /**
+   * Stamp a line with the current time
+   * @param {number} index
+   * @param {boolean} advance - Select the next line afterwards
+   */
+  stamp(index, advance) {
+    if (!this.lines[index]) return;
+    const time = Math.max(0, this.getTime());
+    this.change(index, time);
+    if (advance && index < this.lines.length - 1) {
+      this.selected = index + 1;
+    }
+    this.refresh();
+  }
+
+  /**
+   * Move a stamped line earlier or later
+   * @param {number} index
+   * @param {number} delta - Seconds
+   */
+  nudge(index, delta) {
+    const line = this.lines[index];
+    if (!line || line.time === null) return;
+    this.selected = index;
+    this.change(index, Math.max(0, line.time + delta));
+    this.refresh();
+  }
+
+  select(index) {
+    if (index < 0 || index >= this.lines.length) return;
+    this.selected = index;
+    this.refresh();
+  }
+
+  /**
+   * Record a time change so it can be undone
+   */
+  change(index, time) {
+    this.history.push({ index, time: this.lines[index].time, selected: this.selected });
+    this.lines[index].time = time;
+  }
+
+  undo() {
+    const last = this.history.pop();
+    if (!last) return;
+    this.lines[last.index].time = last.time;
+    this.selected = last.selected;
+    this.refresh();
+  }
+
+  /**
+   * Build LRC from the stamped lines; unstamped lines are left out
+   * @returns {string}
+   */
+  toLrc() {
+    const stamped = this.lines
+      .filter(line => line.time !== null)
+      .sort((a, b) => a.time - b.time);
+    return LyricsSerializer.serialize(stamped, 'lrc');
+  }
+
+  save() {
+    if (!this.lines.some(line => line.time !== null)) return;
+    const lrc = this.toLrc();
+    this.destroy();
+    if (this.onSave) this.onSave(lrc);
+  }
+
+  cancel() {
+    this.destroy();
+    if (this.onCancel) this.onCancel();
+  }
+
+  /**
+   * Update times, selection highlight and the stamped count
+   */
+  refresh() {
+    this.rows.forEach((row, index) => {
+      const { time } = this.lines[index];
+      row.timeElement.textContent = time === null ? '--:--.--' : LyricsSerializer.formatLrcTime(time);
+      row.timeElement.style.opacity = time === null ? '0.4' : '1';
+      row.element.style.background = index === this.selected ? 'rgba(255, 255, 255, 0.12)' : 'transparent';
+    });
+
+    const stamped = this.lines.filter(line => line.time !== null).length;
+    if (this.statusElement) {
+      this.statusElement.textContent = `${stamped}/${this.lines.length} lines stamped`;
+    }
+
+    this.scrollToSelected();
+  }
+
+  scrollToSelected() {
+    const row = this.rows[this.selected];
+    if (!row || !this.container) return;
+
+    const rowRect = row.element.getBoundingClientRect();
+    const boxRect = this.container.getBoundingClientRect();
+    if (rowRect.top < boxRect.top || rowRect.bottom > boxRect.bottom) {
+      this.container.scrollTop += rowRect.top - boxRect.top - boxRect.height / 3;
+    }
+  }
+
+  /**
+   * Remove keyboard hooks; the container is left for the caller to refill
+   */
+  destroy() {
+    this.maid.Destroy();
+    this.rows = [];
+  }
+}
+
+export default SyncEditor;
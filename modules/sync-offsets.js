@@ -0,0 +1,91 @@
+/**
+ * Sync Offsets Module - Sync delay remembered per video and per lyrics track
+ *
+ * Every upload of a song has its own padding, so one global delay rarely fits
+ * the next video. Offsets are looked up most specific first:
+ *   'track'  - these lyrics (provider + track id) on this video
+ *   'video'  - anything shown on this video
+ *   'global' - the syncDelay setting
+ */
+
+import { VideoStore } from './video-store.js';
+
+export const SYNC_OFFSET_SCOPES = ['global', 'video', 'track'];
+
+export class SyncOffsetStore {
+  /**
+   * @param {string} storageKey - localStorage key for the per-video records
+   */
+  constructor(storageKey) {
+    // Per video id: { delay?, segments?, tracks?: { [trackKey]: { delay, segments? } } }
+    // segments are the LyricsSync section delays found by caption alignment
+    this.store = new VideoStore(storageKey, { maxEntries: 500 });
+  }
+
+  /**
+   * Key for a provider's track, or null when the lyrics have no track id
+   * @param {string|null} providerId
+   * @param {string|number|null} trackId
+   * @returns {string|null}
+   */
+  static trackKey(providerId, trackId) {
+    if (!providerId || trackId === null || trackId === undefined) return null;
+    return `${providerId}:${trackId}`;
+  }
+
+  /**
+   * Find the offset that applies to a video and lyrics track
+   * @param {string|null} videoId
+   * @param {string|null} trackKey
+   * @param {number} globalDelay - Fallback delay in ms
+   * @returns {{delay: number, segments: Array<Object>, scope: 'global'|'video'|'track'}}
+   */
+  resolve(videoId, trackKey, globalDelay) {
+    const record = this.store.get(videoId);
+
+    const track = trackKey ? record?.tracks?.[trackKey] : undefined;
+    if (typeof track?.delay === 'number') {
+      return { delay: track.delay, segments: track.segments || [], scope: 'track' };
+    }
+    if (typeof record?.delay === 'number') {
+      return { delay: record.delay, segments: record.segments || [], scope: 'video' };
+    }
+    return { delay: globalDelay || 0, segments: [], scope: 'global' };
+  }
+
+  /**
+   * Remember an offset for a video, or for one lyrics track on it
+   * @param {string} videoId
+   * @param {string|null} trackKey
+   * @param {'video'|'track'} scope
+   * @param {number} delay - Delay in ms
+   * @param {Array<{start: number, delay: number}>} [segments] - Section delays on top of delay
+   */
+  save(videoId, trackKey, scope, delay, segments = []) {
+    const { timestamp, ...record } = this.store.get(videoId) || {};
+    const tracks = { ...record.tracks };
+    const entry = segments.length > 0 ? { delay, segments } : { delay };
+
+    if (scope === 'track' && trackKey) {
+      tracks[trackKey] = entry;
+    } else {
+      delete record.segments;
+      Object.assign(record, entry);
+      // The video offset now applies to these lyrics too
+      if (trackKey) delete tracks[trackKey];
+    }
+
+    record.tracks = tracks;
+    this.store.set(videoId, record);
+  }
+
+  /**
+   * Forget every offset stored for a video
+   * @param {string} videoId
+   */
+  clear(videoId) {
+    this.store.remove(videoId);
+  }
+}
+
+export default SyncOffsetStore;
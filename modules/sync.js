@@ -10,10 +10,13 @@ export class LyricsSync {
     this.currentIndex = -1;
     this.lastKnownIndex = 0;
     this.delay = UI_CONFIG.SYNC_DELAY_DEFAULT;
+    this.segmentDelays = []; // [{ start, delay }] extra ms from a lyrics time onwards
     this.isPlaying = false;
     this.videoElement = null;
     this.updateCallback = null;
     this.animationFrameId = null;
+    // Window whose frames drive the loop; a visible pop-out keeps ticking when the tab is hidden
+    this.frameSource = window;
 
     // Delta time tracking for smooth animations (Beautiful Lyrics pattern)
     this._lastFrameTime = null;
@@ -38,6 +41,52 @@ export class LyricsSync {
     this.delay = delay;
   }
 
+  /**
+   * Set extra delays for sections the video cut or extended
+   * Each applies on top of the main delay from its lyrics time onwards.
+   * @param {Array<{start: number, delay: number}>|null} segments - start in seconds, delay in ms
+   */
+  setSegmentDelays(segments) {
+    this.segmentDelays = (segments || [])
+      .filter(segment => typeof segment.start === 'number' && typeof segment.delay === 'number')
+      .sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Convert a video time to a lyrics time
+   */
+  getLyricsTime(videoTime) {
+    let time = videoTime + (this.delay / 1000);
+    for (const segment of this.segmentDelays) {
+      const shifted = videoTime + ((this.delay + segment.delay) / 1000);
+      if (shifted >= segment.start) time = shifted;
+    }
+    return time;
+  }
+
+  /**
+   * Convert a lyrics time to a video time
+   */
+  getVideoTime(lyricsTime) {
+    let delay = this.delay;
+    for (const segment of this.segmentDelays) {
+      if (lyricsTime >= segment.start) delay = this.delay + segment.delay;
+    }
+    return lyricsTime - (delay / 1000);
+  }
+
+  /**
+   * Drive the loop from another window's animation frames
+   * Background tabs get no frames, but a Picture-in-Picture window stays visible.
+   * @param {Window|null} source - null for the page's own window
+   */
+  setFrameSource(source) {
+    const wasPlaying = this.isPlaying;
+    this.stop();
+    this.frameSource = source || window;
+    if (wasPlaying) this.start();
+  }
+
   /**
    * Set callback for lyric updates
    */
@@ -54,7 +103,7 @@ export class LyricsSync {
       return null;
     }
 
-    const adjustedTime = currentTime + (this.delay / 1000);
+    const adjustedTime = this.getLyricsTime(currentTime);
 
     // Check if we've passed the last lyric by a reasonable duration
     // If more than 10 seconds have passed since the last lyric, consider the song finished
@@ -188,6 +237,7 @@ export class LyricsSync {
           current: lyric,
           currentIndex: index,
           currentTime: currentTime,
+          lyricsTime: this.getLyricsTime(currentTime), // currentTime with the delay applied
           deltaTime: deltaTime,      // NEW: Time since last frame in seconds
           skipped: skipped,          // NEW: Whether playback was skipped/seeked
           previous,
@@ -203,7 +253,7 @@ export class LyricsSync {
 
     // Use requestAnimationFrame for smooth updates
     // This is more efficient than setInterval
-    this.animationFrameId = requestAnimationFrame(() => this.syncLoop());
+    this.animationFrameId = this.frameSource.requestAnimationFrame(() => this.syncLoop());
   }
 
   /**
@@ -212,7 +262,11 @@ export class LyricsSync {
   stop() {
     this.isPlaying = false;
     if (this.animationFrameId) {
-      cancelAnimationFrame(this.animationFrameId);
+      try {
+        this.frameSource.cancelAnimationFrame(this.animationFrameId);
+      } catch (e) {
+        // The source window is already closed; its frames died with it
+      }
       this.animationFrameId = null;
     }
   }
@@ -239,7 +293,7 @@ export class LyricsSync {
   seekToLyric(index) {
     if (index >= 0 && index < this.syncedLyrics.length && this.videoElement) {
       const lyric = this.syncedLyrics[index];
-      this.videoElement.currentTime = lyric.time - (this.delay / 1000);
+      this.videoElement.currentTime = this.getVideoTime(lyric.time);
       this.currentIndex = index;
       this.lastKnownIndex = index;
     }
@@ -253,6 +307,7 @@ export class LyricsSync {
     this.videoElement = null;
     this.updateCallback = null;
     this.syncedLyrics = [];
+    this.segmentDelays = [];
     this.currentIndex = -1;
     this.lastKnownIndex = 0;
     this._lastFrameTime = null;
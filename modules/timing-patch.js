@@ -0,0 +1,124 @@
+/**
+ * Timing Patch Module - Per-line timing corrections over provider lyrics
+ *
+ * A patch is a list of shifts applied in order:
+ *   { shifts: [{ index, text, delta, scope: 'line'|'after' }] }
+ * 'line' moves one line, 'after' moves that line and everything after it.
+ * The line text is stored with each shift so the patch still lands on the
+ * right line if the lyrics gain or lose a line on a later load.
+ */
+
+// Lines never get pushed past their neighbours
+const MIN_LINE_GAP = 0.01;
+
+export class TimingPatch {
+  /**
+   * Apply a stored patch to freshly parsed lines (in place)
+   * @param {Array<Object>} lines - Synced lines
+   * @param {{shifts: Array<Object>}} patch
+   * @returns {number} Number of shifts that found their line
+   */
+  static apply(lines, patch) {
+    let applied = 0;
+    for (const shift of patch?.shifts || []) {
+      const index = TimingPatch.findLine(lines, shift);
+      if (index === -1) continue;
+      TimingPatch.shift(lines, index, shift.delta, shift.scope);
+      applied++;
+    }
+    return applied;
+  }
+
+  /**
+   * Record a shift in a patch, merging repeated nudges of the same line
+   * @param {{shifts: Array<Object>}} patch - Patch to update
+   * @param {Array<Object>} lines - Lines the shift applies to
+   * @param {number} index
+   * @param {number} delta - Seconds
+   * @param {'line'|'after'} scope
+   */
+  static addShift(patch, lines, index, delta, scope) {
+    const last = patch.shifts[patch.shifts.length - 1];
+    if (last && last.index === index && last.scope === scope) {
+      last.delta = Math.round((last.delta + delta) * 1000) / 1000;
+      if (last.delta === 0) patch.shifts.pop();
+      return;
+    }
+    patch.shifts.push({ index, text: lines[index].text, delta, scope });
+  }
+
+  /**
+   * Limit a shift so the line stays between its neighbours
+   * @param {Array<Object>} lines
+   * @param {number} index
+   * @param {number} delta - Requested shift in seconds
+   * @param {'line'|'after'} scope
+   * @returns {number} Shift that can actually be applied
+   */
+  static clampDelta(lines, index, delta, scope) {
+    const line = lines[index];
+    const previous = lines[index - 1];
+    const next = lines[index + 1];
+
+    const earliest = previous ? previous.time + MIN_LINE_GAP : 0;
+    let clamped = Math.max(delta, earliest - line.time);
+
+    if (scope === 'line' && next) {
+      clamped = Math.min(clamped, next.time - MIN_LINE_GAP - line.time);
+    }
+
+    return Math.round(clamped * 1000) / 1000;
+  }
+
+  /**
+   * Move a line, or a line and all lines after it, in place
+   * Word, syllable and background vocal timings move with their line.
+   * @param {Array<Object>} lines
+   * @param {number} index
+   * @param {number} delta - Seconds
+   * @param {'line'|'after'} scope
+   */
+  static shift(lines, index, delta, scope) {
+    const last = scope === 'after' ? lines.length - 1 : index;
+    for (let i = index; i <= last; i++) {
+      TimingPatch.shiftLine(lines[i], delta);
+    }
+  }
+
+  static shiftLine(line, delta) {
+    const move = time => Math.max(0, time + delta);
+
+    line.time = move(line.time);
+    if (typeof line.endTime === 'number') line.endTime = move(line.endTime);
+    (line.words || []).forEach(word => { word.time = move(word.time); });
+    (line.syllables || []).forEach(syllable => {
+      syllable.time = move(syllable.time);
+      if (typeof syllable.endTime === 'number') syllable.endTime = move(syllable.endTime);
+    });
+    (line.background || []).forEach(bg => {
+      bg.startTime = move(bg.startTime);
+      if (typeof bg.endTime === 'number') bg.endTime = move(bg.endTime);
+    });
+  }
+
+  /**
+   * Find the line a stored shift was made on
+   * Prefers the recorded index; otherwise the nearest line with the same text.
+   * @returns {number} Line index, or -1
+   */
+  static findLine(lines, shift) {
+    if (lines[shift.index] && lines[shift.index].text === shift.text) {
+      return shift.index;
+    }
+
+    let best = -1;
+    lines.forEach((line, i) => {
+      if (line.text === shift.text && (best === -1 || Math.abs(i - shift.index) < Math.abs(best - shift.index))) {
+        best = i;
+      }
+    });
+    return best;
+  }
+}
+
+export default TimingPatch;
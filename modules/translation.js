@@ -0,0 +1,89 @@
+/**
+ * Translation Module - Translated lines on top of synced lyrics
+ *
+ * Translations arrive as pairs of original line text and translated text
+ *   [{ original: 'Yeah, I ran away', translation: 'Sí, me escapé' }]
+ * and land on every line with that text as lineData.translation, so the
+ * renderers can show them under the original without another lookup.
+ */
+
+// Inline word timing markers like <00:12.34>
+const WORD_TIMESTAMP = /<\d{2}:\d{2}\.\d+>/g;
+
+export class LyricsTranslation {
+  /**
+   * Text used to match a line against a translation's original
+   * Case, spacing and punctuation differ between providers' copies of a line.
+   * @param {string} text
+   * @returns {string}
+   */
+  static normalize(text) {
+    return (text || '')
+      .replace(WORD_TIMESTAMP, '')
+      .toLowerCase()
+      .replace(/[\p{P}\p{S}]/gu, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Pairs from a translation that comes as its own synced lyrics (NetEase's tlyric),
+   * where a translated line carries the timestamp of the line it translates
+   * @param {Array<Object>} lines - Parsed original lines
+   * @param {Array<Object>} translatedLines - Parsed translation lines
+   * @returns {Array<{original: string, translation: string}>}
+   */
+  static pairByTime(lines, translatedLines) {
+    // Providers write the same stamp with two or three decimals
+    const key = (time) => Math.round(time * 100);
+    const byTime = new Map();
+    for (const line of translatedLines || []) {
+      if (line.text?.trim()) byTime.set(key(line.time), line.text);
+    }
+
+    return lines
+      .map(line => ({ original: line.text, translation: byTime.get(key(line.time)) }))
+      .filter(pair => pair.original && pair.translation);
+  }
+
+  /**
+   * Copy of the lines with translations attached
+   * Lines without a matching pair lose any translation they carried before.
+   * @param {Array<Object>} lines - Synced lines
+   * @param {Array<{original: string, translation: string}>} pairs
+   * @returns {{lines: Array<Object>, matched: number}}
+   */
+  static attach(lines, pairs) {
+    const byText = new Map();
+    for (const pair of pairs || []) {
+      const key = LyricsTranslation.normalize(pair.original);
+      if (key && pair.translation && !byText.has(key)) {
+        byText.set(key, pair.translation.trim());
+      }
+    }
+
+    let matched = 0;
+    const translated = lines.map(({ translation, ...line }) => {
+      const text = byText.get(LyricsTranslation.normalize(line.text));
+      // Lines that already read like the translation (English lines in a K-pop song) get none
+      if (!text || LyricsTranslation.normalize(text) === LyricsTranslation.normalize(line.text)) {
+        return line;
+      }
+      matched++;
+      return { ...line, translation: text };
+    });
+
+    return { lines: translated, matched };
+  }
+
+  /**
+   * Whether any line carries a translation
+   * @param {Array<Object>|null} lines
+   * @returns {boolean}
+   */
+  static hasTranslations(lines) {
+    return !!lines && lines.some(line => line.translation);
+  }
+}
+
+export default LyricsTranslation;
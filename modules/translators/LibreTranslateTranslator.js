@@ -0,0 +1,72 @@
+/**
+ * LibreTranslate translator - Machine translation on a self-hosted server
+ *
+ * Talks to any LibreTranslate-compatible endpoint (POST /translate with
+ * { q, source, target, format, api_key }). Lyrics only go to the server the
+ * user configured, never to a public translation cloud.
+ *
+ * @example
+ * const translator = new LibreTranslateTranslator('http://localhost:5000', { fetch: providerFetch });
+ * await translator.translate(['사랑해요'], 'en'); // ['I love you']
+ */
+
+export class LibreTranslateTranslator {
+  /**
+   * @param {string} url - Server address, with or without the /translate path
+   * @param {{apiKey?: string, fetch?: Function}} [options]
+   *   fetch goes through the extension background so the server needs no CORS setup
+   */
+  constructor(url, { apiKey = '', fetch = null } = {}) {
+    this.id = 'libretranslate';
+    this.name = 'LibreTranslate';
+    // Servers cap request size (char_limit); a verse or two per request stays well under it
+    this.maxBatchSize = 25;
+    this.endpoint = LibreTranslateTranslator.toEndpoint(url);
+    this.apiKey = apiKey;
+    this.fetch = fetch || ((...args) => window.fetch(...args));
+  }
+
+  /**
+   * Translate a batch of strings
+   * @param {string[]} texts
+   * @param {string} target - ISO 639-1 target language
+   * @param {string} [source='auto'] - Source language, or 'auto' to detect it
+   * @returns {Promise<string[]>} Translations in the order of texts
+   */
+  async translate(texts, target, source = 'auto') {
+    if (texts.length === 0) return [];
+
+    const body = { q: texts, source, target, format: 'text' };
+    if (this.apiKey) body.api_key = this.apiKey;
+
+    const response = await this.fetch(this.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+
+    if (data?.error) {
+      throw new Error(`LibreTranslate: ${data.error}`);
+    }
+
+    // A list of strings comes back as a list; older servers only take one string
+    const translated = data?.translatedText;
+    if (Array.isArray(translated)) return translated;
+    if (typeof translated === 'string' && texts.length === 1) return [translated];
+    throw new Error('LibreTranslate: unexpected response');
+  }
+
+  /**
+   * Normalize a configured server address to its /translate endpoint
+   * @param {string} url - e.g. 'localhost:5000', 'https://mt.example.org/', '.../translate'
+   * @returns {string}
+   */
+  static toEndpoint(url) {
+    let address = (url || '').trim().replace(/\/+$/, '');
+    if (!/^https?:\/\//i.test(address)) address = `http://${address}`;
+    return /\/translate$/.test(address) ? address : `${address}/translate`;
+  }
+}
+
+export default LibreTranslateTranslator;
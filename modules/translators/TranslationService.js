@@ -0,0 +1,156 @@
+/**
+ * TranslationService - Machine translation of lyrics lines behind a common interface
+ *
+ * A translator backend (LibreTranslate, ...) only turns a list of strings
+ * into another language. The service decides what to send: each distinct
+ * line once, in batches the backend accepts, and nothing it already
+ * translated for the same track and language.
+ *
+ * @example
+ * const service = new TranslationService();
+ * service.setTranslator(new LibreTranslateTranslator('http://localhost:5000', { fetch: providerFetch }));
+ * const pairs = await service.translateLines('coldplay|yellow', lines, 'es');
+ * const { lines: translated } = LyricsTranslation.attach(lines, pairs);
+ */
+
+import { CACHE_CONFIG } from '../constants.js';
+
+/**
+ * @typedef {Object} Translator
+ * @property {string} id - Backend id, e.g. 'libretranslate'
+ * @property {string} name - Display name
+ * @property {number} maxBatchSize - Most strings per translate() call
+ * @property {(texts: string[], target: string, source?: string) => Promise<string[]>} translate
+ *   Translations in the order of texts; source 'auto' lets the backend detect it
+ */
+
+// Inline word timing markers like <00:12.34>
+const WORD_TIMESTAMP = /<\d{2}:\d{2}\.\d+>/g;
+// Lines without letters ("♪", "...", "(x2)") have nothing to translate
+const HAS_LETTERS = /\p{L}/u;
+
+export class TranslationService {
+  /**
+   * @param {{maxTracks?: number}} [options] - Tracks kept in the cache
+   */
+  constructor({ maxTracks = CACHE_CONFIG.MAX_SIZE } = {}) {
+    /** @type {Translator|null} */
+    this.translator = null;
+    this.maxTracks = maxTracks;
+    // `${track}|${language}` -> Map(line text -> translation), oldest first
+    this._cache = new Map();
+    // Batches in flight, so a re-render doesn't send the same lines twice
+    this._pending = new Map();
+  }
+
+  /**
+   * Use another backend; translations from the previous one are dropped
+   * @param {Translator|null} translator
+   */
+  setTranslator(translator) {
+    this.translator = translator;
+    this._cache.clear();
+    this._pending.clear();
+  }
+
+  /**
+   * Whether a backend is configured
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return !!this.translator;
+  }
+
+  /**
+   * Translate lyrics lines
+   * @param {string} track - Cache key of the song, e.g. artist and title
+   * @param {Array<{text: string}>} lines - Lines to translate
+   * @param {string} language - ISO 639-1 target language
+   * @returns {Promise<Array<{original: string, translation: string}>>} One pair per distinct line text
+   */
+  async translateLines(track, lines, language) {
+    if (!this.translator) return [];
+
+    const key = `${track}|${language}`;
+    const cached = this._getCached(key);
+    const texts = [...new Set(lines.map(line => TranslationService.cleanText(line.text)))]
+      .filter(text => HAS_LETTERS.test(text));
+
+    const missing = texts.filter(text => !cached.has(text));
+    if (missing.length > 0) {
+      await this._translateMissing(key, cached, missing, language);
+    }
+
+    return texts
+      .filter(text => cached.has(text))
+      .map(text => ({ original: text, translation: cached.get(text) }));
+  }
+
+  /**
+   * Send untranslated lines to the backend, batch by batch
+   * @private
+   */
+  async _translateMissing(key, cached, missing, language) {
+    // Another call is already translating lines of this track; wait for it first
+    const pending = this._pending.get(key);
+    if (pending) {
+      await pending.catch(() => {});
+      missing = missing.filter(text => !cached.has(text));
+      if (missing.length === 0) return;
+    }
+
+    const translator = this.translator;
+    const work = (async () => {
+      const size = Math.max(1, translator.maxBatchSize || 1);
+      for (let start = 0; start < missing.length; start += size) {
+        const batch = missing.slice(start, start + size);
+        const translated = await translator.translate(batch, language, 'auto');
+        // The backend changed while this batch was out; its answers belong to no cache
+        if (this.translator !== translator) return;
+        batch.forEach((text, i) => {
+          const translation = (translated[i] || '').trim();
+          if (translation) cached.set(text, translation);
+        });
+      }
+    })();
+
+    this._pending.set(key, work);
+    try {
+      await work;
+    } finally {
+      if (this._pending.get(key) === work) this._pending.delete(key);
+    }
+  }
+
+  /**
+   * Cached translations of a track, created on first use
+   * The least recently used track is dropped past maxTracks.
+   * @private
+   */
+  _getCached(key) {
+    let cached = this._cache.get(key);
+    if (cached) {
+      // Move to the end: most recently used
+      this._cache.delete(key);
+    } else {
+      cached = new Map();
+    }
+    this._cache.set(key, cached);
+
+    while (this._cache.size > this.maxTracks) {
+      this._cache.delete(this._cache.keys().next().value);
+    }
+    return cached;
+  }
+
+  /**
+   * Line text as sent to a backend: no word timings, single spaces
+   * @param {string} text
+   * @returns {string}
+   */
+  static cleanText(text) {
+    return (text || '').replace(WORD_TIMESTAMP, '').replace(/\s+/g, ' ').trim();
+  }
+}
+
+export default TranslationService;
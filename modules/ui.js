@@ -1,8 +1,27 @@
-import { SELECTORS, UI_CONFIG } from './constants.js';
+import { SELECTORS, UI_CONFIG, LOCAL_LYRICS_CONFIG, TRANSLATION_LANGUAGES, JAPANESE_ROMANIZATION_MODES } from './constants.js';
 import { ColorExtractor } from './color-utils.js';
 import { Maid } from './utils/Maid.js';
 import { Signal } from './utils/Signal.js';
 import { LyricsRenderer } from './lyrics/LyricsRenderer.js';
+import { Furigana } from './lyrics/Furigana.js';
+
+// Panel placement on surfaces without a sidebar (the watch page keeps the default)
+const PANEL_LAYOUTS = {
+  // Shorts: a few lines over the bottom of the reel, above its title and buttons
+  shorts: {
+    container: { position: 'absolute', top: 'auto', left: '12px', right: '12px', bottom: '140px', marginBottom: '0', zIndex: '30', boxShadow: 'none' },
+    panel: { maxHeight: '210px', padding: '8px 12px', background: 'rgba(20, 20, 22, 0.55)' },
+    zoom: 0.6,
+    header: false
+  },
+  // Embeds: a column inside the player frame, clear of the control bar
+  embed: {
+    container: { position: 'absolute', top: '12px', right: '12px', bottom: '60px', width: 'min(40%, 420px)', marginBottom: '0', zIndex: '40' },
+    panel: { maxHeight: 'none', height: '100%', boxSizing: 'border-box' },
+    zoom: 0.75,
+    header: true
+  }
+};
 
 /**
  * UI Module - Handles all UI creation and manipulation with Apple Music styling
@@ -21,6 +40,8 @@ export class LyricsUI {
     this.controlsContainer = null;
     this.currentStyle = 'apple-music';
     this.settingsRef = null; // Store settings reference for updates
+    this._menuControls = new Map(); // Settings menu label -> { setValue } for updates from the app
+    this._syncOffsetScope = 'global'; // Where the current sync offset comes from
     this.currentFontSize = 16; // Store current font size
     this.highlightMode = 'line'; // 'line' or 'word'
     
@@ -28,6 +49,17 @@ export class LyricsUI {
     this.OnSeekRequest = new Signal();
     this.OnSettingsChange = new Signal();
     this.OnModeChange = new Signal();
+    this.OnTimingShift = new Signal(); // (lineIndex, delta, scope) from timing correction mode
+
+    // Timing correction mode (per-line shifts)
+    this._correctionMode = false;
+    this._correctionIndex = -1;
+    this._removeCorrectionKeys = null;
+
+    this._offsetSuggestion = null; // Caption offset suggestion bar, while showing
+    this._offsetSuggestionReject = null; // Its Undo callback, until the user answers
+    this._notice = null; // Notice bar (OK only), while showing
+    this.miniStrip = null; // Floating current-line strip next to the miniplayer, while showing
     
     // LyricsRenderer instance (used when useRenderer is true)
     this._lyricsRenderer = null;
@@ -240,8 +272,10 @@ export class LyricsUI {
 
   /**
    * Create the main lyrics panel with Apple Music styling
+   * @param {HTMLElement} parentElement - Element the panel is inserted into
+   * @param {string|null} [surface] - From YouTubeIntegration.getSurface, picks the layout
    */
-  createPanel(parentElement) {
+  createPanel(parentElement, surface = null) {
     if (this.panel) {
       this.removePanel();
     }
@@ -267,6 +301,7 @@ export class LyricsUI {
     this.panel.appendChild(this.lyricsContainer);
 
     this.container.appendChild(this.panel);
+    this.applyLayout(surface, header);
 
     // Insert at the beginning of parent
     parentElement.insertBefore(this.container, parentElement.firstChild);
@@ -274,6 +309,198 @@ export class LyricsUI {
     return this.panel;
   }
 
+  /**
+   * Open a file picker for a lyrics file (LRC, SRT, WebVTT, TTML or plain text)
+   * @param {Function} onLoad - Called with (text, fileName)
+   */
+  pickLyricsFile(onLoad) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.lrc,.srt,.vtt,.ttml,.xml,.txt';
+    input.style.display = 'none';
+
+    input.addEventListener('change', () => {
+      const file = input.files && input.files[0];
+      input.remove();
+      if (file) this.readLyricsFile(file, onLoad);
+    });
+
+    document.body.appendChild(input);
+    input.click();
+  }
+
+  /**
+   * Read a picked or dropped lyrics file as text
+   * @param {File} file
+   * @param {Function} onLoad - Called with (text, fileName)
+   */
+  async readLyricsFile(file, onLoad) {
+    if (!onLoad) return;
+
+    if (file.size > LOCAL_LYRICS_CONFIG.MAX_FILE_SIZE) {
+      console.log(`[Lyrics File] ${file.name} is too large, ignoring`);
+      this.showNotice(`${file.name} is too large for a lyrics file`);
+      return;
+    }
+
+    try {
+      onLoad(await file.text(), file.name);
+    } catch (error) {
+      console.log('[Lyrics File] Failed to read file:', error.message);
+    }
+  }
+
+  /**
+   * Save text as a file download
+   * @param {string} content - File contents
+   * @param {string} fileName - Suggested file name
+   * @param {string} mimeType - MIME type of the file
+   */
+  downloadFile(content, fileName, mimeType = 'text/plain') {
+    const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Accept lyrics files dropped onto the panel
+   * @param {Function} onLoad - Called with (text, fileName)
+   */
+  enableFileDrop(onLoad) {
+    if (!this.panel) return;
+
+    const hasFiles = (e) => e.dataTransfer && [...e.dataTransfer.types].includes('Files');
+
+    this.addListener(this.panel, 'dragover', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      this.panel.style.outline = '2px dashed rgba(255, 255, 255, 0.6)';
+    });
+
+    this.addListener(this.panel, 'dragleave', (e) => {
+      if (!this.panel.contains(e.relatedTarget)) {
+        this.panel.style.outline = '';
+      }
+    });
+
+    this.addListener(this.panel, 'drop', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      this.panel.style.outline = '';
+      const file = e.dataTransfer.files[0];
+      if (file) this.readLyricsFile(file, onLoad);
+    });
+  }
+
+  /**
+   * Fit the panel to a surface without a sidebar
+   * Zoom scales the whole panel, so line sizes and scroll positions stay in proportion.
+   * @param {string|null} surface
+   * @param {HTMLElement} header
+   */
+  applyLayout(surface, header) {
+    const layout = PANEL_LAYOUTS[surface];
+    if (!layout) return;
+
+    this.container.dataset.layout = surface;
+    Object.assign(this.container.style, layout.container);
+    Object.assign(this.panel.style, layout.panel);
+    this.panel.style.zoom = String(layout.zoom);
+    if (!layout.header) {
+      header.style.display = 'none';
+    }
+  }
+
+  /**
+   * Show a floating strip with the current line next to the miniplayer
+   * @param {HTMLElement|null} anchor - Miniplayer element; the strip sits on top of it
+   */
+  showMiniStrip(anchor) {
+    this.removeMiniStrip();
+
+    const element = document.createElement('div');
+    element.id = 'ytl-mini-lyrics';
+    Object.assign(element.style, {
+      position: 'fixed',
+      zIndex: '2100',
+      boxSizing: 'border-box',
+      padding: '8px 14px',
+      borderRadius: '12px',
+      background: 'rgba(20, 20, 22, 0.92)',
+      backdropFilter: 'blur(20px)',
+      WebkitBackdropFilter: 'blur(20px)',
+      boxShadow: '0 4px 24px rgba(0, 0, 0, 0.4)',
+      color: '#ffffff',
+      fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+      pointerEvents: 'none'
+    });
+
+    const current = document.createElement('div');
+    Object.assign(current.style, { fontSize: '15px', fontWeight: '700', lineHeight: '1.35' });
+    const next = document.createElement('div');
+    Object.assign(next.style, { fontSize: '12px', lineHeight: '1.35', opacity: '0.5', marginTop: '2px' });
+    element.append(current, next);
+    document.body.appendChild(element);
+
+    const onResize = () => this.positionMiniStrip();
+    window.addEventListener('resize', onResize);
+    this.miniStrip = { element, current, next, anchor, onResize };
+    this.positionMiniStrip();
+  }
+
+  /**
+   * Keep the strip on top of the miniplayer, or in the corner without one
+   */
+  positionMiniStrip() {
+    if (!this.miniStrip) return;
+
+    const { element, anchor } = this.miniStrip;
+    const rect = anchor?.getBoundingClientRect();
+    if (rect && rect.width > 0) {
+      Object.assign(element.style, {
+        left: `${rect.left}px`,
+        right: 'auto',
+        width: `${rect.width}px`,
+        bottom: `${window.innerHeight - rect.top + 8}px`
+      });
+    } else {
+      Object.assign(element.style, { left: 'auto', right: '16px', width: '360px', bottom: '16px' });
+    }
+  }
+
+  /**
+   * Show the line being sung (and the next one) in the miniplayer strip
+   * @param {string} text - Current line, empty between lines
+   * @param {string} [nextText]
+   */
+  updateMiniStrip(text, nextText = '') {
+    if (!this.miniStrip) return;
+
+    // The miniplayer can be dragged and resized
+    this.positionMiniStrip();
+    this.miniStrip.current.textContent = text || '♪';
+    this.miniStrip.next.textContent = nextText;
+    this.miniStrip.next.style.display = nextText ? 'block' : 'none';
+  }
+
+  removeMiniStrip() {
+    if (!this.miniStrip) return;
+
+    window.removeEventListener('resize', this.miniStrip.onResize);
+    this.miniStrip.element.remove();
+    this.miniStrip = null;
+  }
+
   /**
    * Apply Apple Music-inspired container styles
    */
@@ -433,6 +660,22 @@ export class LyricsUI {
       #lyrics-display .lyric-word.future {
         background-image: linear-gradient(to right, var(--future-color) 0%, var(--future-color) 100%) !important;
       }
+
+      /* Furigana - readings above kanji */
+      #lyrics-display ruby rt {
+        font-size: 0.45em;
+        font-weight: 600;
+        letter-spacing: 0;
+        line-height: 1;
+      }
+      /* The word fill is clipped to the base text, so ruby in a word follows its state by color */
+      #lyrics-display .lyric-word rt {
+        color: var(--future-color) !important;
+      }
+      #lyrics-display .lyric-word.past rt,
+      #lyrics-display .lyric-word.highlighted rt {
+        color: var(--highlight-color) !important;
+      }
       
       /* Title visibility */
       #song-title, #song-artist { opacity: 1 !important; visibility: visible !important; }
@@ -442,6 +685,14 @@ export class LyricsUI {
     document.head.appendChild(style);
   }
 
+  /**
+   * Lyrics line styles of the panel, for other documents showing the same lines
+   * @returns {string} CSS text, empty before the panel was styled
+   */
+  getLyricsStyles() {
+    return this._lyricsStyleElement ? this._lyricsStyleElement.textContent : '';
+  }
+
   /**
    * Create header with title and close button - Apple Music compact style
    */
@@ -557,13 +808,22 @@ export class LyricsUI {
 
   /**
    * Display plain lyrics with Apple Music styling
+   * @param {string} lyrics - Unsynced lyrics text
+   * @param {Function} [onStartSync] - Shows a "Sync these lyrics" button that calls this
    */
-  displayPlainLyrics(lyrics) {
+  displayPlainLyrics(lyrics, onStartSync = null) {
     if (!this.lyricsContainer) return;
 
     // Clear using replaceChildren for Trusted Types compatibility
     this.lyricsContainer.replaceChildren();
 
+    if (onStartSync) {
+      const syncButton = this.createButton('Sync these lyrics', onStartSync);
+      syncButton.style.margin = '16px auto 0';
+      syncButton.style.display = 'block';
+      this.lyricsContainer.appendChild(syncButton);
+    }
+
     const lyricsText = document.createElement('div');
     Object.assign(lyricsText.style, {
       whiteSpace: 'pre-wrap',
@@ -579,6 +839,160 @@ export class LyricsUI {
     this.lyricsContainer.appendChild(lyricsText);
   }
 
+  /**
+   * Show a suggestion bar above the lyrics with Keep / Undo buttons
+   * Without callbacks it is a notice with a single OK button.
+   * Replaces any suggestion already showing; one still waiting for an answer is undone first.
+   * @param {string} message
+   * @param {Function} [onAccept]
+   * @param {Function} [onReject]
+   */
+  showOffsetSuggestion(message, onAccept = null, onReject = null) {
+    this.hideOffsetSuggestion(true);
+    if (!this.panel || !this.lyricsContainer) return;
+
+    const finish = (callback) => {
+      this.hideOffsetSuggestion();
+      if (callback) callback();
+    };
+    const buttons = onAccept
+      ? [this.createButton('Keep', () => finish(onAccept)), this.createButton('Undo', () => finish(onReject))]
+      : [this.createButton('OK', () => finish(null))];
+
+    const bar = this.createNoticeBar('lyrics-offset-suggestion', message, buttons);
+    this.panel.insertBefore(bar, this.lyricsContainer);
+    this._offsetSuggestion = bar;
+    this._offsetSuggestionReject = onAccept ? onReject : null;
+  }
+
+  /**
+   * Remove the suggestion bar, if showing
+   * @param {boolean} [undo=false] - Run the Undo callback of a suggestion nobody answered
+   */
+  hideOffsetSuggestion(undo = false) {
+    const onReject = this._offsetSuggestionReject;
+    this._offsetSuggestionReject = null;
+    if (this._offsetSuggestion) {
+      this._offsetSuggestion.remove();
+      this._offsetSuggestion = null;
+    }
+    if (undo && onReject) onReject();
+  }
+
+  /**
+   * Show a notice above the lyrics with an OK button
+   * Kept apart from the offset suggestion bar, which it never replaces.
+   * @param {string} message
+   */
+  showNotice(message) {
+    this.hideNotice();
+    if (!this.panel || !this.lyricsContainer) return;
+
+    const bar = this.createNoticeBar('lyrics-notice', message, [this.createButton('OK', () => this.hideNotice())]);
+    this.panel.insertBefore(bar, this.lyricsContainer);
+    this._notice = bar;
+  }
+
+  /**
+   * Remove the notice bar, if showing
+   */
+  hideNotice() {
+    if (this._notice) {
+      this._notice.remove();
+      this._notice = null;
+    }
+  }
+
+  /**
+   * Build a bar with a message and buttons, shown above the lyrics
+   * @param {string} id - Element id
+   * @param {string} message
+   * @param {HTMLElement[]} buttons
+   * @returns {HTMLElement}
+   */
+  createNoticeBar(id, message, buttons) {
+    const bar = document.createElement('div');
+    bar.id = id;
+    Object.assign(bar.style, {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px',
+      padding: '10px 0',
+      fontSize: '13px',
+      color: 'rgba(255, 255, 255, 0.8)',
+      borderBottom: '1px solid rgba(255, 255, 255, 0.08)'
+    });
+
+    const text = document.createElement('div');
+    text.textContent = message;
+    text.style.flex = '1';
+
+    buttons.forEach(button => {
+      button.style.padding = '4px 12px';
+      button.style.fontSize = '12px';
+    });
+
+    bar.append(text, ...buttons);
+    return bar;
+  }
+
+  /**
+   * Turn timing correction mode on or off
+   * Lines get draggable start-time handles; ←/→ nudge the selected line
+   * (Shift: it and every line after), ↑/↓ change the selection.
+   * @param {boolean} enabled
+   */
+  setCorrectionMode(enabled) {
+    this._correctionMode = enabled;
+    if (!enabled) this._correctionIndex = -1;
+
+    if (this._lyricsRenderer) {
+      this._lyricsRenderer.SetCorrectionMode(enabled, this._correctionIndex);
+    }
+
+    if (enabled && !this._removeCorrectionKeys) {
+      // Capture so YouTube's arrow-key seeking doesn't also fire
+      this._removeCorrectionKeys = this.addListener(window, 'keydown', (e) => this._handleCorrectionKey(e), true);
+    } else if (!enabled && this._removeCorrectionKeys) {
+      this._removeCorrectionKeys();
+      this._removeCorrectionKeys = null;
+    }
+  }
+
+  /**
+   * Keyboard nudges for timing correction mode
+   * @private
+   */
+  _handleCorrectionKey(e) {
+    const renderer = this._lyricsRenderer;
+    if (!renderer || e.ctrlKey || e.metaKey || e.altKey) return;
+
+    const target = e.target;
+    if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) return;
+
+    const index = renderer.CorrectionIndex;
+    const step = UI_CONFIG.TIMING_NUDGE_STEP;
+
+    switch (e.key) {
+      case 'ArrowLeft':
+      case 'ArrowRight':
+        if (index < 0) return;
+        this.OnTimingShift.Fire(index, e.key === 'ArrowLeft' ? -step : step, e.shiftKey ? 'after' : 'line');
+        break;
+      case 'ArrowUp':
+        renderer.SelectCorrectionLine(Math.max(0, index - 1));
+        break;
+      case 'ArrowDown':
+        renderer.SelectCorrectionLine(Math.min(renderer.LineCount - 1, index + 1));
+        break;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    e.stopImmediatePropagation();
+  }
+
   /**
    * Display synced lyrics with Apple Music styling
    * Uses LyricsRenderer if _useRenderer is true, otherwise uses legacy rendering
@@ -591,6 +1005,8 @@ export class LyricsUI {
 
     // Destroy any existing renderer
     if (this._lyricsRenderer) {
+      // Keep the correction selection across re-renders
+      this._correctionIndex = this._lyricsRenderer.CorrectionIndex;
       this._lyricsRenderer.Destroy();
       this._lyricsRenderer = null;
     }
@@ -618,10 +1034,18 @@ export class LyricsUI {
         highlightMode: this.highlightMode,
         showRomanization: this.settingsRef?.showRomanization || false,
         hideOriginalLyrics: this.settingsRef?.hideOriginalLyrics || false,
+        showTranslation: this.settingsRef?.showTranslation === true,
+        useEstimatedWordTimings: this.settingsRef?.estimatedWordTiming === true,
+        correctionMode: this._correctionMode,
+        correctionIndex: this._correctionIndex,
         detectInterludes: true,
         interludeThreshold: 5
       });
 
+      this._lyricsRenderer.OnTimingShift.Connect((index, delta, scope) => {
+        this.OnTimingShift.Fire(index, delta, scope);
+      });
+
       // Connect renderer's seek signal to our signal
       this._lyricsRenderer.OnSeekRequest.Connect((time, index) => {
         this.OnSeekRequest.Fire(time, index);
@@ -671,14 +1095,21 @@ export class LyricsUI {
         textContainer.style.display = 'none';
       }
 
-      // Check if lyric has word-level timing
-      if (lyric.words && lyric.words.length > 0) {
+      // Check if lyric has word-level timing (estimated timings only if opted in)
+      const useWords = lyric.words && lyric.words.length > 0 &&
+        (!lyric.wordsEstimated || this.settingsRef?.estimatedWordTiming === true);
+      if (useWords) {
         if (index === 0) console.log('[UI debug] Rendering line 0 with words:', lyric.words);
         // Create word-by-word display
         lyric.words.forEach((wordData, wordIndex) => {
           const wordSpan = document.createElement('span');
           wordSpan.className = 'lyric-word future';
-          wordSpan.textContent = wordData.word;
+          const furigana = this.settingsRef?.showRomanization && Furigana.get(lyric, 'words', wordIndex);
+          if (furigana) {
+            Furigana.render(wordSpan, furigana);
+          } else {
+            wordSpan.textContent = wordData.word;
+          }
           wordSpan.dataset.wordIndex = wordIndex;
           wordSpan.dataset.wordTime = wordData.time;
           textContainer.appendChild(wordSpan);
@@ -690,7 +1121,12 @@ export class LyricsUI {
         });
       } else {
         // Regular line-by-line display
-        textContainer.textContent = lyric.text;
+        const furigana = this.settingsRef?.showRomanization && Furigana.get(lyric, 'line');
+        if (furigana) {
+          Furigana.render(textContainer, furigana);
+        } else {
+          textContainer.textContent = lyric.text;
+        }
       }
 
       lyricLine.appendChild(textContainer);
@@ -709,6 +1145,20 @@ export class LyricsUI {
         lyricLine.appendChild(roman);
       }
 
+      if (this.settingsRef && this.settingsRef.showTranslation && lyric.translation) {
+        const translation = document.createElement('div');
+        translation.className = 'translation-text';
+        translation.textContent = lyric.translation;
+        Object.assign(translation.style, {
+          marginTop: '4px',
+          fontSize: '0.7em',
+          fontWeight: '500',
+          color: 'inherit',
+          opacity: '0.8'
+        });
+        lyricLine.appendChild(translation);
+      }
+
       // NO inline styles - let CSS handle everything
       // Just add class and data attributes
 
@@ -1206,6 +1656,15 @@ export class LyricsUI {
     // Clear word index tracking
     this._lastWordIndexMap.clear();
     this._lastScrollIndex = -1;
+
+    // A previewed offset nobody kept goes back when the panel does
+    this.hideOffsetSuggestion(true);
+    this._notice = null;
+
+    // Correction mode is per panel; its key listener went with the maid
+    this._correctionMode = false;
+    this._correctionIndex = -1;
+    this._removeCorrectionKeys = null;
   }
 
   /**
@@ -1214,11 +1673,13 @@ export class LyricsUI {
   destroy() {
     this.removePanel();
     this.removeVideoPlayerControls();
+    this.removeMiniStrip();
     
     // Clear signals
     this.OnSeekRequest.Clear();
     this.OnSettingsChange.Clear();
     this.OnModeChange.Clear();
+    this.OnTimingShift.Clear();
   }
 
   /**
@@ -1229,6 +1690,7 @@ export class LyricsUI {
     if (container) {
       container.remove();
     }
+    this._menuControls.clear();
   }
 
   /**
@@ -1429,7 +1891,7 @@ export class LyricsUI {
   /**
    * Create video player controls
    */
-  createVideoPlayerControls(onFullscreen, onTogglePanel, settings) {
+  createVideoPlayerControls(onFullscreen, onTogglePanel, settings, rightControls = null) {
     // Store settings reference for real-time updates
     this.settingsRef = settings;
 
@@ -1439,8 +1901,8 @@ export class LyricsUI {
       existingContainer.remove();
     }
 
-    // Find YouTube's video controls container
-    const rightControls = document.querySelector('.ytp-right-controls');
+    // Find YouTube's video controls container (YouTube Music passes its player bar)
+    rightControls = rightControls || document.querySelector('.ytp-right-controls');
     if (!rightControls) {
       return;
     }
@@ -1535,6 +1997,8 @@ export class LyricsUI {
       color: #eee;
     `;
 
+    this._menuControls.clear();
+
     // Create menu items - simplified settings
     const menuItems = [
       {
@@ -1546,6 +2010,71 @@ export class LyricsUI {
           if (onFullscreen) onFullscreen();
         }
       },
+      // Only offered where the browser has Document Picture-in-Picture
+      ...(settings?.onPictureInPicture ? [{
+        type: 'button',
+        label: 'Pop-out lyrics',
+        onClick: () => {
+          panel.style.display = 'none';
+          settings.onPictureInPicture();
+        }
+      }] : []),
+      {
+        type: 'button',
+        label: 'Load lyrics file…',
+        onClick: () => {
+          panel.style.display = 'none';
+          this.pickLyricsFile(settings?.onLyricsFileLoaded);
+        }
+      },
+      {
+        type: 'button',
+        label: 'Forget lyrics file',
+        onClick: () => {
+          panel.style.display = 'none';
+          if (settings?.onLyricsFileRemoved) settings.onLyricsFileRemoved();
+        }
+      },
+      {
+        type: 'toggle',
+        label: 'Fix line timing',
+        checked: settings?.timingCorrection === true,
+        onChange: (checked) => {
+          if (this.settingsRef) this.settingsRef.timingCorrection = checked;
+          if (settings?.onTimingCorrectionChange) settings.onTimingCorrectionChange(checked);
+        }
+      },
+      {
+        type: 'button',
+        label: 'Reset line timing',
+        onClick: () => {
+          panel.style.display = 'none';
+          if (settings?.onResetTimingCorrections) settings.onResetTimingCorrections();
+        }
+      },
+      {
+        type: 'button',
+        label: 'Tap to sync lyrics…',
+        onClick: () => {
+          panel.style.display = 'none';
+          if (settings?.onOpenSyncEditor) settings.onOpenSyncEditor();
+        }
+      },
+      {
+        type: 'submenu',
+        label: 'Export lyrics',
+        currentValue: '',
+        options: [
+          { value: 'lrc', label: 'LRC' },
+          { value: 'srt', label: 'SRT' },
+          { value: 'vtt', label: 'WebVTT' },
+          { value: 'txt', label: 'Plain text' }
+        ],
+        selected: null,
+        onChange: (value) => {
+          if (settings?.onExportLyrics) settings.onExportLyrics(value);
+        }
+      },
       { type: 'separator' },
       {
         type: 'range',
@@ -1565,17 +2094,49 @@ export class LyricsUI {
       {
         type: 'range',
         label: 'Sync offset',
-        currentValue: (settings?.syncDelay || 0) + 'ms',
+        currentValue: this.formatSyncOffset(settings?.syncDelay || 0, settings?.syncOffsetScope),
         min: -2000,
         max: 2000,
         value: settings?.syncDelay || 0,
         step: 50,
         onChange: (value) => {
           if (settings?.onSyncDelayChange) {
+            // The app reports the scope it saved to through updateSyncOffset
             settings.onSyncDelayChange(value);
             if (this.settingsRef) this.settingsRef.syncDelay = value;
           }
-          return value + 'ms';
+          return this.formatSyncOffset(value, this._syncOffsetScope);
+        }
+      },
+      {
+        type: 'button',
+        label: 'Match timing to captions',
+        onClick: () => {
+          panel.style.display = 'none';
+          if (settings?.onDetectCaptionOffset) settings.onDetectCaptionOffset();
+        }
+      },
+      {
+        type: 'toggle',
+        label: 'Suggest offset from captions',
+        checked: settings?.captionAlignment !== false,
+        onChange: (checked) => {
+          if (this.settingsRef) this.settingsRef.captionAlignment = checked;
+          if (settings?.onCaptionAlignmentChange) settings.onCaptionAlignmentChange(checked);
+        }
+      },
+      {
+        type: 'submenu',
+        label: 'Sync offset for',
+        currentValue: this.getSyncOffsetScopeLabel(settings?.syncOffsetScope),
+        options: [
+          { value: 'global', label: 'All videos' },
+          { value: 'video', label: 'This video' },
+          { value: 'track', label: 'These lyrics on this video' }
+        ],
+        selected: settings?.syncOffsetScope || 'global',
+        onChange: (value) => {
+          if (settings?.onSyncOffsetScopeChange) settings.onSyncOffsetScopeChange(value);
         }
       },
       { type: 'separator' },
@@ -1587,9 +2148,66 @@ export class LyricsUI {
           if (this.settingsRef) this.settingsRef.showRomanization = checked;
           if (settings?.onRomanizationChange) settings.onRomanizationChange(checked);
         }
+      },
+      {
+        type: 'submenu',
+        label: 'Japanese reading',
+        currentValue: this.getJapaneseRomanizationLabel(settings?.japaneseRomanization),
+        options: JAPANESE_ROMANIZATION_MODES,
+        selected: settings?.japaneseRomanization || 'hepburn',
+        onChange: (value) => {
+          if (settings?.onJapaneseRomanizationChange) settings.onJapaneseRomanizationChange(value);
+        }
+      },
+      {
+        type: 'toggle',
+        label: 'Translation',
+        checked: settings?.showTranslation === true,
+        onChange: (checked) => {
+          if (this.settingsRef) this.settingsRef.showTranslation = checked;
+          if (settings?.onTranslationChange) settings.onTranslationChange(checked);
+        }
+      },
+      {
+        type: 'submenu',
+        label: 'Translation language',
+        currentValue: this.getTranslationLanguageLabel(settings?.translationLanguage),
+        options: TRANSLATION_LANGUAGES,
+        selected: settings?.translationLanguage || 'en',
+        onChange: (value) => {
+          if (settings?.onTranslationLanguageChange) settings.onTranslationLanguageChange(value);
+        }
+      },
+      {
+        type: 'toggle',
+        label: 'Estimated word timing',
+        checked: settings?.estimatedWordTiming === true,
+        onChange: (checked) => {
+          if (this.settingsRef) this.settingsRef.estimatedWordTiming = checked;
+          if (settings?.onEstimatedWordTimingChange) settings.onEstimatedWordTimingChange(checked);
+        }
       }
     ];
 
+    // Lyrics sources, their order and which are used (only when the app passes its provider list)
+    if (settings?.providerOptions?.length > 1) {
+      menuItems.push({
+        type: 'submenu',
+        label: 'Lyrics sources',
+        currentValue: this.getProviderLabel(settings.providerOptions),
+        createSubmenu: (onUpdate) => this.createProviderSubmenu('Lyrics sources', settings, onUpdate)
+      });
+      menuItems.push({
+        type: 'toggle',
+        label: 'Search sources in parallel',
+        checked: settings?.parallelProviderSearch === true,
+        onChange: (checked) => {
+          if (this.settingsRef) this.settingsRef.parallelProviderSearch = checked;
+          if (settings?.onParallelProviderSearchChange) settings.onParallelProviderSearchChange(checked);
+        }
+      });
+    }
+
 
     menuItems.forEach((item, idx) => {
       if (item.type === 'separator') {
@@ -1677,6 +2295,17 @@ export class LyricsUI {
         let isDragging = false;
         let currentValue = item.value;
 
+        this._menuControls.set(item.label, {
+          setValue: (value, text) => {
+            const clamped = Math.max(item.min, Math.min(item.max, value));
+            const position = ((clamped - item.min) / (item.max - item.min)) * 100;
+            sliderFill.style.width = position + '%';
+            sliderThumb.style.left = position + '%';
+            currentValue = clamped;
+            valueDiv.textContent = text;
+          }
+        });
+
         sliderThumb.addEventListener('mousedown', (e) => {
           e.stopPropagation();
           isDragging = true;
@@ -1748,8 +2377,26 @@ export class LyricsUI {
 
         menuItem.appendChild(valueDiv);
 
+        this._menuControls.set(item.label, {
+          setValue: (value, text) => {
+            item.selected = value;
+            valueDiv.textContent = text;
+            valueDiv.appendChild(arrow);
+          }
+        });
+
         menuItem.addEventListener('click', (e) => {
           e.stopPropagation();
+          // Submenus with their own controls update the row themselves
+          if (item.createSubmenu) {
+            const submenu = item.createSubmenu((text) => {
+              valueDiv.textContent = text;
+              valueDiv.appendChild(arrow);
+            });
+            panel.style.display = 'none';
+            container.appendChild(submenu);
+            return;
+          }
           // Create submenu
           const submenu = this.createSubmenu(item.label, item.options, item.selected, (value) => {
             // Update display based on submenu type
@@ -1763,6 +2410,15 @@ export class LyricsUI {
               valueDiv.textContent = (value === true) ? 'On' : 'Off';
             } else if (item.label === 'Hide original lyrics') {
               valueDiv.textContent = (value === true) ? 'On' : 'Off';
+            } else if (item.label === 'Sync offset for') {
+              valueDiv.textContent = this.getSyncOffsetScopeLabel(value);
+            } else if (item.label === 'Translation language') {
+              valueDiv.textContent = this.getTranslationLanguageLabel(value);
+            } else if (item.label === 'Japanese reading') {
+              valueDiv.textContent = this.getJapaneseRomanizationLabel(value);
+            } else if (item.label === 'Export lyrics') {
+              // An action, not a setting
+              valueDiv.textContent = '';
             } else {
               valueDiv.textContent = value;
             }
@@ -1781,6 +2437,12 @@ export class LyricsUI {
                   this.settingsRef.showRomanization = (value === true);
                 } else if (item.label === 'Hide original lyrics') {
                   this.settingsRef.hideOriginalLyrics = (value === true);
+                } else if (item.label === 'Sync offset for') {
+                  this.settingsRef.syncOffsetScope = value;
+                } else if (item.label === 'Translation language') {
+                  this.settingsRef.translationLanguage = value;
+                } else if (item.label === 'Japanese reading') {
+                  this.settingsRef.japaneseRomanization = value;
                 }
               }
             }
@@ -1952,6 +2614,108 @@ export class LyricsUI {
     return submenu;
   }
 
+  /**
+   * Create the lyrics sources submenu: each source can be switched off or moved up and down
+   * @param {string} title - Submenu title
+   * @param {object} settings - Panel settings with providerOptions ({value, label, enabled}, in priority order)
+   * @param {(text: string) => void} onUpdate - Gets the new label for the settings row
+   * @returns {HTMLElement}
+   */
+  createProviderSubmenu(title, settings, onUpdate) {
+    // Back button only; the rows below are the options
+    const submenu = this.createSubmenu(title, [], null, null);
+    const options = settings.providerOptions;
+    const list = document.createElement('div');
+    submenu.appendChild(list);
+
+    const arrowStyle = (enabled) => `
+      width: 24px;
+      height: 24px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      font-size: 11px;
+      border-radius: 50%;
+      cursor: ${enabled ? 'pointer' : 'default'};
+      opacity: ${enabled ? '0.8' : '0.2'};
+    `;
+
+    const render = () => {
+      list.replaceChildren();
+      options.forEach((option, index) => {
+        const row = document.createElement('div');
+        row.style.cssText = 'padding: 8px 16px; display: flex; align-items: center; gap: 8px; min-height: 40px;';
+
+        const toggleSwitch = document.createElement('div');
+        toggleSwitch.title = option.enabled ? 'Turn off' : 'Turn on';
+        toggleSwitch.style.cssText = `
+          width: 28px;
+          height: 16px;
+          flex-shrink: 0;
+          background: ${option.enabled ? '#f00' : 'rgba(255, 255, 255, 0.2)'};
+          border-radius: 8px;
+          position: relative;
+          cursor: pointer;
+        `;
+        const toggleKnob = document.createElement('div');
+        toggleKnob.style.cssText = `
+          width: 12px;
+          height: 12px;
+          background: #fff;
+          border-radius: 50%;
+          position: absolute;
+          top: 2px;
+          left: ${option.enabled ? '14px' : '2px'};
+        `;
+        toggleSwitch.appendChild(toggleKnob);
+
+        const label = document.createElement('div');
+        label.textContent = option.label;
+        label.style.cssText = `flex: 1; font-size: 13px; opacity: ${option.enabled ? '1' : '0.5'};`;
+
+        const up = document.createElement('div');
+        up.textContent = '▲';
+        up.title = 'Try earlier';
+        up.style.cssText = arrowStyle(index > 0);
+
+        const down = document.createElement('div');
+        down.textContent = '▼';
+        down.title = 'Try later';
+        down.style.cssText = arrowStyle(index < options.length - 1);
+
+        toggleSwitch.addEventListener('click', (e) => {
+          e.stopPropagation();
+          option.enabled = !option.enabled;
+          if (settings.onProviderEnabledChange) settings.onProviderEnabledChange(option.value, option.enabled);
+          onUpdate(this.getProviderLabel(options));
+          render();
+        });
+
+        const move = (to) => {
+          if (to < 0 || to >= options.length) return;
+          options.splice(to, 0, options.splice(index, 1)[0]);
+          if (settings.onProviderOrderChange) settings.onProviderOrderChange(options.map(o => o.value));
+          onUpdate(this.getProviderLabel(options));
+          render();
+        };
+        up.addEventListener('click', (e) => {
+          e.stopPropagation();
+          move(index - 1);
+        });
+        down.addEventListener('click', (e) => {
+          e.stopPropagation();
+          move(index + 1);
+        });
+
+        row.append(toggleSwitch, label, up, down);
+        list.appendChild(row);
+      });
+    };
+
+    render();
+    return submenu;
+  }
+
   /**
    * Get background mode label
    */
@@ -1965,6 +2729,66 @@ export class LyricsUI {
     return labels[mode] || 'Album art';
   }
 
+  /**
+   * Get lyrics sources label: the source tried first
+   */
+  getProviderLabel(options = []) {
+    const first = options.find(o => o.enabled !== false);
+    return first ? first.label : 'None';
+  }
+
+  /**
+   * Get translation target language label
+   */
+  getTranslationLanguageLabel(code) {
+    const option = TRANSLATION_LANGUAGES.find(o => o.value === code);
+    return option ? option.label : 'English';
+  }
+
+  /**
+   * Get Japanese romanization mode label
+   */
+  getJapaneseRomanizationLabel(mode) {
+    const option = JAPANESE_ROMANIZATION_MODES.find(o => o.value === mode);
+    return option ? option.label : 'Hepburn';
+  }
+
+  /**
+   * Get sync offset scope label
+   */
+  getSyncOffsetScopeLabel(scope) {
+    const labels = {
+      'global': 'All videos',
+      'video': 'This video',
+      'track': 'These lyrics'
+    };
+    return labels[scope] || labels.global;
+  }
+
+  /**
+   * Sync offset value text, marking offsets that only apply here
+   */
+  formatSyncOffset(delay, scope) {
+    const text = (delay || 0) + 'ms';
+    return scope && scope !== 'global' ? `${text} · ${this.getSyncOffsetScopeLabel(scope).toLowerCase()}` : text;
+  }
+
+  /**
+   * Show the sync offset the app applied and where it is stored
+   * @param {number} delay - Delay in ms
+   * @param {'global'|'video'|'track'} scope
+   */
+  updateSyncOffset(delay, scope) {
+    this._syncOffsetScope = scope;
+    if (this.settingsRef) {
+      this.settingsRef.syncDelay = delay;
+      this.settingsRef.syncOffsetScope = scope;
+    }
+
+    this._menuControls.get('Sync offset')?.setValue(delay, this.formatSyncOffset(delay, scope));
+    this._menuControls.get('Sync offset for')?.setValue(scope, this.getSyncOffsetScopeLabel(scope));
+  }
+
   /**
    * Get highlight mode label
    */
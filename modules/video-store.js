@@ -0,0 +1,118 @@
+/**
+ * Video Store Module - Per-video data kept in localStorage
+ *
+ * Holds small records keyed by YouTube video id (loaded lyrics files,
+ * timing fixes, offsets). The oldest entries are dropped once the store
+ * grows past maxEntries or maxSize. localStorage is youtube.com's, about
+ * 5M characters shared with the site; when it is full, a save gives up
+ * this store's oldest entries until the new record fits.
+ */
+
+export class VideoStore {
+  /**
+   * @param {string} storageKey - localStorage key holding the whole map
+   * @param {object} [options]
+   * @param {number} [options.maxEntries=200] - Entries kept before the oldest are evicted
+   * @param {number} [options.maxSize=Infinity] - Characters the stored JSON may take before the oldest are evicted
+   */
+  constructor(storageKey, { maxEntries = 200, maxSize = Infinity } = {}) {
+    this.storageKey = storageKey;
+    this.maxEntries = maxEntries;
+    this.maxSize = maxSize;
+  }
+
+  /**
+   * Get the record for a video
+   * @param {string} videoId
+   * @returns {object|null}
+   */
+  get(videoId) {
+    if (!videoId) return null;
+    return this._read()[videoId] || null;
+  }
+
+  /**
+   * Save the record for a video, replacing any previous one
+   * @param {string} videoId
+   * @param {object} record
+   * @returns {boolean} Whether the record was written; false when it can't fit at all
+   */
+  set(videoId, record) {
+    if (!videoId) return false;
+
+    const store = this._read();
+    store[videoId] = { ...record, timestamp: Date.now() };
+
+    // Oldest first; the record being saved is never evicted
+    const evictable = Object.keys(store)
+      .filter(key => key !== videoId)
+      .sort((a, b) => store[a].timestamp - store[b].timestamp);
+
+    const sizes = {};
+    let size = 2;
+    for (const [key, value] of Object.entries(store)) {
+      sizes[key] = JSON.stringify(key).length + JSON.stringify(value).length + 2;
+      size += sizes[key];
+    }
+
+    while (evictable.length > 0 && (Object.keys(store).length > this.maxEntries || size > this.maxSize)) {
+      const key = evictable.shift();
+      size -= sizes[key];
+      delete store[key];
+    }
+
+    if (size > this.maxSize) {
+      console.log(`[VideoStore] Record for ${videoId} is too large for ${this.storageKey}`);
+      return false;
+    }
+
+    for (;;) {
+      try {
+        localStorage.setItem(this.storageKey, JSON.stringify(store));
+        return true;
+      } catch (error) {
+        if (error?.name !== 'QuotaExceededError' || evictable.length === 0) {
+          console.log(`[VideoStore] Error saving ${this.storageKey}:`, error.message);
+          return false;
+        }
+        // The quota is full (often with the site's own data); make room from our oldest entries
+        delete store[evictable.shift()];
+      }
+    }
+  }
+
+  /**
+   * Forget the record for a video
+   * @param {string} videoId
+   */
+  remove(videoId) {
+    const store = this._read();
+    if (videoId && store[videoId]) {
+      delete store[videoId];
+      this._write(store);
+    }
+  }
+
+  _read() {
+    try {
+      const raw = localStorage.getItem(this.storageKey);
+      return raw ? JSON.parse(raw) : {};
+    } catch (error) {
+      console.log(`[VideoStore] Error reading ${this.storageKey}:`, error.message);
+      return {};
+    }
+  }
+
+  _write(store) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(store));
+      return true;
+    } catch (error) {
+      // Usually the localStorage quota
+      console.log(`[VideoStore] Error saving ${this.storageKey}:`, error.message);
+      return false;
+    }
+  }
+}
+
+export default VideoStore;
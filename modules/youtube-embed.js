@@ -0,0 +1,62 @@
+/**
+ * YouTube Embed Integration Module - /embed/ players and youtube-nocookie.com
+ *
+ * An embed is just the player inside someone else's page: no sidebar, no
+ * description, no SPA navigation. The lyrics panel goes inside the player
+ * frame, and title/channel come from the player's title bar or its own data.
+ * Playlist embeds change video without a URL change; the title bar observer
+ * picks that up.
+ */
+
+import { YouTubeIntegration } from './youtube.js';
+
+export class YouTubeEmbedIntegration extends YouTubeIntegration {
+  constructor() {
+    super();
+    this.selectors = {
+      ...this.selectors,
+      SECONDARY_INNER: '#movie_player',
+      VIDEO_TITLE: '.ytp-title-link',
+      TITLE_CONTAINER: '.ytp-title',
+      ARTIST_NAME: '.ytp-title-channel-name',
+      VIDEO_PLAYER: '#movie_player video'
+    };
+  }
+
+  /**
+   * Whether the page is an embedded player
+   */
+  static isEmbed() {
+    return /(^|\.)youtube-nocookie\.com$/.test(window.location.hostname) ||
+      window.location.pathname.startsWith('/embed/');
+  }
+
+  getSurface() {
+    return 'embed';
+  }
+
+  isMiniplayerActive() {
+    return false;
+  }
+
+  /**
+   * Video id from the player (playlist embeds move on), else the /embed/<id> path
+   */
+  getVideoId() {
+    const fromPlayer = this.getPlayerVideoData()?.video_id;
+    if (fromPlayer) return fromPlayer;
+
+    const id = window.location.pathname.split('/')[2];
+    // /embed/videoseries?list=... names a playlist, not a video
+    return id && id !== 'videoseries' ? id : null;
+  }
+
+  /**
+   * An embed always shows its video
+   */
+  isVideoPage() {
+    return !!this.getVideoId();
+  }
+}
+
+export default YouTubeEmbedIntegration;
@@ -0,0 +1,200 @@
+/**
+ * YouTube Music Integration Module - music.youtube.com specifics
+ *
+ * YTM shows clean track metadata in the player bar (title, artists, album,
+ * length), so lyrics can be searched without guessing from a video title.
+ * The lyrics panel lives in the player page's side panel as an extra tab next
+ * to "Up next" / "Lyrics" / "Related", and navigation follows the player bar,
+ * so queue skips and autoplay load new lyrics even without a URL change.
+ */
+
+import { YouTubeIntegration } from './youtube.js';
+
+const TAB_HOST_ID = 'ytl-music-lyrics-host';
+const TAB_BUTTON_ID = 'ytl-music-lyrics-tab';
+// Side panel class while our tab is the selected one
+const TAB_ACTIVE_CLASS = 'ytl-lyrics-tab-active';
+
+export class YouTubeMusicIntegration extends YouTubeIntegration {
+  constructor() {
+    super();
+    this.selectors = {
+      ...this.selectors,
+      SECONDARY_INNER: 'ytmusic-player-page #side-panel',
+      VIDEO_TITLE: 'ytmusic-player-bar .content-info-wrapper .title',
+      TITLE_CONTAINER: 'ytmusic-player-bar .content-info-wrapper',
+      BYLINE: 'ytmusic-player-bar .content-info-wrapper .byline',
+      TIME_INFO: 'ytmusic-player-bar .time-info',
+      THUMBNAIL: 'ytmusic-player-bar .thumbnail-image-wrapper img',
+      PLAYER_CONTROLS: 'ytmusic-player-bar .right-controls-buttons',
+      TAB_HEADER: 'ytmusic-player-page #side-panel tp-yt-paper-tabs'
+    };
+  }
+
+  /**
+   * Whether the page is music.youtube.com
+   */
+  static isMusicSite() {
+    return window.location.hostname === 'music.youtube.com';
+  }
+
+  /**
+   * Get (creating if needed) the lyrics tab in the player page's side panel
+   * @returns {HTMLElement|null} Element the lyrics panel is inserted into
+   */
+  getSecondaryInner() {
+    const sidePanel = document.querySelector(this.selectors.SECONDARY_INNER);
+    if (!sidePanel) return null;
+
+    let host = sidePanel.querySelector(`#${TAB_HOST_ID}`);
+    if (!host) {
+      host = document.createElement('div');
+      host.id = TAB_HOST_ID;
+      const header = sidePanel.querySelector('tp-yt-paper-tabs');
+      sidePanel.insertBefore(host, header ? header.nextSibling : sidePanel.firstChild);
+      this.addLyricsTab(sidePanel);
+    }
+    return host;
+  }
+
+  /**
+   * Add a "Synced lyrics" tab to the side panel's tab header
+   * Picking one of YTM's own tabs hides ours again.
+   * @param {HTMLElement} sidePanel
+   */
+  addLyricsTab(sidePanel) {
+    const header = sidePanel.querySelector('tp-yt-paper-tabs');
+    sidePanel.classList.add(TAB_ACTIVE_CLASS);
+    if (!header || header.querySelector(`#${TAB_BUTTON_ID}`)) return;
+
+    const tab = document.createElement('button');
+    tab.id = TAB_BUTTON_ID;
+    tab.type = 'button';
+    tab.textContent = 'Synced lyrics';
+    tab.addEventListener('click', (e) => {
+      e.stopPropagation();
+      sidePanel.classList.add(TAB_ACTIVE_CLASS);
+    });
+
+    // YTM's tabs select their own content; step aside when one is clicked
+    header.addEventListener('click', (e) => {
+      if (e.target.closest('tp-yt-paper-tab')) {
+        sidePanel.classList.remove(TAB_ACTIVE_CLASS);
+      }
+    });
+
+    header.appendChild(tab);
+  }
+
+  /**
+   * Video id from the URL, or from the player while browsing with the mini player
+   */
+  getVideoId() {
+    const fromUrl = new URLSearchParams(window.location.search).get('v');
+    if (fromUrl) return fromUrl;
+
+    const player = document.getElementById('movie_player');
+    try {
+      return player?.getVideoData?.()?.video_id || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Anything is "the video page" while a track is loaded in the player bar
+   */
+  isVideoPage() {
+    return !!this.getVideoId() && !!document.querySelector(this.selectors.VIDEO_TITLE);
+  }
+
+  /**
+   * Get the artist names from the player bar byline
+   */
+  getArtistName() {
+    return this.getTrackMetadata().artist;
+  }
+
+  /**
+   * Read the player bar: "Title" / "Artist & Artist • Album • 2021"
+   * Songs link their artists (channel pages) and album (MPREb browse id);
+   * uploaded videos only have "Channel • 1.2M views".
+   * @returns {{track: string, artist: string, album: string, duration: number|null}}
+   */
+  getTrackMetadata() {
+    const track = this.getVideoTitle();
+    const byline = document.querySelector(this.selectors.BYLINE);
+    const links = byline ? [...byline.querySelectorAll('a')] : [];
+
+    const artists = links
+      .filter(link => /channel\/|browse\/UC/.test(link.getAttribute('href') || ''))
+      .map(link => link.textContent.trim())
+      .filter(Boolean);
+    const albumLink = links.find(link => /browse\/MPRE/.test(link.getAttribute('href') || ''));
+
+    let artist = artists.join(', ');
+    if (!artist && byline) {
+      artist = (byline.textContent.split('•')[0] || '').trim();
+    }
+
+    return {
+      track,
+      artist,
+      album: albumLink ? albumLink.textContent.trim() : '',
+      duration: this.getTrackDuration()
+    };
+  }
+
+  /**
+   * Track length from the player bar's "0:42 / 3:45"
+   * @returns {number|null} Seconds
+   */
+  getTrackDuration() {
+    const timeInfo = document.querySelector(this.selectors.TIME_INFO);
+    const total = timeInfo?.textContent.split('/')[1];
+    if (!total) return null;
+
+    const parts = total.trim().split(':').map(Number);
+    if (parts.some(part => !Number.isFinite(part))) return null;
+    const seconds = parts.reduce((sum, part) => sum * 60 + part, 0);
+    return seconds > 0 ? seconds : null;
+  }
+
+  /**
+   * Video info with the player bar's clean metadata attached
+   * Uploaded videos have no linked artists; their description may still name the song.
+   */
+  getVideoInfo() {
+    const info = super.getVideoInfo();
+    const metadata = this.getTrackMetadata();
+    const linked = metadata.artist && metadata.album;
+    return {
+      ...info,
+      artist: metadata.artist,
+      duration: metadata.duration,
+      metadata: linked || !info.metadata ? { ...metadata, source: 'ytmusic' } : info.metadata
+    };
+  }
+
+  /**
+   * Buttons go into the player bar; YTM hides the video player's own controls
+   */
+  getPlayerControls() {
+    return document.querySelector(this.selectors.PLAYER_CONTROLS);
+  }
+
+  /**
+   * Square album art from the player bar, at a usable size
+   */
+  async extractAlbumArt() {
+    const image = document.querySelector(this.selectors.THUMBNAIL);
+    const src = image?.src || '';
+    // lh3.googleusercontent.com art takes its size from the =wNN-hNN suffix
+    if (/googleusercontent\.com/.test(src)) {
+      return src.replace(/=w\d+-h\d+[^/]*$/, '=w544-h544-l90-rj');
+    }
+    return super.extractAlbumArt();
+  }
+}
+
+export default YouTubeMusicIntegration;
@@ -2,6 +2,26 @@
  * YouTube Integration Module - Handles YouTube-specific logic
  */
 
+import { YouTubeCaptionParser } from './parsers/YouTubeCaptionParser.js';
+import { MusicMetadataParser } from './parsers/MusicMetadataParser.js';
+import { TracklistParser } from './parsers/TracklistParser.js';
+
+// Selectors that differ from the watch page, by surface
+const SURFACE_SELECTORS = {
+  // Shorts keep several reels in the DOM; only the active one is playing
+  shorts: {
+    SECONDARY_INNER: 'ytd-reel-video-renderer[is-active] #player-container',
+    VIDEO_TITLE: 'ytd-reel-video-renderer[is-active] .ytShortsVideoTitleViewModelShortsVideoTitle, ytd-reel-video-renderer[is-active] h2.title',
+    ARTIST_NAME: 'ytd-reel-video-renderer[is-active] .ytReelChannelBarViewModelChannelName a, ytd-reel-video-renderer[is-active] #channel-name a',
+    VIDEO_PLAYER: '#shorts-player video',
+    TITLE_CONTAINER: 'ytd-shorts'
+  },
+  // Browse pages can hold inline preview videos besides the miniplayer's
+  miniplayer: {
+    VIDEO_PLAYER: '#movie_player video'
+  }
+};
+
 export class YouTubeIntegration {
   constructor() {
     this.selectors = {
@@ -21,34 +41,198 @@ export class YouTubeIntegration {
     this.onNavigateCallback = null;
   }
 
+  /**
+   * Which YouTube surface the page is showing
+   * @returns {'watch'|'shorts'|'miniplayer'|'embed'|'music'|null} null on pages without a video
+   */
+  getSurface() {
+    const path = window.location.pathname;
+    if (path === '/watch') return 'watch';
+    if (path.startsWith('/shorts/')) return 'shorts';
+    return this.isMiniplayerActive() ? 'miniplayer' : null;
+  }
+
+  /**
+   * Whether a video keeps playing in the miniplayer while the user browses
+   */
+  isMiniplayerActive() {
+    const app = document.querySelector('ytd-app');
+    return !!(app?.hasAttribute('miniplayer-is-active') || document.querySelector('ytd-miniplayer[active]'));
+  }
+
+  /**
+   * Get the miniplayer element, for placing things next to it
+   */
+  getMiniplayer() {
+    return document.querySelector('ytd-miniplayer');
+  }
+
+  /**
+   * Get a selector for the surface on screen
+   * @param {string} name - Key of this.selectors
+   * @returns {string}
+   */
+  getSelector(name) {
+    return SURFACE_SELECTORS[this.getSurface()]?.[name] || this.selectors[name];
+  }
+
   /**
    * Get the secondary inner element for panel injection
    */
   getSecondaryInner() {
-    return document.querySelector(this.selectors.SECONDARY_INNER);
+    return document.querySelector(this.getSelector('SECONDARY_INNER'));
   }
 
   /**
    * Get the video player element
    */
   getVideoElement() {
-    return document.querySelector(this.selectors.VIDEO_PLAYER);
+    return document.querySelector(this.getSelector('VIDEO_PLAYER'));
+  }
+
+  /**
+   * Get the player's own data for the video it is playing ({ video_id, title, author })
+   * @returns {Object|null}
+   */
+  getPlayerVideoData() {
+    const player = document.getElementById(this.getSurface() === 'shorts' ? 'shorts-player' : 'movie_player');
+    try {
+      return player?.getVideoData?.() || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the video duration in seconds, waiting briefly for metadata
+   * Returns null for live streams, ads or if metadata never arrives
+   * @param {number} timeout - Max time to wait in ms
+   */
+  async getVideoDuration(timeout = 3000) {
+    const video = this.getVideoElement();
+    if (!video) return null;
+
+    const read = () => {
+      // During a pre-roll the element holds the ad, not the song
+      if (document.querySelector('#movie_player.ad-showing')) return null;
+      return Number.isFinite(video.duration) && video.duration > 0 ? video.duration : null;
+    };
+
+    if (video.readyState >= 1 && read() !== null) {
+      return read();
+    }
+
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        video.removeEventListener('loadedmetadata', done);
+        resolve(read());
+      };
+      const timer = setTimeout(done, timeout);
+      video.addEventListener('loadedmetadata', done);
+    });
   }
 
   /**
    * Get the current video title
    */
   getVideoTitle() {
-    const titleEl = document.querySelector(this.selectors.VIDEO_TITLE);
-    return titleEl ? titleEl.textContent.trim() : '';
+    const titleEl = document.querySelector(this.getSelector('VIDEO_TITLE'));
+    return titleEl?.textContent.trim() || this.getPlayerVideoData()?.title || '';
   }
 
   /**
    * Get the artist/channel name
    */
   getArtistName() {
-    const artistEl = document.querySelector(this.selectors.ARTIST_NAME);
-    return artistEl ? artistEl.textContent.trim() : '';
+    const artistEl = document.querySelector(this.getSelector('ARTIST_NAME'));
+    return artistEl?.textContent.trim() || this.getPlayerVideoData()?.author || '';
+  }
+
+  /**
+   * Collect what the page says about the current video
+   * @returns {{title: string, artist: string, videoId: string, url: string, metadata?: Object}}
+   */
+  getVideoInfo() {
+    const info = {
+      title: this.getVideoTitle(),
+      artist: this.getArtistName(),
+      videoId: this.getVideoId(),
+      url: window.location.href
+    };
+
+    const metadata = this.getMusicMetadata();
+    if (metadata) {
+      info.metadata = metadata;
+    }
+    return info;
+  }
+
+  /**
+   * Song metadata YouTube attaches to the video, if any
+   * A single "Music in this video" song wins; Topic uploads fall back to their
+   * "Provided to YouTube by" description. Several songs mean a mix, whose title
+   * names none of them, so no metadata is returned.
+   * @returns {{track: string, artist: string, album: string, source: string}|null}
+   */
+  getMusicMetadata() {
+    try {
+      const songs = MusicMetadataParser.fromInitialData(this.getInitialData());
+      if (songs.length === 1 && songs[0].artist) {
+        return songs[0];
+      }
+      if (songs.length > 1) {
+        return null;
+      }
+
+      const description = this.getPlayerResponse()?.videoDetails?.shortDescription;
+      return MusicMetadataParser.fromDescription(description);
+    } catch (error) {
+      console.log('[YT Lyrics] Could not read music metadata:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Songs of a multi-song video (album stream, live set, mix)
+   * Chapters win over a tracklist typed into the description.
+   * @returns {Array<{start: number, end: number, title: string}>} Empty for single songs
+   */
+  getSegments() {
+    try {
+      const response = this.getPlayerResponse();
+      const duration = Number(response?.videoDetails?.lengthSeconds) || null;
+
+      const chapters = TracklistParser.toSegments(TracklistParser.fromChapters(this.getInitialData()), duration);
+      if (chapters.length > 0) return chapters;
+
+      const description = response?.videoDetails?.shortDescription;
+      return TracklistParser.toSegments(TracklistParser.fromDescription(description), duration);
+    } catch (error) {
+      console.log('[YT Lyrics] Could not read chapters:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Get the watch page data (description sections, chapters) for the current video
+   * ytInitialData is only right for the first page load; after SPA navigation
+   * the watch element holds the current response.
+   * @returns {Object|null}
+   */
+  getInitialData() {
+    const videoId = this.getVideoId();
+    const watch = document.querySelector('ytd-watch-flexy');
+    const candidates = [watch?.data, window.ytInitialData];
+
+    return candidates.find(data => data?.currentVideoEndpoint?.watchEndpoint?.videoId === videoId) || null;
+  }
+
+  /**
+   * Get the element the player's settings/fullscreen buttons are added to
+   */
+  getPlayerControls() {
+    return document.querySelector('.ytp-right-controls');
   }
 
   /**
@@ -84,18 +268,138 @@ export class YouTubeIntegration {
   }
 
   /**
-   * Get video ID from current URL
+   * Get video ID from current URL (or the miniplayer, while browsing)
    */
   getVideoId() {
+    const surface = this.getSurface();
+    if (surface === 'shorts') {
+      return window.location.pathname.split('/')[2] || null;
+    }
+    if (surface === 'miniplayer') {
+      return this.getPlayerVideoData()?.video_id || null;
+    }
     const urlParams = new URLSearchParams(window.location.search);
     return urlParams.get('v');
   }
 
   /**
-   * Check if currently on a video page
+   * Get the player response (streaming data, captions, video details) for the current video
+   * The player's own copy is fresher than ytInitialPlayerResponse after SPA navigation.
+   * @returns {Object|null}
+   */
+  getPlayerResponse() {
+    const videoId = this.getVideoId();
+    const candidates = [];
+
+    const player = document.getElementById(this.getSurface() === 'shorts' ? 'shorts-player' : 'movie_player');
+    if (player && typeof player.getPlayerResponse === 'function') {
+      try {
+        candidates.push(player.getPlayerResponse());
+      } catch (e) {
+        // Player not ready yet
+      }
+    }
+    candidates.push(window.ytInitialPlayerResponse);
+
+    return candidates.find(response => response?.videoDetails?.videoId === videoId) || null;
+  }
+
+  /**
+   * List the caption tracks of the current video
+   * @returns {Array<{baseUrl: string, languageCode: string, name: string, isAuto: boolean, isDefault: boolean}>}
+   */
+  getCaptionTracks() {
+    const response = this.getPlayerResponse();
+    const renderer = response?.captions?.playerCaptionsTracklistRenderer;
+    const tracks = renderer?.captionTracks || [];
+    // The track YouTube turns on for the video's main audio
+    const defaultIndex = renderer?.audioTracks?.[0]?.defaultCaptionTrackIndex;
+
+    return tracks
+      .map((track, index) => ({
+        baseUrl: track.baseUrl,
+        languageCode: track.languageCode || '',
+        name: track.name?.simpleText || (track.name?.runs || []).map(run => run.text).join('') || '',
+        isAuto: track.kind === 'asr',
+        isDefault: index === defaultIndex
+      }))
+      .filter(track => track.baseUrl);
+  }
+
+  /**
+   * Pick the caption track that best matches the lyrics
+   * Uploader tracks beat auto-generated ones; a matching language beats both.
+   * @param {Array<Object>} tracks - From getCaptionTracks
+   * @param {string} [language] - Preferred language code, e.g. 'en' or 'ja'
+   * @returns {Object|null}
+   */
+  pickCaptionTrack(tracks, language = '') {
+    const base = code => (code || '').toLowerCase().split('-')[0];
+    const rank = track => (language && base(track.languageCode) === base(language) ? 2 : 0) + (track.isAuto ? 0 : 1);
+
+    return [...tracks].sort((a, b) => rank(b) - rank(a))[0] || null;
+  }
+
+  /**
+   * Download and parse a caption track
+   * @param {Object} track - From getCaptionTracks
+   * @returns {Promise<Array<Object>|null>} Caption cues, or null if YouTube returned nothing
+   */
+  async fetchCaptionTrack(track) {
+    try {
+      const url = new URL(track.baseUrl, window.location.origin);
+      url.searchParams.set('fmt', 'json3');
+
+      const response = await fetch(url.toString(), { credentials: 'include' });
+      if (!response.ok) return null;
+
+      // Some requests come back empty when YouTube wants a player token
+      const text = await response.text();
+      if (!text) return null;
+
+      const cues = YouTubeCaptionParser.parse(text);
+      return cues.length > 0 ? cues : null;
+    } catch (error) {
+      console.log('[Captions] Error fetching caption track:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Check if currently on a video page (watch page or a Short)
    */
   isVideoPage() {
-    return /^https:\/\/www\.youtube\.com\/watch\?v=/.test(window.location.href);
+    const surface = this.getSurface();
+    return (surface === 'watch' || surface === 'shorts') && !!this.getVideoId();
+  }
+
+  /**
+   * Watch the miniplayer until it closes, expands or moves on to another video
+   * @param {Function} onEnd - Called once when the lyrics no longer belong on screen
+   * @returns {Function} Stops watching without calling onEnd
+   */
+  watchMiniplayer(onEnd) {
+    const videoId = this.getVideoId();
+    const video = this.getVideoElement();
+
+    const check = () => {
+      if (this.getSurface() === 'miniplayer' && this.getVideoId() === videoId) return;
+      stop();
+      onEnd();
+    };
+
+    const observer = new MutationObserver(check);
+    const app = document.querySelector('ytd-app');
+    if (app) observer.observe(app, { attributes: true, attributeFilter: ['miniplayer-is-active'] });
+    const miniplayer = this.getMiniplayer();
+    if (miniplayer) observer.observe(miniplayer, { attributes: true, attributeFilter: ['active'] });
+    video?.addEventListener('loadedmetadata', check);
+
+    const stop = () => {
+      observer.disconnect();
+      video?.removeEventListener('loadedmetadata', check);
+    };
+    return stop;
   }
 
   /**
@@ -180,7 +484,7 @@ export class YouTubeIntegration {
         } else {
           console.log('[YT Lyrics] Same video, ignoring');
         }
-      } else if (this.currentUrl.includes('/watch')) {
+      } else if (/\/(?:watch|shorts\/)/.test(this.currentUrl)) {
         console.log('[YT Lyrics] Navigated away from video');
         this.currentUrl = currentUrl;
         this.currentVideoId = '';
@@ -204,7 +508,7 @@ export class YouTubeIntegration {
     // Create title observer
     this.titleObserver = new MutationObserver(this._handleTitleChange);
 
-    const titleContainer = document.querySelector(this.selectors.TITLE_CONTAINER);
+    const titleContainer = document.querySelector(this.getSelector('TITLE_CONTAINER'));
     if (titleContainer) {
       this.titleObserver.observe(titleContainer, { childList: true, subtree: true });
       console.log('[YT Lyrics] Title observer created and watching');
@@ -258,8 +562,8 @@ export class YouTubeIntegration {
       } else {
         // Wait for both title and secondary elements to be ready
         try {
-          await this.waitForElement(this.selectors.VIDEO_TITLE, 5000);
-          await this.waitForElement(this.selectors.SECONDARY_INNER, 5000);
+          await this.waitForElement(this.getSelector('VIDEO_TITLE'), 5000);
+          await this.waitForElement(this.getSelector('SECONDARY_INNER'), 5000);
           // Wait for title to actually change to the new video
           await this.waitForTitleChange(3000);
 
@@ -267,7 +571,7 @@ export class YouTubeIntegration {
           if (!this.titleObserver && this._handleTitleChange) {
             console.log('[YT Lyrics] Recreating title observer after cleanup');
             this.titleObserver = new MutationObserver(this._handleTitleChange);
-            const titleContainer = document.querySelector(this.selectors.TITLE_CONTAINER);
+            const titleContainer = document.querySelector(this.getSelector('TITLE_CONTAINER'));
             if (titleContainer) {
               this.titleObserver.observe(titleContainer, { childList: true, subtree: true });
             }
@@ -276,12 +580,7 @@ export class YouTubeIntegration {
           console.error('[YT Lyrics] Error waiting for elements', error);
         }
 
-        const videoInfo = {
-          title: this.getVideoTitle(),
-          artist: this.getArtistName(),
-          videoId: this.getVideoId(),
-          url: window.location.href
-        };
+        const videoInfo = this.getVideoInfo();
         console.log('[YT Lyrics] Calling onNavigateCallback with videoInfo', videoInfo);
         this.onNavigateCallback(videoInfo);
       }
@@ -15,6 +15,10 @@ document.addEventListener("DOMContentLoaded", () => {
   const customColor4 = document.getElementById("custom-color-4");
   const playbackModeSelect = document.getElementById("playback-mode-select");
   const highlightModeSelect = document.getElementById("highlight-mode-select");
+  const translationServerUrl = document.getElementById("translation-server-url");
+  const translationApiKey = document.getElementById("translation-api-key");
+  const translationServerSave = document.getElementById("translation-server-save");
+  const translationServerStatus = document.getElementById("translation-server-status");
 
   // Load saved settings
   chrome.storage.sync.get([
@@ -25,7 +29,9 @@ document.addEventListener("DOMContentLoaded", () => {
     "playbackMode", 
     "syncDelay",
     "customColors",
-    "highlightMode"
+    "highlightMode",
+    "translationServerUrl",
+    "translationApiKey"
   ], (data) => {
     const isEnabled = data.enabled !== false;
     const fontSize = data.fontSize || 16;
@@ -85,6 +91,9 @@ document.addEventListener("DOMContentLoaded", () => {
 
     // Set highlight mode
     if (highlightModeSelect) highlightModeSelect.value = highlightMode;
+
+    if (translationServerUrl) translationServerUrl.value = data.translationServerUrl || '';
+    if (translationApiKey) translationApiKey.value = data.translationApiKey || '';
   });
 
   // Toggle switch listener
@@ -210,6 +219,40 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
+  // Translation server: the extension may only reach it once the user grants its origin
+  if (translationServerSave) {
+    translationServerSave.addEventListener("click", () => {
+      const url = translationServerUrl.value.trim();
+      const apiKey = translationApiKey.value.trim();
+      const save = () => {
+        chrome.storage.sync.set({ translationServerUrl: url, translationApiKey: apiKey }, () => {
+          translationServerStatus.textContent = url ? "Saved" : "Removed";
+        });
+      };
+
+      if (!url) {
+        save();
+        return;
+      }
+
+      let origin;
+      try {
+        origin = new URL(/^https?:\/\//i.test(url) ? url : `http://${url}`).origin;
+      } catch (e) {
+        translationServerStatus.textContent = "Not a valid address";
+        return;
+      }
+
+      chrome.permissions.request({ origins: [`${origin}/*`] }, (granted) => {
+        if (granted) {
+          save();
+        } else {
+          translationServerStatus.textContent = "Access to the server was not granted";
+        }
+      });
+    });
+  }
+
   function updateStatus(isEnabled) {
     status.textContent = isEnabled ? "ON" : "OFF";
     status.className = isEnabled ? "status active" : "status inactive";
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * Stand-in for a LibreTranslate server, for trying translations locally
+ * It speaks the same /translate API but doesn't translate: every line comes
+ * back tagged with the target language, e.g. "[es] Hello". Point the
+ * extension's translation server setting at it, then swap in a real
+ * LibreTranslate instance (same URL format) once the pipeline works.
+ * Usage: node translate-server.js [port]   (API_KEY=secret to require a key)
+ */
+
+const http = require('http');
+
+const port = Number(process.argv[2]) || 5000;
+const apiKey = process.env.API_KEY || '';
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(JSON.stringify(body));
+}
+
+function translate(res, request) {
+  const { q, target, api_key: key } = request;
+  if (apiKey && key !== apiKey) {
+    return send(res, 403, { error: 'Invalid API key' });
+  }
+  if (!q || !target) {
+    return send(res, 400, { error: 'Invalid request: missing q or target parameter' });
+  }
+
+  const tag = (text) => (text.trim() ? `[${target}] ${text}` : text);
+  const translatedText = Array.isArray(q) ? q.map(tag) : tag(q);
+  console.log(`Translated ${Array.isArray(q) ? q.length : 1} line(s) to ${target}`);
+  return send(res, 200, { translatedText });
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') {
+    return send(res, 204, {});
+  }
+
+  if (req.method === 'GET' && req.url === '/languages') {
+    return send(res, 200, [{ code: 'en', name: 'English', targets: ['en'] }]);
+  }
+
+  if (req.method !== 'POST' || req.url !== '/translate') {
+    return send(res, 404, { error: 'Not found' });
+  }
+
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    try {
+      translate(res, JSON.parse(body || '{}'));
+    } catch (error) {
+      send(res, 400, { error: 'Invalid JSON' });
+    }
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Stand-in translation server on http://localhost:${port}/translate`);
+});